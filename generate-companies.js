@@ -1,9 +1,14 @@
 // Enhanced script to generate companies.json from folder structure
 // This script scans the company-wise-problems directory and creates a companies.json file
 // with accurate problem counts and logo detection
+// Only folders whose CSV files changed since the last run are reprocessed; pass --force to rebuild everything
+// Run with --validate to check the CSV files instead; it exits non-zero with a JSON report of any errors
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { PROBLEM_TIMEFRAMES, CSV_REQUIRED_COLUMNS, Problem } = require('./js/dataManager');
+const { CSVParser } = require('./js/csvParser');
 
 /**
  * Company data generator with enhanced metadata extraction
@@ -15,21 +20,19 @@ class CompanyDataGenerator {
     constructor() {
         this.companiesDir = 'company-wise-problems';
         this.outputFile = 'data/companies.json';
+        this.problemsIndexFile = 'data/problems-index.json';
+        this.manifestFile = 'data/companies-manifest.json';
         this.logoDir = 'assets/company-logos';
         this.placeholderLogo = 'assets/icons/company-placeholder.svg';
-        this.csvFilePatterns = [
-            '1. Thirty Days.csv',
-            '2. Three Months.csv', 
-            '3. Six Months.csv',
-            '4. More Than Six Months.csv',
-            '5. All.csv'
-        ];
+        this.csvFilePatterns = PROBLEM_TIMEFRAMES.map(timeframe => timeframe.file);
     }
 
     /**
      * Generate companies list from folder structure with enhanced metadata
+     * Folders whose CSV hashes match the manifest keep their previous entry; options.force reprocesses all of them
+     * Changes are always reported against the previous companies.json and problem index
      */
-    async generateCompaniesFromFolders() {
+    async generateCompaniesFromFolders(options = {}) {
         try {
             // Validate directories
             if (!this.validateDirectories()) {
@@ -40,23 +43,50 @@ class CompanyDataGenerator {
             const folders = this.getCompanyFolders();
             console.log(`Found ${folders.length} company folders`);
 
+            const previous = this.loadPreviousRun();
+            const previousHashes = options.force ? {} : previous.manifest;
+            const previousCompanies = new Map(previous.companies.map(company => [company.name, company]));
+
             const companies = [];
             const errors = [];
+            const manifest = {};
+            const changedFolders = [];
+            let reused = 0;
 
             // Process each company folder
             for (const folderName of folders) {
                 try {
+                    manifest[folderName] = this.hashCompanyFolder(folderName);
+
+                    const previousCompany = previousCompanies.get(folderName);
+                    if (previousCompany && this.isFolderUnchanged(previousHashes[folderName], manifest[folderName])) {
+                        // Logos aren't part of the hash, so pick up newly added ones
+                        companies.push({ ...previousCompany, logoUrl: this.detectCompanyLogo(folderName) });
+                        reused++;
+                        continue;
+                    }
+
+                    changedFolders.push(folderName);
+                    // Without recorded hashes (or with --force) a folder is only known to have changed if its data did
+                    const knownChanged = previous.manifest[folderName] && !this.isFolderUnchanged(previous.manifest[folderName], manifest[folderName]);
                     const companyData = await this.processCompanyFolder(folderName);
+                    if (companyData && previousCompany && !knownChanged) {
+                        companyData.lastUpdated = this.keepLastUpdated(companyData, previousCompany);
+                    }
                     if (companyData) {
                         companies.push(companyData);
                         console.log(`✓ Processed ${folderName}: ${companyData.problemCount} problems`);
                     }
                 } catch (error) {
+                    // Leave it out of the manifest so the next run tries again
+                    delete manifest[folderName];
                     errors.push(`Error processing ${folderName}: ${error.message}`);
                     console.warn(`✗ Error processing ${folderName}:`, error.message);
                 }
             }
 
+            console.log(`Reprocessed ${changedFolders.length} changed folders, reused ${reused} unchanged`);
+
             // Log summary
             if (errors.length > 0) {
                 console.warn(`\nProcessing completed with ${errors.length} errors:`);
@@ -66,10 +96,31 @@ class CompanyDataGenerator {
             // Sort companies by name
             companies.sort((a, b) => a.name.localeCompare(b.name));
 
-            // Write output file
-            this.writeCompaniesFile(companies);
+            // Write output files only when their content changed, so unchanged runs leave no diff
+            const companyChanges = this.diffEntries(previous.companies, companies, 'name');
+            if (this.hasChanges(companyChanges) || !fs.existsSync(this.outputFile)) {
+                this.writeCompaniesFile(companies);
+                console.log(`\n✓ Generated ${this.outputFile} with ${companies.length} companies`);
+            } else {
+                console.log(`\n✓ ${this.outputFile} is up to date`);
+            }
+
+            // Write the global problem index used by search, favorites and problem detail
+            // Without a previous index there is nothing to update, so every folder is read
+            const rebuildIndex = options.force || !previous.problems;
+            const problems = this.generateProblemsIndex(folders, rebuildIndex ? folders : changedFolders, rebuildIndex ? [] : previous.problems);
+            const problemChanges = this.diffEntries(previous.problems || [], problems, 'slug');
+            if (this.hasChanges(problemChanges) || !previous.problems) {
+                this.writeProblemsIndexFile(problems);
+                console.log(`✓ Generated ${this.problemsIndexFile} with ${problems.length} unique problems`);
+            } else {
+                console.log(`✓ ${this.problemsIndexFile} is up to date`);
+            }
+
+            this.writeManifestFile(manifest);
+            this.changes = { companies: companyChanges, problems: problemChanges };
+            this.logChanges(this.changes);
 
-            console.log(`\n✓ Generated ${this.outputFile} with ${companies.length} companies`);
             return companies;
 
         } catch (error) {
@@ -78,6 +129,113 @@ class CompanyDataGenerator {
         }
     }
 
+    /**
+     * Companies, problem index and CSV hashes written by the last run
+     * problems is null when there is no usable index to update
+     */
+    loadPreviousRun() {
+        const readJSON = file => {
+            try {
+                return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+            } catch (error) {
+                console.warn(`Ignoring unreadable ${file}:`, error.message);
+                return null;
+            }
+        };
+
+        const companiesData = readJSON(this.outputFile);
+        const problemsData = readJSON(this.problemsIndexFile);
+        const manifestData = readJSON(this.manifestFile);
+
+        return {
+            companies: companiesData && Array.isArray(companiesData.companies) ? companiesData.companies : [],
+            problems: problemsData && Array.isArray(problemsData.problems) ? problemsData.problems : null,
+            manifest: manifestData && manifestData.companies ? manifestData.companies : {}
+        };
+    }
+
+    /**
+     * lastUpdated for a reprocessed company: the previous one if its data came out the same
+     */
+    keepLastUpdated(companyData, previousCompany) {
+        const unchanged = { ...companyData, lastUpdated: previousCompany.lastUpdated };
+        return JSON.stringify(unchanged) === JSON.stringify(previousCompany) ? previousCompany.lastUpdated : companyData.lastUpdated;
+    }
+
+    /**
+     * Content hash of every CSV file in a company folder, by file name
+     */
+    hashCompanyFolder(folderName) {
+        const companyPath = path.join(this.companiesDir, folderName);
+        const hashes = {};
+
+        fs.readdirSync(companyPath)
+            .filter(file => file.endsWith('.csv'))
+            .sort()
+            .forEach(file => {
+                hashes[file] = crypto.createHash('sha256').update(fs.readFileSync(path.join(companyPath, file))).digest('hex');
+            });
+        return hashes;
+    }
+
+    /**
+     * Same CSV files with the same content; a folder missing from the manifest counts as changed
+     */
+    isFolderUnchanged(previousHashes, hashes) {
+        return Boolean(previousHashes) && JSON.stringify(previousHashes) === JSON.stringify(hashes);
+    }
+
+    /**
+     * Write the CSV hashes the next run compares against
+     */
+    writeManifestFile(manifest) {
+        const output = {
+            algorithm: 'sha256',
+            companies: manifest
+        };
+
+        fs.writeFileSync(this.manifestFile, JSON.stringify(output, null, 2));
+    }
+
+    /**
+     * Keys added, removed and changed between two lists of entries
+     */
+    diffEntries(previousEntries, entries, key) {
+        const previousByKey = new Map(previousEntries.map(entry => [entry[key], JSON.stringify(entry)]));
+        const keys = new Set(entries.map(entry => entry[key]));
+
+        return {
+            added: entries.filter(entry => !previousByKey.has(entry[key])).map(entry => entry[key]),
+            removed: previousEntries.filter(entry => !keys.has(entry[key])).map(entry => entry[key]),
+            changed: entries
+                .filter(entry => previousByKey.has(entry[key]) && previousByKey.get(entry[key]) !== JSON.stringify(entry))
+                .map(entry => entry[key])
+        };
+    }
+
+    hasChanges({ added, removed, changed }) {
+        return added.length + removed.length + changed.length > 0;
+    }
+
+    /**
+     * Print what this run added, removed and changed
+     */
+    logChanges({ companies, problems }) {
+        const shown = 10;
+        const list = (symbol, keys) => {
+            keys.slice(0, shown).forEach(key => console.log(`    ${symbol} ${key}`));
+            if (keys.length > shown) console.log(`    ... and ${keys.length - shown} more`);
+        };
+
+        console.log('\nChanges since the last run:');
+        [['Companies', companies], ['Problems', problems]].forEach(([label, changes]) => {
+            console.log(`  ${label}: ${changes.added.length} added, ${changes.removed.length} removed, ${changes.changed.length} changed`);
+            list('+', changes.added);
+            list('-', changes.removed);
+            list('~', changes.changed);
+        });
+    }
+
     /**
      * Validate required directories exist
      */
@@ -312,6 +470,126 @@ class CompanyDataGenerator {
         fs.writeFileSync(this.outputFile, JSON.stringify(output, null, 2));
     }
 
+    /**
+     * Build the global problem index from every company folder
+     * One entry per unique problem, keyed by its LeetCode slug
+     * Only changedFolders are read; other companies keep their listings from previousProblems
+     */
+    generateProblemsIndex(folders = this.getCompanyFolders(), changedFolders = folders, previousProblems = []) {
+        const problemsBySlug = new Map();
+        const keptFolders = new Set(folders.filter(folderName => !changedFolders.includes(folderName)));
+
+        previousProblems.forEach(entry => {
+            const companies = entry.companies.filter(company => keptFolders.has(company.name));
+            if (companies.length > 0) {
+                problemsBySlug.set(entry.slug, {
+                    ...entry,
+                    companies: new Map(companies.map(company => [company.name, company]))
+                });
+            }
+        });
+
+        for (const folderName of changedFolders) {
+            for (const timeframe of PROBLEM_TIMEFRAMES) {
+                const csvPath = path.join(this.companiesDir, folderName, timeframe.file);
+                if (!fs.existsSync(csvPath)) continue;
+
+                try {
+                    const rows = this.parseCSVContent(fs.readFileSync(csvPath, 'utf8'));
+                    rows.forEach(row => this.addRowToProblemsIndex(problemsBySlug, row, folderName, timeframe.key));
+                } catch (error) {
+                    console.warn(`Could not index ${csvPath}:`, error.message);
+                }
+            }
+        }
+
+        return Array.from(problemsBySlug.values())
+            .map(entry => ({
+                ...entry,
+                companies: Array.from(entry.companies.values())
+                    .sort((a, b) => this.getBestFrequency(b) - this.getBestFrequency(a) || a.name.localeCompare(b.name))
+            }))
+            .sort((a, b) => a.slug.localeCompare(b.slug));
+    }
+
+    /**
+     * Merge a single CSV row into the problem index
+     */
+    addRowToProblemsIndex(problemsBySlug, row, companyName, timeframeKey) {
+        const slug = Problem.extractSlug(row.link);
+        if (!slug || !row.title) return;
+
+        let entry = problemsBySlug.get(slug);
+        if (!entry) {
+            entry = {
+                slug,
+                title: row.title,
+                difficulty: (row.difficulty || '').toUpperCase(),
+                topics: [],
+                acceptance: null,
+                companies: new Map()
+            };
+            problemsBySlug.set(slug, entry);
+        }
+
+        // Older exports have no Topics column, so keep the first non-empty list
+        if (entry.topics.length === 0 && row.topics) {
+            entry.topics = row.topics.split(',').map(topic => topic.trim()).filter(topic => topic.length > 0);
+        }
+
+        const acceptance = parseFloat(row.acceptancerate);
+        if (entry.acceptance === null && !isNaN(acceptance)) {
+            entry.acceptance = acceptance;
+        }
+
+        if (!entry.companies.has(companyName)) {
+            entry.companies.set(companyName, { name: companyName, frequencies: {} });
+        }
+
+        const frequency = parseFloat(row.frequency);
+        entry.companies.get(companyName).frequencies[timeframeKey] = isNaN(frequency) ? 0 : frequency;
+    }
+
+    /**
+     * Highest frequency a company has for a problem across timeframes
+     */
+    getBestFrequency(company) {
+        return Math.max(0, ...Object.values(company.frequencies));
+    }
+
+    /**
+     * Parse CSV content into row objects keyed by normalized column name
+     */
+    parseCSVContent(csvContent) {
+        const { records } = CSVParser.parse(csvContent);
+        if (records.length < 2) return [];
+
+        const header = records[0].fields
+            .map(column => column.toLowerCase().replace(/[^a-z0-9]/g, ''));
+
+        return records.slice(1).map(({ fields }) => {
+            const row = {};
+            header.forEach((column, index) => {
+                row[column] = fields[index] === undefined ? undefined : fields[index].trim();
+            });
+            return row;
+        });
+    }
+
+    /**
+     * Write the problem index to a compact JSON file
+     */
+    writeProblemsIndexFile(problems) {
+        const output = {
+            generated: new Date().toISOString(),
+            totalProblems: problems.length,
+            timeframes: PROBLEM_TIMEFRAMES.map(timeframe => timeframe.key),
+            problems: problems
+        };
+
+        fs.writeFileSync(this.problemsIndexFile, JSON.stringify(output));
+    }
+
     /**
      * Validate existing companies.json file
      */
@@ -346,45 +624,391 @@ class CompanyDataGenerator {
 }
 
 /**
- * Generate companies list from folder structure
+ * Columns company CSV exports have, by normalized header name
+ * Only CSV_REQUIRED_COLUMNS are needed to load a file; older exports have no Topics column
  */
-async function generateCompaniesFromFolders() {
-    const generator = new CompanyDataGenerator();
-    return await generator.generateCompaniesFromFolders();
-}
+const CSV_EXPECTED_COLUMNS = {
+    difficulty: 'Difficulty',
+    title: 'Title',
+    frequency: 'Frequency',
+    acceptancerate: 'Acceptance Rate',
+    link: 'Link',
+    topics: 'Topics'
+};
 
-// Run the script if called directly
-if (require.main === module) {
-    generateCompaniesFromFolders();
+/**
+ * Links have to point at a LeetCode problem page so slugs and bookmarks line up
+ */
+const LEETCODE_PROBLEM_LINK = /^https:\/\/leetcode\.com\/problems\/[a-z0-9-]+\/?$/;
+
+/**
+ * Exports list at most this many problems per file, so a full All file can't hold every older problem
+ */
+const TIMEFRAME_EXPORT_ROW_CAP = 100;
+
+/**
+ * Checks the company-wise-problems tree for rows that would break company pages
+ * Every issue is { severity, check, company, file, line, column, message }; errors fail validation, warnings don't
+ */
+class CompanyDataValidator {
+    constructor(generator = new CompanyDataGenerator()) {
+        this.generator = generator;
+        this.companiesDir = generator.companiesDir;
+        this.issues = [];
+        this.stats = { companies: 0, files: 0, rows: 0 };
+        // slug -> difficulty -> first row seen with it, to find conflicting difficulties across companies
+        this.difficultiesBySlug = new Map();
+    }
+
+    /**
+     * Validate every company folder and return the report
+     */
+    validate() {
+        if (!fs.existsSync(this.companiesDir)) {
+            this.addIssue('error', 'missing-files', { message: `Directory ${this.companiesDir} does not exist` });
+            return this.getReport();
+        }
+
+        this.generator.getCompanyFolders().forEach(folderName => this.validateCompanyFolder(folderName));
+        this.checkDifficultyConflicts();
+        return this.getReport();
+    }
+
+    /**
+     * Validate the timeframe files of one company
+     */
+    validateCompanyFolder(company) {
+        const companyPath = path.join(this.companiesDir, company);
+        const csvFiles = fs.readdirSync(companyPath).filter(file => file.endsWith('.csv'));
+        this.stats.companies++;
+
+        if (csvFiles.length === 0) {
+            this.addIssue('warning', 'missing-files', { company, message: 'Company folder has no CSV files' });
+            return;
+        }
+
+        csvFiles
+            .filter(file => !PROBLEM_TIMEFRAMES.some(timeframe => timeframe.file === file))
+            .forEach(file => this.addIssue('warning', 'missing-files', {
+                company,
+                file: path.join(companyPath, file),
+                message: `Not a timeframe file (${this.generator.csvFilePatterns.join(', ')}), so it is never loaded`
+            }));
+
+        // { rows: slug -> row, rowCount } for each timeframe file present
+        const timeframeRows = new Map();
+        PROBLEM_TIMEFRAMES
+            .filter(timeframe => csvFiles.includes(timeframe.file))
+            .forEach(timeframe => {
+                timeframeRows.set(timeframe.key, this.validateFile(company, path.join(companyPath, timeframe.file)));
+            });
+
+        const allFile = timeframeRows.get('all');
+        if (!allFile) {
+            const allFileName = PROBLEM_TIMEFRAMES.find(timeframe => timeframe.key === 'all').file;
+            this.addIssue('error', 'missing-files', { company, message: `Missing "${allFileName}"` });
+            return;
+        }
+
+        // Some exports came back with an empty All file; one warning covers it
+        if (allFile.rowCount === 0) {
+            const listed = Array.from(timeframeRows.values()).reduce((sum, { rows }) => sum + rows.size, 0);
+            if (listed > 0) {
+                this.addIssue('warning', 'timeframe-subset', {
+                    company,
+                    file: path.join(companyPath, PROBLEM_TIMEFRAMES.find(timeframe => timeframe.key === 'all').file),
+                    message: `All timeframe file has no rows, but other timeframe files list ${listed}`
+                });
+            }
+            return;
+        }
+
+        // Every problem in a shorter timeframe also belongs in All, unless All was cut off at the export cap
+        const allCapped = allFile.rowCount >= TIMEFRAME_EXPORT_ROW_CAP;
+        timeframeRows.forEach(({ rows }, timeframeKey) => {
+            if (timeframeKey === 'all') return;
+            rows.forEach((row, slug) => {
+                if (!allFile.rows.has(slug)) {
+                    this.addIssue(allCapped ? 'warning' : 'error', 'timeframe-subset', {
+                        company,
+                        file: row.file,
+                        line: row.line,
+                        column: row.linkColumn,
+                        message: `"${row.title}" (${slug}) is missing from the All timeframe file` +
+                            (allCapped ? `, which is capped at ${TIMEFRAME_EXPORT_ROW_CAP} rows` : '')
+                    });
+                }
+            });
+        });
+    }
+
+    /**
+     * Validate the header and rows of one CSV file
+     * Returns { rows, rowCount }: a Map of slug -> row for the rows that can be identified, and the number of data rows
+     */
+    validateFile(company, file) {
+        const rowsBySlug = new Map();
+        const result = { rows: rowsBySlug, rowCount: 0 };
+        this.stats.files++;
+
+        let parsed;
+        try {
+            parsed = CSVParser.parse(fs.readFileSync(file, 'utf8'), { file });
+        } catch (error) {
+            this.addIssue('error', 'parse', { company, file, message: `Could not read file: ${error.message}` });
+            return result;
+        }
+
+        parsed.diagnostics.forEach(({ line, column, reason }) => {
+            this.addIssue('error', 'parse', { company, file, line, column, message: reason });
+        });
+
+        const [headerRecord, ...records] = parsed.records;
+        if (!headerRecord) {
+            this.addIssue('error', 'header', { company, file, line: 1, message: 'File is empty' });
+            return result;
+        }
+
+        const header = headerRecord.fields.map(column => column.toLowerCase().replace(/[^a-z0-9]/g, ''));
+        if (!this.validateHeader(company, file, headerRecord, header)) {
+            return result;
+        }
+
+        result.rowCount = records.length;
+        records.forEach(record => {
+            const row = this.validateRow(company, file, record, header);
+            if (!row) return;
+
+            const duplicate = rowsBySlug.get(row.slug);
+            if (duplicate) {
+                this.addIssue('error', 'duplicate', {
+                    company,
+                    file,
+                    line: row.line,
+                    column: row.linkColumn,
+                    message: `"${row.title}" (${row.slug}) is already listed on line ${duplicate.line}`
+                });
+                return;
+            }
+            rowsBySlug.set(row.slug, row);
+            this.recordDifficulty(row, company);
+        });
+
+        return result;
+    }
+
+    /**
+     * Check header columns; false when the rows can't be read
+     */
+    validateHeader(company, file, headerRecord, header) {
+        const location = index => ({ company, file, line: headerRecord.line, column: headerRecord.columns[index] });
+
+        header.forEach((column, index) => {
+            if (!CSV_EXPECTED_COLUMNS[column]) {
+                this.addIssue('warning', 'header', { ...location(index), message: `Unknown column "${headerRecord.fields[index]}"` });
+            } else if (header.indexOf(column) !== index) {
+                this.addIssue('error', 'header', { ...location(index), message: `Column "${headerRecord.fields[index]}" appears more than once` });
+            }
+        });
+
+        Object.keys(CSV_EXPECTED_COLUMNS)
+            .filter(column => column !== 'topics' && !CSV_REQUIRED_COLUMNS[column] && !header.includes(column))
+            .forEach(column => {
+                this.addIssue('warning', 'header', { ...location(0), message: `Missing column "${CSV_EXPECTED_COLUMNS[column]}"` });
+            });
+
+        const missingColumns = Object.keys(CSV_REQUIRED_COLUMNS).filter(column => !header.includes(column));
+        if (missingColumns.length > 0) {
+            this.addIssue('error', 'header', {
+                ...location(0),
+                message: `Missing required columns: ${missingColumns.map(column => CSV_REQUIRED_COLUMNS[column]).join(', ')}`
+            });
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Check the values of one row; returns { slug, title, difficulty, file, line, linkColumn } or null
+     */
+    validateRow(company, file, record, header) {
+        const values = record.fields.map(value => value.trim());
+        this.stats.rows++;
+
+        // A stray comma at the end of a line only adds empty fields, as when the app loads the file
+        while (values.length > header.length && values[values.length - 1] === '') {
+            values.pop();
+        }
+
+        if (values.length !== header.length) {
+            this.addIssue('error', 'columns', {
+                company,
+                file,
+                line: record.line,
+                column: record.columns[Math.min(values.length, header.length)] || record.columns[values.length - 1],
+                message: `Expected ${header.length} fields but found ${values.length}`
+            });
+            return null;
+        }
+
+        const value = column => values[header.indexOf(column)];
+        const issue = (check, column, message) => this.addIssue('error', check, {
+            company,
+            file,
+            line: record.line,
+            column: record.columns[header.indexOf(column)],
+            message
+        });
+
+        const title = value('title');
+        if (!title) {
+            issue('title', 'title', 'Title is empty');
+        }
+
+        const difficulty = value('difficulty').toUpperCase();
+        if (!['EASY', 'MEDIUM', 'HARD'].includes(difficulty)) {
+            issue('difficulty', 'difficulty', `Difficulty "${value('difficulty')}" must be one of: EASY, MEDIUM, HARD`);
+        }
+
+        this.validateRange(value('frequency'), 0, 100, message => issue('frequency', 'frequency', `Frequency ${message}`));
+        this.validateRange(value('acceptancerate'), 0, 1, message => issue('acceptance', 'acceptancerate', `Acceptance Rate ${message}`));
+
+        const link = value('link');
+        if (!LEETCODE_PROBLEM_LINK.test(link)) {
+            issue('link', 'link', `Link "${link}" is not a https://leetcode.com/problems/<slug> URL`);
+        }
+
+        const slug = Problem.extractSlug(link);
+        if (!slug || !title) return null;
+
+        return {
+            slug,
+            title,
+            difficulty,
+            file,
+            line: record.line,
+            linkColumn: record.columns[header.indexOf('link')]
+        };
+    }
+
+    /**
+     * Report a value that is not a number between min and max; columns a file lacks are not checked
+     */
+    validateRange(value, min, max, report) {
+        if (value === undefined) return;
+
+        const number = Number(value);
+        if (value === '' || isNaN(number)) {
+            report(`"${value}" is not a number`);
+        } else if (number < min || number > max) {
+            report(`${value} must be between ${min} and ${max}`);
+        }
+    }
+
+    recordDifficulty(row, company) {
+        if (!['EASY', 'MEDIUM', 'HARD'].includes(row.difficulty)) return;
+
+        if (!this.difficultiesBySlug.has(row.slug)) {
+            this.difficultiesBySlug.set(row.slug, new Map());
+        }
+        const difficulties = this.difficultiesBySlug.get(row.slug);
+        if (!difficulties.has(row.difficulty)) {
+            difficulties.set(row.difficulty, { ...row, company });
+        }
+    }
+
+    /**
+     * One issue per problem listed with different difficulties, pointing at the first row of each
+     */
+    checkDifficultyConflicts() {
+        this.difficultiesBySlug.forEach((difficulties, slug) => {
+            if (difficulties.size < 2) return;
+
+            const rows = Array.from(difficulties.values());
+            this.addIssue('error', 'difficulty-conflict', {
+                company: rows[0].company,
+                file: rows[0].file,
+                line: rows[0].line,
+                message: `"${rows[0].title}" (${slug}) has conflicting difficulties: ` +
+                    rows.map(row => `${row.difficulty} in ${row.file}:${row.line}`).join(', ')
+            });
+        });
+    }
+
+    addIssue(severity, check, { company = null, file = null, line = null, column = null, message }) {
+        this.issues.push({ severity, check, company, file, line, column: column === undefined ? null : column, message });
+    }
+
+    /**
+     * Machine-readable report; valid is false when there is any error
+     */
+    getReport() {
+        const errors = this.issues.filter(issue => issue.severity === 'error').length;
+        const byCheck = {};
+        this.issues.forEach(issue => {
+            byCheck[issue.check] = (byCheck[issue.check] || 0) + 1;
+        });
+
+        return {
+            valid: errors === 0,
+            checked: new Date().toISOString(),
+            summary: {
+                ...this.stats,
+                errors,
+                warnings: this.issues.length - errors,
+                byCheck
+            },
+            issues: this.issues
+        };
+    }
 }
 
-module.exports = { generateCompaniesFromFolders };
 /**
+ * Generate companies list from folder structure
+ */
+async function generateCompaniesFromFolders(options = {}) {
+    const generator = new CompanyDataGenerator();
+    return await generator.generateCompaniesFromFolders(options);
+}
 
+/**
  * CLI interface for the company generator
  */
 async function main() {
     const generator = new CompanyDataGenerator();
+
+    // --validate only checks the CSV tree: the JSON report goes to stdout, a summary to stderr
+    if (process.argv.includes('--validate')) {
+        const report = new CompanyDataValidator(generator).validate();
+        const { companies, files, errors, warnings } = report.summary;
+
+        console.log(JSON.stringify(report, null, 2));
+        console.error(`${report.valid ? '✓' : '✗'} Checked ${files} files in ${companies} company folders: ` +
+            `${errors} errors, ${warnings} warnings`);
+        process.exitCode = report.valid ? 0 : 1;
+        return;
+    }
     
     console.log('🔍 Company Data Generator');
     console.log('========================\n');
     
     // Check if regeneration is needed
+    const force = process.argv.includes('--force');
     const validation = generator.validateCompaniesFile();
     if (validation.valid) {
         console.log(`✓ Existing companies.json is valid (${validation.companies} companies)`);
         console.log('Use --force to regenerate anyway\n');
         
-        if (!process.argv.includes('--force')) {
+        if (!force) {
             return;
         }
     } else {
         console.log(`⚠ Companies.json needs regeneration: ${validation.reason}\n`);
     }
     
-    // Generate companies data
+    // Generate companies data: changed folders only, or every folder with --force
     console.log('Scanning company folders...\n');
-    const companies = await generateCompaniesFromFolders();
+    const companies = await generator.generateCompaniesFromFolders({ force });
     
     if (companies.length > 0) {
         console.log('\n✅ Company data generation completed successfully!');
@@ -426,5 +1050,6 @@ if (require.main === module) {
 
 module.exports = { 
     generateCompaniesFromFolders, 
-    CompanyDataGenerator 
+    CompanyDataGenerator,
+    CompanyDataValidator
 };
\ No newline at end of file
@@ -519,8 +519,10 @@ class AccessibilityManager {
             
             // Update ARIA pressed state on click
             button.addEventListener('click', () => {
-                // Remove active from all buttons
-                filterButtons.forEach(btn => {
+                // Remove active from the other buttons in the same group
+                const group = button.closest('.filter-buttons');
+                const groupButtons = group ? group.querySelectorAll('.filter-btn') : filterButtons;
+                groupButtons.forEach(btn => {
                     btn.classList.remove('active');
                     btn.setAttribute('aria-pressed', 'false');
                 });
@@ -0,0 +1,187 @@
+// Activity statistics over the per-problem event log
+// Builds daily activity counts, streaks, heatmap weeks and weekly solves for the stats page
+
+/**
+ * Statistics helpers; history is the StateManager event log keyed by problem ID
+ */
+class ActivityStats {
+    /**
+     * Local calendar day key (YYYY-MM-DD) for a date
+     */
+    static toDayKey(date) {
+        const d = new Date(date);
+        const month = String(d.getMonth() + 1).padStart(2, '0');
+        const day = String(d.getDate()).padStart(2, '0');
+        return `${d.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Start of the local day a number of days away from the given date
+     */
+    static addDays(date, days) {
+        const d = new Date(date);
+        return new Date(d.getFullYear(), d.getMonth(), d.getDate() + days);
+    }
+
+    /**
+     * Count activity per day: solves that were not undone, plus reviews
+     * Events without a timestamp (migrated from before history tracking) are skipped
+     */
+    static buildDailyCounts(history) {
+        const counts = new Map();
+        const reviews = [];
+
+        Object.entries(history).forEach(([problemId, events]) => {
+            events
+                .filter(event => event.type === 'reviewed')
+                .forEach(event => reviews.push({ problemId, timestamp: event.timestamp }));
+        });
+
+        [...ActivityStats.getEffectiveSolves(history), ...reviews].forEach(activity => {
+            if (!activity.timestamp) return;
+
+            const key = ActivityStats.toDayKey(activity.timestamp);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+
+        return counts;
+    }
+
+    /**
+     * Solve events that were not undone by a later unsolved event
+     */
+    static getEffectiveSolves(history) {
+        const solves = [];
+
+        Object.entries(history).forEach(([problemId, events]) => {
+            const pending = [];
+
+            events.forEach(event => {
+                if (event.type === 'solved') {
+                    pending.push({ problemId, timestamp: event.timestamp });
+                } else if (event.type === 'unsolved') {
+                    pending.pop();
+                }
+            });
+
+            solves.push(...pending);
+        });
+
+        return solves;
+    }
+
+    /**
+     * Current and longest runs of consecutive active days
+     * The current streak still counts when today has no activity yet but yesterday had
+     */
+    static calculateStreaks(dailyCounts, today = new Date()) {
+        const isActive = date => (dailyCounts.get(ActivityStats.toDayKey(date)) || 0) > 0;
+
+        let current = 0;
+        let day = isActive(today) ? ActivityStats.addDays(today, 0) : ActivityStats.addDays(today, -1);
+        while (isActive(day)) {
+            current++;
+            day = ActivityStats.addDays(day, -1);
+        }
+
+        let longest = 0;
+        let run = 0;
+        let previousDay = null;
+        Array.from(dailyCounts.keys())
+            .filter(key => dailyCounts.get(key) > 0)
+            .sort()
+            .forEach(key => {
+                const [year, month, date] = key.split('-').map(Number);
+                const currentDay = new Date(year, month - 1, date);
+                const isConsecutive = previousDay &&
+                    ActivityStats.toDayKey(ActivityStats.addDays(previousDay, 1)) === key;
+
+                run = isConsecutive ? run + 1 : 1;
+                longest = Math.max(longest, run);
+                previousDay = currentDay;
+            });
+
+        return { current, longest };
+    }
+
+    /**
+     * Heatmap intensity level (0-4) for a day's activity count
+     */
+    static getActivityLevel(count) {
+        if (count <= 0) return 0;
+        if (count === 1) return 1;
+        if (count <= 3) return 2;
+        if (count <= 6) return 3;
+        return 4;
+    }
+
+    /**
+     * Heatmap columns of seven days (Sunday to Saturday), ending with the week containing today
+     * Days after today are null
+     */
+    static buildHeatmapWeeks(dailyCounts, weekCount = 53, today = new Date()) {
+        const lastDay = ActivityStats.addDays(today, 0);
+        const firstDay = ActivityStats.addDays(lastDay, -lastDay.getDay() - (weekCount - 1) * 7);
+        const weeks = [];
+
+        for (let week = 0; week < weekCount; week++) {
+            const days = [];
+            for (let weekday = 0; weekday < 7; weekday++) {
+                const date = ActivityStats.addDays(firstDay, week * 7 + weekday);
+                if (date > lastDay) {
+                    days.push(null);
+                    continue;
+                }
+
+                const key = ActivityStats.toDayKey(date);
+                const count = dailyCounts.get(key) || 0;
+                days.push({ date: key, count, level: ActivityStats.getActivityLevel(count) });
+            }
+            weeks.push(days);
+        }
+
+        return weeks;
+    }
+
+    /**
+     * Solves per week by difficulty for the most recent weeks, oldest first
+     * difficultyById maps problem IDs to EASY/MEDIUM/HARD; unknown problems are counted separately
+     */
+    static weeklySolvesByDifficulty(solves, difficultyById, weekCount = 12, today = new Date()) {
+        const currentWeekStart = ActivityStats.addDays(today, -new Date(today).getDay());
+        const weeks = [];
+
+        for (let i = weekCount - 1; i >= 0; i--) {
+            weeks.push({
+                weekStart: ActivityStats.toDayKey(ActivityStats.addDays(currentWeekStart, -i * 7)),
+                easy: 0,
+                medium: 0,
+                hard: 0,
+                unknown: 0
+            });
+        }
+
+        solves.forEach(solve => {
+            if (!solve.timestamp) return;
+
+            const solveDate = new Date(solve.timestamp);
+            const weekStart = ActivityStats.toDayKey(ActivityStats.addDays(solveDate, -solveDate.getDay()));
+            const week = weeks.find(w => w.weekStart === weekStart);
+            if (!week) return;
+
+            const difficulty = (difficultyById.get(solve.problemId) || '').toLowerCase();
+            if (['easy', 'medium', 'hard'].includes(difficulty)) {
+                week[difficulty]++;
+            } else {
+                week.unknown++;
+            }
+        });
+
+        return weeks;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ActivityStats;
+}
@@ -8,6 +8,7 @@ let stateManager;
 let router;
 let dataManager;
 let accessibilityManager;
+let syncAdapter;
 
 /**
  * Initialize the application with enhanced company data initialization
@@ -22,6 +23,12 @@ async function initializeApp() {
         // Initialize state manager
         console.log('Initializing StateManager...');
         stateManager = new StateManager();
+        await stateManager.ready;
+        
+        // Sync with a self-hosted server when one is configured; runs in the background
+        syncAdapter = new HttpSyncAdapter(stateManager);
+        syncAdapter.start();
+        syncAdapter.sync();
         
         // Initialize data manager
         console.log('Initializing DataManager...');
@@ -43,6 +50,7 @@ async function initializeApp() {
         window.router = router;
         window.dataManager = dataManager;
         window.stateManager = stateManager;
+        window.syncAdapter = syncAdapter;
         window.accessibilityManager = accessibilityManager;
         
         // Initialize company data system with error handling
@@ -55,6 +63,15 @@ async function initializeApp() {
         // Set up state change listeners
         setupStateListeners();
         
+        // Tell the user about progress entries that could not be migrated
+        reportProblemIdMigration();
+        
+        // Warn when progress cannot be saved in this browser
+        updateStorageBanner();
+        
+        // Show how many solved problems are due for review
+        updateReviewDueIndicators();
+        
         // Set up global search functionality
         setupGlobalSearch();
         
@@ -64,6 +81,9 @@ async function initializeApp() {
         // Set up theme toggle functionality
         setupThemeToggle();
         
+        // Set up the profile switcher next to the theme toggle
+        setupProfileSwitcher();
+        
         // Set up enhanced error handling
         setupEnhancedErrorHandling();
         
@@ -213,6 +233,43 @@ function setupRouterListeners() {
         initializeFavoritesPage();
     });
     
+    window.addEventListener('settings-page:load', () => {
+        console.log('Settings page loaded');
+        // Initialize backup and restore components
+        initializeSettingsPage();
+    });
+    
+    window.addEventListener('stats-page:load', () => {
+        console.log('Stats page loaded');
+        // Initialize activity stats components
+        initializeStatsPage();
+    });
+    
+    window.addEventListener('review-page:load', () => {
+        console.log('Review page loaded');
+        // Initialize review queue components
+        initializeReviewPage();
+    });
+    
+    window.addEventListener('topics-page:load', () => {
+        console.log('Topics page loaded');
+        // Initialize topic list components
+        initializeTopicsPage();
+    });
+    
+    window.addEventListener('topic-page:load', (event) => {
+        const { topicName } = event.detail;
+        console.log(`Topic page loaded: ${topicName}`);
+        // Initialize topic page components
+        initializeTopicPage(topicName);
+    });
+    
+    window.addEventListener('targets-page:load', () => {
+        console.log('Targets page loaded');
+        // Initialize targets page components
+        initializeTargetsPage();
+    });
+    
     window.addEventListener('search-results:load', () => {
         console.log('Search results loaded');
         // Initialize search results components
@@ -339,10 +396,9 @@ function setupThemeToggle() {
         const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
         mediaQuery.addEventListener('change', (e) => {
             // Only auto-switch if user hasn't manually set a preference
-            const hasManualPreference = localStorage.getItem('leetcode_app_state');
-            if (!hasManualPreference && stateManager) {
+            if (stateManager && !stateManager.hasChosenTheme()) {
                 const systemTheme = e.matches ? 'dark' : 'light';
-                stateManager.updateTheme(systemTheme);
+                stateManager.updateTheme(systemTheme, false);
             }
         });
     }
@@ -378,6 +434,7 @@ function setupGlobalSearch() {
         if (e.key === 'Escape' && document.activeElement === searchInput) {
             searchInput.blur();
             searchInput.value = '';
+            showSearchQueryErrors('');
             const searchClear = document.querySelector('.search-clear');
             if (searchClear) {
                 searchClear.style.display = 'none';
@@ -404,7 +461,7 @@ function setupGlobalSearch() {
             
             // If we have a query and we're not on search results page, navigate there
             if (query.length > 0 && !RouterUtils.isCurrentRoute('/search')) {
-                RouterUtils.goToSearch();
+                RouterUtils.goToSearch(query);
             } else if (query.length === 0 && RouterUtils.isCurrentRoute('/search')) {
                 // If search is cleared and we're on search page, go back to home
                 RouterUtils.goHome();
@@ -421,6 +478,9 @@ function setupGlobalSearch() {
             searchClear.style.display = query ? 'block' : 'none';
         }
         
+        // Report qualifier mistakes as they are typed
+        showSearchQueryErrors(query);
+        
         // Perform global search if query is long enough or empty (to clear)
         if (query.length >= 2 || query.length === 0) {
             performGlobalSearch(query);
@@ -438,7 +498,7 @@ function setupGlobalSearch() {
                 if (stateManager) {
                     stateManager.updateSearchQuery(query);
                 }
-                RouterUtils.goToSearch();
+                RouterUtils.goToSearch(query);
             }
         }
     });
@@ -450,6 +510,7 @@ function setupGlobalSearch() {
             searchInput.value = '';
             searchClear.style.display = 'none';
             searchInput.focus();
+            showSearchQueryErrors('');
             
             // Clear search and navigate away from search page if needed
             if (stateManager) {
@@ -464,6 +525,114 @@ function setupGlobalSearch() {
     console.log('Global search functionality initialized');
 }
 
+/**
+ * List a query's parse errors under the search bar, hiding the list when there are none
+ */
+function showSearchQueryErrors(query) {
+    const errorList = document.getElementById('search-query-errors');
+    if (!errorList) return;
+    
+    const { errors } = SearchQuery.parse(query);
+    errorList.innerHTML = errors.map(error => {
+        const snippet = query.slice(error.start, error.end);
+        return `<li><code>${Utils.sanitizeHTML(snippet)}</code> ${Utils.sanitizeHTML(error.message)}</li>`;
+    }).join('');
+    errorList.hidden = errors.length === 0;
+}
+
+/**
+ * Notify the user when the legacy problem ID migration left entries unmapped
+ */
+function reportProblemIdMigration() {
+    const report = stateManager.getIdMigrationReport();
+    if (!report) return;
+    
+    const unmappedCount = report.unmapped.solvedProblems.length + report.unmapped.bookmarkedProblems.length;
+    if (unmappedCount > 0 && window.errorHandler) {
+        window.errorHandler.showErrorNotification(
+            'Some progress could not be migrated',
+            `${unmappedCount} saved problem ${unmappedCount === 1 ? 'entry' : 'entries'} could not be matched to a problem. See the console for details.`,
+            'warning',
+            10000
+        );
+    }
+}
+
+/**
+ * Set up the header profile switcher
+ */
+function setupProfileSwitcher() {
+    const profileSelect = document.getElementById('profile-select');
+    if (!profileSelect) return;
+    
+    renderProfileSwitcher();
+    
+    profileSelect.addEventListener('change', async () => {
+        if (profileSelect.value === '__manage') {
+            renderProfileSwitcher();
+            router.navigate('/settings');
+            return;
+        }
+        
+        await switchToProfile(profileSelect.value);
+    });
+}
+
+/**
+ * List profiles in the header switcher, with the active one selected
+ */
+function renderProfileSwitcher() {
+    const profileSelect = document.getElementById('profile-select');
+    if (!profileSelect) return;
+    
+    profileSelect.innerHTML = '';
+    stateManager.getProfiles().forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        profileSelect.appendChild(option);
+    });
+    
+    const manageOption = document.createElement('option');
+    manageOption.value = '__manage';
+    manageOption.textContent = 'Manage profiles…';
+    profileSelect.appendChild(manageOption);
+    
+    profileSelect.value = stateManager.getProfile().id;
+}
+
+/**
+ * Load another profile, moving sync over to that profile's server settings
+ */
+async function switchToProfile(profileId) {
+    if (syncAdapter) {
+        syncAdapter.stop();
+        await syncAdapter.syncing;
+    }
+    
+    const switched = await stateManager.switchProfile(profileId);
+    
+    syncAdapter = new HttpSyncAdapter(stateManager);
+    window.syncAdapter = syncAdapter;
+    syncAdapter.start();
+    syncAdapter.sync();
+    
+    if (switched) {
+        showActionFeedback(`Switched to ${stateManager.getProfile().name}`);
+    }
+    return switched;
+}
+
+/**
+ * Show the "progress will not persist" banner while state is only kept in memory
+ */
+function updateStorageBanner() {
+    const banner = document.getElementById('storage-banner');
+    if (!banner) return;
+    
+    banner.style.display = stateManager.isPersistent() ? 'none' : 'block';
+}
+
 /**
  * Set up event listeners for state changes
  */
@@ -475,15 +644,78 @@ function setupStateListeners() {
     });
     
     // Listen for solved status changes
-    stateManager.addEventListener('solvedStatusChanged', ({ problemId, solved }) => {
-        console.log(`Problem ${problemId} marked as ${solved ? 'solved' : 'unsolved'}`);
+    stateManager.addEventListener('solvedStatusChanged', ({ problemId, solved, remote }) => {
+        console.log(`Problem ${problemId} marked as ${solved ? 'solved' : 'unsolved'}${remote ? ' in another tab' : ''}`);
         updateProblemUI(problemId, 'solved', solved);
+        updateReviewDueIndicators();
+        refreshGridFilterCounts();
+        if (remote) updateViewsForRemoteChange(problemId);
+    });
+    
+    // Listen for spaced-repetition reviews
+    stateManager.addEventListener('reviewRecorded', ({ problemId, review }) => {
+        console.log(`Problem ${problemId} rated ${review.confidence}, next review ${review.dueDate}`);
+        updateReviewDueIndicators();
+        refreshGridFilterCounts();
+    });
+    
+    // Storage backend switched or failed
+    stateManager.addEventListener('storageChanged', ({ backend, persistent }) => {
+        console.log(`Storage backend: ${backend}${persistent ? '' : ' (not persistent)'}`);
+        updateStorageBanner();
+        renderStorageSettings();
+    });
+    
+    // Another profile was loaded; everything on screen belongs to the old one
+    stateManager.addEventListener('profileChanged', ({ profile }) => {
+        console.log('Profile changed to:', profile.name);
+        applyTheme(stateManager.getTheme());
+        updateReviewDueIndicators();
+        renderProfileSwitcher();
+        renderProfileSettings();
+        renderSyncSettings();
+        
+        const currentRoute = router ? router.getCurrentRoute() : null;
+        if (currentRoute && currentRoute.path) {
+            router.handleRoute(router.getCurrentUrl());
+        }
+    });
+    
+    // Profiles added or removed
+    stateManager.addEventListener('profilesChanged', () => {
+        renderProfileSwitcher();
+        renderProfileSettings();
+    });
+    
+    // Sync started, finished or failed
+    stateManager.addEventListener('syncStatusChanged', ({ syncing, error }) => {
+        if (!syncing && error) {
+            console.warn('Sync error:', error);
+        }
+        renderSyncSettings();
+    });
+    
+    // Apply imported preferences and refresh indicators after a backup import
+    stateManager.addEventListener('stateImported', () => {
+        console.log('State imported from backup');
+        applyTheme(stateManager.getTheme());
+        updateReviewDueIndicators();
     });
     
     // Listen for bookmark status changes
-    stateManager.addEventListener('bookmarkStatusChanged', ({ problemId, bookmarked }) => {
-        console.log(`Problem ${problemId} ${bookmarked ? 'bookmarked' : 'unbookmarked'}`);
+    stateManager.addEventListener('bookmarkStatusChanged', ({ problemId, bookmarked, remote }) => {
+        console.log(`Problem ${problemId} ${bookmarked ? 'bookmarked' : 'unbookmarked'}${remote ? ' in another tab' : ''}`);
         updateProblemUI(problemId, 'bookmarked', bookmarked);
+        refreshGridFilterCounts();
+        if (remote) updateViewsForRemoteChange(problemId);
+    });
+    
+    // Notes edited in another tab; leave the editor alone while the user is typing in it
+    stateManager.addEventListener('noteChanged', ({ problemId, remote }) => {
+        const editor = document.getElementById('problem-notes-editor');
+        if (remote && isProblemDetailOpen(problemId) && document.activeElement !== editor) {
+            renderProblemNotes(problemId);
+        }
     });
     
     // Listen for company progress changes
@@ -547,8 +779,7 @@ function applyTheme(theme) {
  * Update problem UI based on state changes
  */
 function updateProblemUI(problemId, type, value) {
-    const problemElement = document.querySelector(`[data-problem-id="${problemId}"]`);
-    if (problemElement) {
+    document.querySelectorAll(`[data-problem-id="${problemId}"]`).forEach(problemElement => {
         if (type === 'solved') {
             problemElement.classList.toggle('solved', value);
             const solvedIndicator = problemElement.querySelector('.solved-indicator');
@@ -564,6 +795,29 @@ function updateProblemUI(problemId, type, value) {
                 bookmarkButton.setAttribute('aria-label', value ? 'Remove bookmark' : 'Add bookmark');
             }
         }
+    });
+}
+
+/**
+ * Check whether the problem detail page is showing a problem
+ */
+function isProblemDetailOpen(problemId) {
+    const currentRoute = router ? router.getCurrentRoute() : null;
+    return Boolean(currentRoute && currentRoute.params && currentRoute.params.problemId === problemId);
+}
+
+/**
+ * Refresh progress bars and the problem detail actions after a change made in another tab
+ */
+function updateViewsForRemoteChange(problemId) {
+    if (getCurrentCompanyName()) {
+        updateCompanyProgressFromState();
+    }
+    
+    if (isProblemDetailOpen(problemId)) {
+        updateSolvedButton(stateManager.isProblemSolved(problemId));
+        updateBookmarkButton(stateManager.isProblemBookmarked(problemId));
+        updateSolveConfidence(problemId);
     }
 }
 
@@ -1109,11 +1363,16 @@ function animateCounter(element, targetValue, duration = 1000) {
 function showEmptyFavoritesState() {
     const favoritesGrid = document.getElementById('favorites-grid');
     const emptyFavorites = document.querySelector('.empty-favorites');
+    const noFilterMatches = document.querySelector('#favorites-page .no-problems');
     
     if (favoritesGrid) {
         favoritesGrid.style.display = 'none';
     }
     
+    if (noFilterMatches) {
+        noFilterMatches.style.display = 'none';
+    }
+    
     if (emptyFavorites) {
         emptyFavorites.style.display = 'block';
     }
@@ -1150,13 +1409,14 @@ async function renderBookmarkedProblems(bookmarkedProblems) {
     // Clear existing content
     favoritesGrid.innerHTML = '';
     
-    // Sort problems by company name and then by title
-    const sortedProblems = bookmarkedProblems.sort((a, b) => {
-        if (a.companyName !== b.companyName) {
-            return a.companyName.localeCompare(b.companyName);
-        }
-        return a.title.localeCompare(b.title);
-    });
+    // Apply the difficulty and status filters, then the chosen sort (company name and then title by default)
+    const filteredProblems = applyGridFilters(bookmarkedProblems, document.getElementById('favorites-page'));
+    const sortedProblems = sortGridProblems(filteredProblems, getGridSort('favorites'));
+    
+    const noProblems = document.querySelector('#favorites-page .no-problems');
+    if (noProblems) {
+        noProblems.style.display = sortedProblems.length === 0 ? 'block' : 'none';
+    }
     
     // Create problem cards for bookmarked problems
     for (const problem of sortedProblems) {
@@ -2265,13 +2525,34 @@ async function initializeCompanyPage(companyName) {
         // Apply user state to problems (solved/bookmarked status)
         const problemsWithState = applyUserStateToProblems(problems);
         
+        // Filters come from the URL so views can be shared; otherwise start from the last picked timeframe
+        // and the topics last picked for this company
+        const query = router.getQuery();
+        const isTimeframe = key => PROBLEM_TIMEFRAMES.some(timeframe => timeframe.key === key);
+        const savedTimeframe = stateManager ? stateManager.getFilters().timeframe : null;
+        const urlTopics = router.getQueryValues('topic');
+        const topicFilter = urlTopics.length > 0 ?
+            { topics: urlTopics, mode: query.match === 'all' ? 'and' : 'or' } :
+            (stateManager ? stateManager.getCompanyTopicFilter(companyName) : { topics: [], mode: 'or' });
+        const companyTopics = new Set(problemsWithState.flatMap(problem => problem.topics || []));
+        companyPageView = {
+            companyName,
+            problems: problemsWithState,
+            difficulty: getQueryDifficulty(query),
+            status: getQueryStatus(query),
+            timeframe: isTimeframe(query.timeframe) ? query.timeframe : (isTimeframe(savedTimeframe) ? savedTimeframe : 'all'),
+            topics: topicFilter.topics.filter(topic => companyTopics.has(topic)),
+            topicMode: topicFilter.mode,
+            sort: getGridSort('company')
+        };
+        
         // Set up filter controls
         console.log('Setting up filter controls...');
         setupCompanyPageFilters(problemsWithState);
         
-        // Render problems with default filter (all)
+        // Render problems with default filters (all difficulties, all timeframes)
         console.log('Rendering problems...');
-        await renderProblems(problemsWithState, 'all');
+        await renderCompanyPageView();
         
         // Update company progress
         updateCompanyProgress(company, problemsWithState);
@@ -2306,16 +2587,25 @@ async function initializeProblemDetail(companyName, problemId) {
             throw new Error(`Missing required elements: ${missingElements.join(', ')}`);
         }
         
-        // Load company problems to find the specific problem
-        console.log(`Loading problems for company: ${companyName}`);
-        const problems = await dataManager.loadCompanyProblems(companyName);
-        
-        if (!problems || problems.length === 0) {
-            throw new Error(`No problems found for company: ${companyName}`);
+        // Look the problem up in the global index first
+        let problem = null;
+        const indexedProblem = await dataManager.findIndexedProblem(problemId);
+        if (indexedProblem) {
+            problem = dataManager.getCompanyProblemView(indexedProblem, companyName);
         }
         
-        // Find the specific problem by ID
-        const problem = problems.find(p => p.id === problemId);
+        if (!problem) {
+            // Fall back to the company's CSV files
+            console.log(`Loading problems for company: ${companyName}`);
+            const problems = await dataManager.loadCompanyProblems(companyName);
+            
+            if (!problems || problems.length === 0) {
+                throw new Error(`No problems found for company: ${companyName}`);
+            }
+            
+            // Find the specific problem by ID
+            problem = problems.find(p => p.id === problemId);
+        }
         
         if (!problem) {
             throw new Error(`Problem not found: ${problemId}`);
@@ -2333,6 +2623,15 @@ async function initializeProblemDetail(companyName, problemId) {
         // Update problem detail UI
         updateProblemDetailUI(problemWithState, companyName);
         
+        // Show the spaced-repetition rating for solved problems
+        updateSolveConfidence(problem.id);
+        
+        // List every company that asks this problem
+        await renderProblemCompanies(problem.id, companyName);
+        
+        // Load the personal notes for this problem
+        renderProblemNotes(problem.id);
+        
         // Set up problem action handlers
         setupProblemDetailHandlers(problemWithState, companyName);
         
@@ -2354,6 +2653,11 @@ async function initializeProblemDetail(companyName, problemId) {
     }
 }
 
+/**
+ * Bookmarked problems on the favorites page, kept so a new sort doesn't reload them
+ */
+let favoritesPageProblems = [];
+
 async function initializeFavoritesPage() {
     console.log('Initializing favorites page...');
     
@@ -2381,30 +2685,7 @@ async function initializeFavoritesPage() {
             return;
         }
         
-        // Load all companies to find the bookmarked problems
-        const companies = await dataManager.loadCompanies();
-        const bookmarkedProblems = [];
-        
-        // Search through all companies to find bookmarked problems
-        for (const company of companies) {
-            try {
-                const problems = await dataManager.loadCompanyProblems(company.name);
-                const companyBookmarkedProblems = problems.filter(problem => 
-                    bookmarkedProblemIds.includes(problem.id)
-                );
-                
-                // Add company information to each problem
-                companyBookmarkedProblems.forEach(problem => {
-                    problem.companyName = company.name;
-                    problem.solved = stateManager ? stateManager.isProblemSolved(problem.id) : false;
-                    problem.bookmarked = true; // We know these are bookmarked
-                });
-                
-                bookmarkedProblems.push(...companyBookmarkedProblems);
-            } catch (error) {
-                console.warn(`Failed to load problems for company ${company.name}:`, error);
-            }
-        }
+        const bookmarkedProblems = await loadProblemsByIds(bookmarkedProblemIds);
         
         console.log(`Loaded ${bookmarkedProblems.length} bookmarked problems with details`);
         
@@ -2412,8 +2693,12 @@ async function initializeFavoritesPage() {
             // Show empty state if no problems were found (might be stale bookmarks)
             showEmptyFavoritesState();
         } else {
-            // Hide empty state and render bookmarked problems
+            // Hide empty state and render bookmarked problems in the sort from the URL
             hideEmptyFavoritesState();
+            favoritesPageProblems = bookmarkedProblems;
+            const rerender = () => renderBookmarkedProblems(applyUserStateToProblems(favoritesPageProblems));
+            setupGridSortControls('favorites', rerender);
+            setupGridFilterButtons('favorites-page', rerender);
             await renderBookmarkedProblems(bookmarkedProblems);
         }
         
@@ -2432,6 +2717,55 @@ async function initializeFavoritesPage() {
     }
 }
 
+/**
+ * Resolve problem IDs to problems with user state, each listed once under its top company
+ * Uses the global problem index and falls back to scanning every company's CSV files
+ */
+async function loadProblemsByIds(problemIds) {
+    const wantedIds = new Set(problemIds);
+    const foundProblems = [];
+    
+    const indexedProblems = await dataManager.getIndexedProblems();
+    if (indexedProblems) {
+        indexedProblems
+            .filter(problem => wantedIds.has(problem.id) && problem.companies.length > 0)
+            .forEach(problem => {
+                foundProblems.push(dataManager.getCompanyProblemView(problem, problem.companies[0].name));
+            });
+        return applyUserStateToProblems(foundProblems);
+    }
+    
+    // Search through all companies to find the problems
+    const companies = await dataManager.loadCompanies();
+    const seenIds = new Set();
+    
+    for (const company of companies) {
+        if (seenIds.size === wantedIds.size) break;
+        
+        try {
+            const problems = await dataManager.loadCompanyProblems(company.name);
+            const companyProblems = problems.filter(problem => 
+                wantedIds.has(problem.id) && !seenIds.has(problem.id)
+            );
+            
+            // Add company information to each problem
+            companyProblems.forEach(problem => {
+                seenIds.add(problem.id);
+                foundProblems.push({ ...problem, companyName: company.name });
+            });
+        } catch (error) {
+            console.warn(`Failed to load problems for company ${company.name}:`, error);
+        }
+    }
+    
+    return applyUserStateToProblems(foundProblems);
+}
+
+/**
+ * Results of the last search, kept so a new sort doesn't repeat the search
+ */
+let searchPageResults = [];
+
 async function initializeSearchResults() {
     console.log('Initializing search results...');
     
@@ -2447,8 +2781,19 @@ async function initializeSearchResults() {
             throw new Error(`Missing required elements: ${missingElements.join(', ')}`);
         }
         
-        // Get current search query from state manager or URL params
-        const searchQuery = stateManager ? stateManager.getSearchQuery() : '';
+        // A shared link's ?q= wins over the last query typed in this browser
+        const urlQuery = router.getQueryValues('q')[0];
+        const searchQuery = urlQuery !== undefined ? urlQuery : (stateManager ? stateManager.getSearchQuery() : '');
+        if (urlQuery !== undefined && stateManager) {
+            stateManager.updateSearchQuery(urlQuery);
+        }
+        router.updateQuery({ q: searchQuery || null });
+        
+        const searchInput = document.getElementById('search-input');
+        if (searchInput && document.activeElement !== searchInput) {
+            searchInput.value = searchQuery;
+        }
+        showSearchQueryErrors(searchQuery || '');
         
         if (!searchQuery || searchQuery.trim().length === 0) {
             // Show empty search state
@@ -2466,7 +2811,11 @@ async function initializeSearchResults() {
         // Update search description
         updateSearchDescription(searchQuery, searchResults.length);
         
-        // Render search results
+        // Render search results in the sort from the URL
+        searchPageResults = searchResults;
+        const rerender = () => renderSearchResults(applyUserStateToProblems(searchPageResults));
+        setupGridSortControls('search', rerender);
+        setupGridFilterButtons('search-results', rerender);
         await renderSearchResults(searchResults);
         
         // Set up search result interaction handlers
@@ -2509,6 +2858,25 @@ function updateHomepageStats(companies) {
     if (totalCompaniesEl) totalCompaniesEl.textContent = totalCompanies;
     if (totalProblemsEl) totalProblemsEl.textContent = totalProblems;
     if (solvedProblemsEl) solvedProblemsEl.textContent = solvedProblems;
+    
+    updateReviewDueIndicators();
+}
+
+/**
+ * Update the homepage "Reviews Due" stat and the navigation badge
+ */
+function updateReviewDueIndicators() {
+    const dueCount = stateManager ? stateManager.getDueReviewCount() : 0;
+    
+    const reviewsDueEl = document.getElementById('reviews-due');
+    if (reviewsDueEl) reviewsDueEl.textContent = dueCount;
+    
+    const badge = document.getElementById('review-due-badge');
+    if (badge) {
+        badge.textContent = dueCount;
+        badge.style.display = dueCount > 0 ? 'inline-flex' : 'none';
+        badge.setAttribute('aria-label', `${dueCount} reviews due`);
+    }
 }
 
 /**
@@ -2630,7 +2998,7 @@ function setupHomepageSearch(companies) {
             if (query.length > 0) {
                 // Navigate to search results page for global search
                 stateManager.updateSearchQuery(query);
-                RouterUtils.goToSearch();
+                RouterUtils.goToSearch(query);
             }
         }
     });
@@ -2730,110 +3098,272 @@ function filterCompaniesBySearch(companies, query) {
         return companies;
     }
     
-    const searchTerm = query.toLowerCase();
+    // Qualifier queries are about problems; only their company: values narrow the cards
+    const searchQuery = SearchQuery.parse(query);
+    if (!searchQuery.isPlainText()) {
+        const companyNames = searchQuery.getQualifierValues('company');
+        return companyNames.length === 0 ? companies : companies.filter(company =>
+            companyNames.some(name => SEARCH_QUALIFIERS.company.test({ companyName: company.name }, name))
+        );
+    }
+    
+    // Company names are matched by prefix and with typos, best match first
+    const companyIndex = new SearchIndex();
+    companies.forEach((company, i) => companyIndex.add(i, { name: company.name }));
     
-    return companies.filter(company => {
-        // Search by company name
-        const nameMatch = company.name.toLowerCase().includes(searchTerm);
-        
-        // Could extend to search by other criteria in the future
-        return nameMatch;
-    });
+    return companyIndex.search(query).map(result => companies[result.id]);
 }
 
 /**
- * Perform global search across all problems by title and company
+ * Perform global search across all problems by title, topic and company
  * Requirement 2.1: Implement real-time search across all problems by title and company
  * Requirement 2.2: Show matching company cards when searching by company name
+ * Terms match by prefix and with typos; results are ranked by where they matched and how often the problem is asked
+ * Queries may use qualifiers such as company:google or freq:>50 (see SearchQuery); invalid parts are skipped
  */
 async function performGlobalSearch(query, companies) {
     if (!query || query.trim().length === 0) {
         return [];
     }
     
-    const searchTerm = query.toLowerCase().trim();
-    const results = [];
+    const searchQuery = SearchQuery.parse(query.trim());
+    if (!searchQuery.ast) {
+        return [];
+    }
     
-    console.log(`Searching for "${searchTerm}" across ${companies.length} companies`);
+    const problemSearch = await getProblemSearch(companies);
     
-    // Search through each company's problems
-    for (const company of companies) {
-        try {
-            // Check if company name matches search query
-            const companyNameMatch = company.name.toLowerCase().includes(searchTerm);
-            
-            // Load company problems
-            const problems = await dataManager.loadCompanyProblems(company.name);
-            
-            if (problems && problems.length > 0) {
-                // Apply user state to problems
-                const problemsWithState = applyUserStateToProblems(problems);
-                
-                // Filter problems by search query
-                const matchingProblems = problemsWithState.filter(problem => {
-                    // Search by problem title
-                    const titleMatch = problem.title.toLowerCase().includes(searchTerm);
-                    
-                    // Search by topics
-                    const topicsMatch = problem.topics && problem.topics.some(topic => 
-                        topic.toLowerCase().includes(searchTerm)
-                    );
+    if (!searchQuery.isPlainText()) {
+        console.log(`Searching for "${searchQuery.input}" with qualifiers in ${problemSearch.problems.size} problems`);
+        return sortSearchResults(searchProblemsByQuery(problemSearch, searchQuery));
+    }
+    
+    const searchTerm = searchQuery.ast.text;
+    
+    // Problems whose personal notes mention the search term
+    const noteMatchIds = new Set(stateManager ? stateManager.searchNotes(searchTerm.toLowerCase()) : []);
+    
+    console.log(`Searching for "${searchTerm}" in ${problemSearch.problems.size} problems`);
+    
+    return sortSearchResults(searchProblemIndex(problemSearch, searchTerm, noteMatchIds));
+}
+
+/**
+ * Search index over every problem, built once from the problem index or the company CSV files
+ */
+let problemSearchPromise = null;
+
+/**
+ * Get the problem search index with each problem's company views
+ * problems maps problem ID to { problem, companies: [{ name, frequency }], getView(companyName) }
+ */
+function getProblemSearch(companies) {
+    if (!problemSearchPromise) {
+        problemSearchPromise = buildProblemSearch(companies).catch(error => {
+            problemSearchPromise = null;
+            throw error;
+        });
+    }
+    return problemSearchPromise;
+}
+
+async function buildProblemSearch(companies) {
+    const problems = new Map();
+    
+    // Prefer the global problem index over loading every company's CSV files
+    const indexedProblems = await dataManager.getIndexedProblems();
+    if (indexedProblems) {
+        indexedProblems.forEach(problem => {
+            problems.set(problem.id, {
+                problem,
+                companies: problem.companies.map(company => ({
+                    name: company.name,
+                    frequency: dataManager.getOverallFrequency(company.frequencies)
+                })),
+                getView: companyName => dataManager.getCompanyProblemView(problem, companyName)
+            });
+        });
+    } else {
+        const companyList = companies || await dataManager.loadCompanies();
+        console.log(`Building search index from ${companyList.length} companies`);
+        
+        for (const company of companyList) {
+            try {
+                const companyProblems = await dataManager.loadCompanyProblems(company.name);
+                companyProblems.forEach(problem => {
+                    if (!problems.has(problem.id)) {
+                        const views = new Map();
+                        problems.set(problem.id, { problem, companies: [], views, getView: name => views.get(name) });
+                    }
                     
-                    // Include all problems if company name matches, or specific problems that match
-                    return companyNameMatch || titleMatch || topicsMatch;
-                });
-                
-                // Add matching problems to results with company context
-                matchingProblems.forEach(problem => {
-                    results.push({
-                        ...problem,
-                        companyName: company.name,
-                        matchType: companyNameMatch ? 'company' : (
-                            problem.title.toLowerCase().includes(searchTerm) ? 'title' : 'topic'
-                        )
-                    });
+                    const entry = problems.get(problem.id);
+                    entry.companies.push({ name: company.name, frequency: problem.frequency || 0 });
+                    entry.views.set(company.name, { ...problem, companyName: company.name });
                 });
+            } catch (error) {
+                console.warn(`Failed to search problems for company ${company.name}:`, error);
+                // Continue with other companies
             }
-        } catch (error) {
-            console.warn(`Failed to search problems for company ${company.name}:`, error);
-            // Continue with other companies
         }
     }
     
-    // Sort results by relevance
-    return sortSearchResults(results, searchTerm);
+    // Tokenizing every problem is the slow part, so the data worker does it
+    const documents = Array.from(problems, ([problemId, entry]) => ({
+        id: problemId,
+        fields: {
+            title: entry.problem.title,
+            topics: entry.problem.topics || [],
+            companies: entry.companies.map(company => company.name)
+        }
+    }));
+    const index = await dataManager.buildSearchIndex(documents);
+    
+    return { index, problems };
 }
 
 /**
- * Sort search results by relevance
- * Requirement 2.3: Create search result highlighting and "no results" messaging
+ * Turn problem matches into one result per company, with the ranges that matched for highlighting
+ * A company-name match only lists that company's problems; title and topic matches list every company
  */
-function sortSearchResults(results, searchTerm) {
-    return results.sort((a, b) => {
-        // Prioritize by match type: exact title match > company match > topic match
-        const matchTypeOrder = { 'title': 1, 'company': 2, 'topic': 3 };
-        const aOrder = matchTypeOrder[a.matchType] || 4;
-        const bOrder = matchTypeOrder[b.matchType] || 4;
+function searchProblemIndex(problemSearch, searchTerm, noteMatchIds = new Set()) {
+    const results = [];
+    const matchedIds = new Set();
+    
+    const addResults = (entry, match) => {
+        const companyMatches = match.matches.companies || {};
+        const matchedCompanies = entry.companies.filter((company, i) => companyMatches[i]);
+        const titleOrTopicMatch = Boolean(match.matches.title || match.matches.topics || match.note);
         
-        if (aOrder !== bOrder) {
-            return aOrder - bOrder;
+        (titleOrTopicMatch ? entry.companies : matchedCompanies).forEach(company => {
+            const view = entry.getView(company.name);
+            if (!view) return;
+            
+            const companyIndex = entry.companies.indexOf(company);
+            const [problemWithState] = applyUserStateToProblems([view]);
+            results.push({
+                ...problemWithState,
+                companyName: company.name,
+                score: match.score + (company.frequency / 100) * SEARCH_FIELD_WEIGHTS.frequency,
+                matchType: match.matches.title ? 'title' : (
+                    companyMatches[companyIndex] ? 'company' : (match.matches.topics ? 'topic' : 'note')
+                ),
+                searchMatches: {
+                    title: (match.matches.title || {})[0] || [],
+                    topics: match.matches.topics || {},
+                    company: companyMatches[companyIndex] || []
+                }
+            });
+        });
+    };
+    
+    problemSearch.index.search(searchTerm).forEach(match => {
+        matchedIds.add(match.id);
+        addResults(problemSearch.problems.get(match.id), match);
+    });
+    
+    // Personal notes aren't indexed; problems found only through them rank last
+    noteMatchIds.forEach(problemId => {
+        const entry = problemSearch.problems.get(problemId);
+        if (entry && !matchedIds.has(problemId)) {
+            addResults(entry, { score: 0, matches: {}, note: true });
         }
-        
-        // Within same match type, prioritize exact matches
-        const aExactTitle = a.title.toLowerCase() === searchTerm;
-        const bExactTitle = b.title.toLowerCase() === searchTerm;
-        
-        if (aExactTitle && !bExactTitle) return -1;
-        if (!aExactTitle && bExactTitle) return 1;
-        
-        // Then by title length (shorter titles first for better relevance)
-        if (a.title.length !== b.title.length) {
-            return a.title.length - b.title.length;
+    });
+    
+    return results;
+}
+
+/**
+ * Evaluate a qualifier query against every problem as asked by each company
+ * Free-text parts match like a plain search; positive ones add to the score and the highlights
+ */
+function searchProblemsByQuery(problemSearch, searchQuery) {
+    const results = [];
+    
+    // Each free-text part is looked up once, with the problems whose notes mention it
+    const textMatches = new Map();
+    searchQuery.getTextNodes().forEach(node => {
+        textMatches.set(node, {
+            matches: new Map(problemSearch.index.search(node.text).map(match => [match.id, match])),
+            noteIds: new Set(stateManager ? stateManager.searchNotes(node.text.toLowerCase()) : [])
+        });
+    });
+    
+    // A text part matches a row through its title, topics or notes, or through that row's company
+    const getTextMatch = (node, row) => {
+        const { matches, noteIds } = textMatches.get(node);
+        const match = matches.get(row.id);
+        if (match && (match.matches.title || match.matches.topics ||
+            (match.matches.companies && match.matches.companies[row.companyIndex]))) {
+            return match;
         }
+        return noteIds.has(row.id) ? { score: 0, matches: {}, note: true } : null;
+    };
+    
+    const context = {
+        matchText: (node, row) => Boolean(getTextMatch(node, row)),
+        matchStatus: (row, status) => PROBLEM_STATUS_FILTERS[status].matches(row)
+    };
+    const positiveTextNodes = searchQuery.getTextNodes({ positiveOnly: true });
+    
+    problemSearch.problems.forEach((entry, problemId) => {
+        // Progress is the same for every company, so it is looked up once per problem
+        const [problemWithState] = applyUserStateToProblems([entry.problem]);
         
-        // Finally alphabetically by title
-        return a.title.localeCompare(b.title);
+        entry.companies.forEach((company, companyIndex) => {
+            const row = { ...problemWithState, companyName: company.name, frequency: company.frequency, companyIndex };
+            if (!searchQuery.matches(row, context)) return;
+            
+            const view = entry.getView(company.name);
+            if (!view) return;
+            
+            // Combine the score and ranges of every free-text part that found this row
+            let score = (company.frequency / 100) * SEARCH_FIELD_WEIGHTS.frequency;
+            const ranges = { title: [], topics: {}, company: [] };
+            let noteMatch = false;
+            positiveTextNodes.forEach(node => {
+                const match = getTextMatch(node, row);
+                if (!match) return;
+                
+                score += match.score;
+                noteMatch = noteMatch || Boolean(match.note);
+                ranges.title.push(...((match.matches.title || {})[0] || []));
+                Object.entries(match.matches.topics || {}).forEach(([topicIndex, topicRanges]) => {
+                    ranges.topics[topicIndex] = [...(ranges.topics[topicIndex] || []), ...topicRanges];
+                });
+                ranges.company.push(...((match.matches.companies || {})[companyIndex] || []));
+            });
+            Object.keys(ranges.topics).forEach(topicIndex => {
+                ranges.topics[topicIndex] = SearchIndex.mergeRanges(ranges.topics[topicIndex]);
+            });
+            
+            const [viewWithState] = applyUserStateToProblems([view]);
+            results.push({
+                ...viewWithState,
+                companyName: company.name,
+                score,
+                matchType: ranges.title.length > 0 ? 'title' : (
+                    ranges.company.length > 0 ? 'company' : (
+                        Object.keys(ranges.topics).length > 0 ? 'topic' : (noteMatch ? 'note' : 'filter')
+                    )
+                ),
+                searchMatches: {
+                    title: SearchIndex.mergeRanges(ranges.title),
+                    topics: ranges.topics,
+                    company: SearchIndex.mergeRanges(ranges.company)
+                }
+            });
+        });
     });
+    
+    return results;
+}
+
+/**
+ * Sort search results by relevance score, then alphabetically by title
+ * Requirement 2.3: Create search result highlighting and "no results" messaging
+ */
+function sortSearchResults(results) {
+    return results.sort((a, b) => b.score - a.score || a.title.localeCompare(b.title));
 }
 
 /**
@@ -2868,6 +3398,13 @@ async function renderSearchResults(results) {
     // Clear existing content
     searchResultsGrid.innerHTML = '';
     
+    // Apply the difficulty and status filters, then the chosen sort
+    const filteredResults = applyGridFilters(results, document.getElementById('search-results'));
+    const noFilterMatches = document.querySelector('#search-results .no-problems');
+    if (noFilterMatches) {
+        noFilterMatches.style.display = results.length > 0 && filteredResults.length === 0 ? 'block' : 'none';
+    }
+    
     if (results.length === 0) {
         // Show no results message
         if (noSearchResults) {
@@ -2881,8 +3418,8 @@ async function renderSearchResults(results) {
         noSearchResults.style.display = 'none';
     }
     
-    // Create search result cards
-    for (const result of results) {
+    // Create search result cards in the chosen sort
+    for (const result of sortGridProblems(filteredResults, getGridSort('search'))) {
         try {
             // Create enhanced problem card with company context
             const card = createSearchResultCard(result);
@@ -2914,13 +3451,13 @@ function createSearchResultCard(result) {
     // Company name badge
     const companyBadge = document.createElement('span');
     companyBadge.className = 'company-badge';
-    companyBadge.textContent = result.companyName;
+    companyBadge.innerHTML = highlightSearchTerm(result.companyName, result.searchMatches ? result.searchMatches.company : []);
     companyBadge.setAttribute('title', `From ${result.companyName}`);
 
     // Problem title with highlighting
     const title = document.createElement('h4');
     title.className = 'problem-title';
-    title.innerHTML = highlightSearchTerm(result.title, stateManager.getSearchQuery());
+    title.innerHTML = highlightSearchTerm(result.title, result.searchMatches ? result.searchMatches.title : stateManager.getSearchQuery());
 
     // Difficulty badge
     const difficultyBadge = UIComponents.createDifficultyBadge(result.difficulty);
@@ -2934,18 +3471,24 @@ function createSearchResultCard(result) {
     topicsContainer.className = 'problem-topics';
     
     if (result.topics && result.topics.length > 0) {
-        result.topics.slice(0, 3).forEach(topic => {
+        // Matched topics come first so their highlights are visible
+        const topicMatches = result.searchMatches ? result.searchMatches.topics : {};
+        const topics = result.topics
+            .map((topic, i) => ({ topic, ranges: topicMatches[i] }))
+            .sort((a, b) => Boolean(b.ranges) - Boolean(a.ranges));
+        
+        topics.slice(0, 3).forEach(({ topic, ranges }) => {
             const topicTag = document.createElement('span');
             topicTag.className = 'topic-tag';
-            topicTag.innerHTML = highlightSearchTerm(topic.trim(), stateManager.getSearchQuery());
+            topicTag.innerHTML = highlightSearchTerm(topic, result.searchMatches ? ranges || [] : stateManager.getSearchQuery());
             topicsContainer.appendChild(topicTag);
         });
         
-        if (result.topics.length > 3) {
+        if (topics.length > 3) {
             const moreTag = document.createElement('span');
             moreTag.className = 'topic-tag more-topics';
-            moreTag.textContent = `+${result.topics.length - 3} more`;
-            moreTag.setAttribute('title', result.topics.slice(3).join(', '));
+            moreTag.textContent = `+${topics.length - 3} more`;
+            moreTag.setAttribute('title', topics.slice(3).map(({ topic }) => topic).join(', '));
             topicsContainer.appendChild(moreTag);
         }
     }
@@ -3020,12 +3563,25 @@ function createSearchResultCard(result) {
 /**
  * Highlight search terms in text
  * Requirement 2.3: Create search result highlighting
+ * searchTerm is either the query text or the [start, end] ranges the search index matched
  */
 function highlightSearchTerm(text, searchTerm) {
     if (!searchTerm || !text) {
         return Utils.sanitizeHTML(text);
     }
     
+    // Character ranges reported by the search index mark exactly what matched
+    if (Array.isArray(searchTerm)) {
+        let html = '';
+        let position = 0;
+        searchTerm.forEach(([start, end]) => {
+            html += Utils.sanitizeHTML(text.slice(position, start));
+            html += `<mark>${Utils.sanitizeHTML(text.slice(start, end))}</mark>`;
+            position = end;
+        });
+        return html + Utils.sanitizeHTML(text.slice(position));
+    }
+    
     const escapedSearchTerm = searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     const regex = new RegExp(`(${escapedSearchTerm})`, 'gi');
     
@@ -3039,7 +3595,9 @@ function getMatchTypeLabel(matchType) {
     const labels = {
         'title': 'Title Match',
         'company': 'Company Match',
-        'topic': 'Topic Match'
+        'topic': 'Topic Match',
+        'note': 'Note Match',
+        'filter': 'Filter Match'
     };
     return labels[matchType] || 'Match';
 }
@@ -3141,184 +3699,2299 @@ function showErrorState(message) {
  */
 
 /**
- * Update company header with company information
+ * Update company header with company information
+ */
+function updateCompanyHeader(company) {
+    const companyNameEl = document.getElementById('company-name');
+    if (companyNameEl) {
+        companyNameEl.textContent = company.name;
+    }
+    
+    // Update page title
+    document.title = `${company.name} Problems - LeetCode Company Problems`;
+}
+
+/**
+ * Apply user state (solved/bookmarked) to problems
+ * Requirement 4.4: Display visual indicator for solved/unsolved states
+ * Solve and next review dates come from the review record, for sorting
+ */
+function applyUserStateToProblems(problems) {
+    return problems.map(problem => {
+        const problemWithState = { ...problem };
+        problemWithState.solved = stateManager ? stateManager.isProblemSolved(problem.id) : false;
+        problemWithState.bookmarked = stateManager ? stateManager.isProblemBookmarked(problem.id) : false;
+        
+        const review = problemWithState.solved ? stateManager.getReview(problem.id) : null;
+        problemWithState.solvedAt = review ? review.solvedAt : null;
+        problemWithState.reviewDueDate = review ? review.dueDate : null;
+        return problemWithState;
+    });
+}
+
+/**
+ * Sort keys offered by each problem grid and the grid's default sort
+ * 'relevance' keeps the search ranking as is
+ */
+const GRID_SORTS = {
+    company: {
+        keys: ['frequency', 'acceptanceRate', 'difficulty', 'title', 'solvedAt', 'reviewDueDate'],
+        defaultSort: { by: 'frequency', then: 'none' }
+    },
+    favorites: {
+        keys: ['company', 'frequency', 'acceptanceRate', 'difficulty', 'title', 'solvedAt', 'reviewDueDate'],
+        defaultSort: { by: 'company', then: 'title' }
+    },
+    search: {
+        keys: ['relevance', 'frequency', 'acceptanceRate', 'difficulty', 'title', 'solvedAt', 'reviewDueDate'],
+        defaultSort: { by: 'relevance', then: 'none' }
+    }
+};
+
+/**
+ * Read a grid's sort from the URL (?sort=<key>&then=<key>), falling back to the grid's default
+ */
+function getGridSort(grid) {
+    const { keys, defaultSort } = GRID_SORTS[grid];
+    const query = router ? router.getQuery() : {};
+    
+    const by = keys.includes(query.sort) ? query.sort : defaultSort.by;
+    const then = query.then === 'none' || (keys.includes(query.then) && query.then !== 'relevance') ?
+        query.then :
+        defaultSort.then;
+    return { by, then: then === by ? 'none' : then };
+}
+
+/**
+ * Sort a grid's problems; relevance order has no tie-breaker since search ranking is already total
+ */
+function sortGridProblems(problems, sort) {
+    if (sort.by === 'relevance') {
+        return problems;
+    }
+    
+    const primary = PROBLEM_SORT_KEYS[sort.by];
+    return Utils.sortProblems(problems, sort.by, primary.order, sort.then === 'none' ? null : sort.then);
+}
+
+/**
+ * Fill a grid's sort dropdowns, reflect the URL's sort and call onChange when the user picks another
+ * The sort is written back to the URL without adding a history entry, so back navigation restores it
+ */
+function setupGridSortControls(grid, onChange) {
+    const primarySelect = document.getElementById(`${grid}-sort`);
+    const secondarySelect = document.getElementById(`${grid}-sort-then`);
+    if (!primarySelect || !secondarySelect) {
+        console.warn(`Sort controls not found for ${grid}`);
+        return;
+    }
+    
+    const { keys, defaultSort } = GRID_SORTS[grid];
+    const label = key => key === 'relevance' ? 'Relevance' : PROBLEM_SORT_KEYS[key].label;
+    
+    if (!primarySelect.dataset.handlerAttached) {
+        primarySelect.dataset.handlerAttached = 'true';
+        primarySelect.innerHTML = keys
+            .map(key => `<option value="${key}">${label(key)}</option>`)
+            .join('');
+        secondarySelect.innerHTML = '<option value="none">None</option>' + keys
+            .filter(key => key !== 'relevance')
+            .map(key => `<option value="${key}">${label(key)}</option>`)
+            .join('');
+        
+        const handleChange = () => {
+            const sort = { by: primarySelect.value, then: secondarySelect.value };
+            if (sort.then === sort.by) {
+                sort.then = 'none';
+            }
+            
+            router.updateQuery({
+                sort: sort.by === defaultSort.by ? null : sort.by,
+                then: sort.then === defaultSort.then ? null : sort.then
+            });
+            reflectGridSort(primarySelect, secondarySelect, sort);
+            onChange(sort);
+        };
+        primarySelect.addEventListener('change', handleChange);
+        secondarySelect.addEventListener('change', handleChange);
+    }
+    
+    reflectGridSort(primarySelect, secondarySelect, getGridSort(grid));
+}
+
+/**
+ * Show a sort in the dropdowns; the tie-breaker is unused for relevance and can't repeat the main key
+ */
+function reflectGridSort(primarySelect, secondarySelect, sort) {
+    primarySelect.value = sort.by;
+    secondarySelect.value = sort.then;
+    secondarySelect.disabled = sort.by === 'relevance';
+    Array.from(secondarySelect.options).forEach(option => {
+        option.disabled = option.value === sort.by;
+    });
+}
+
+/**
+ * Current company page view: loaded problems plus the selected difficulty, status, timeframe and topics
+ * topicMode 'or' matches problems with any selected topic, 'and' only those with all of them
+ */
+let companyPageView = {
+    companyName: null,
+    problems: [],
+    difficulty: 'all',
+    status: 'all',
+    timeframe: 'all',
+    topics: [],
+    topicMode: 'or',
+    sort: GRID_SORTS.company.defaultSort
+};
+
+/**
+ * Set up filter controls for the company page
+ * Requirement 5.1: Display filter buttons for Easy, Medium, and Hard difficulties
+ * Requirement 5.4: Update problem count display when filters are applied
+ */
+function setupCompanyPageFilters(problems) {
+    const filterButtons = document.querySelectorAll('#company-page .filter-btn[data-filter]');
+    const statusButtons = document.querySelectorAll('#company-page .filter-btn[data-status]');
+    const timeframeButtons = document.querySelectorAll('#company-page .filter-btn[data-timeframe]');
+    
+    if (filterButtons.length === 0) {
+        console.warn('Filter buttons not found');
+        return;
+    }
+    
+    // Reflect the current view in the button states and counts
+    setActiveFilterButton(filterButtons, 'data-filter', companyPageView.difficulty);
+    setActiveFilterButton(statusButtons, 'data-status', companyPageView.status);
+    setActiveFilterButton(timeframeButtons, 'data-timeframe', companyPageView.timeframe);
+    updateCompanyPageFilterCounts();
+    setupCompanyTopicFilter();
+    setupGridSortControls('company', async (sort) => {
+        companyPageView.sort = sort;
+        await renderCompanyPageView();
+    });
+    
+    // Set up filter button click handlers (once, they read the current view)
+    filterButtons.forEach(button => {
+        if (button.dataset.handlerAttached) return;
+        button.dataset.handlerAttached = 'true';
+        
+        button.addEventListener('click', async (e) => {
+            e.preventDefault();
+            
+            const filter = button.getAttribute('data-filter');
+            
+            // Update active state
+            setActiveFilterButton(filterButtons, 'data-filter', filter);
+            
+            // Update state manager
+            if (stateManager) {
+                stateManager.updateFilters({ difficulty: filter });
+            }
+            
+            // Re-render problems with new filter
+            companyPageView.difficulty = filter;
+            await renderCompanyPageView();
+        });
+    });
+    
+    // Set up status button click handlers
+    statusButtons.forEach(button => {
+        if (button.dataset.handlerAttached) return;
+        button.dataset.handlerAttached = 'true';
+        
+        button.addEventListener('click', async (e) => {
+            e.preventDefault();
+            
+            const status = button.getAttribute('data-status');
+            setActiveFilterButton(statusButtons, 'data-status', status);
+            
+            companyPageView.status = status;
+            await renderCompanyPageView();
+        });
+    });
+    
+    // Set up timeframe button click handlers
+    timeframeButtons.forEach(button => {
+        if (button.dataset.handlerAttached) return;
+        button.dataset.handlerAttached = 'true';
+        
+        button.addEventListener('click', async (e) => {
+            e.preventDefault();
+            
+            const timeframe = button.getAttribute('data-timeframe');
+            
+            // Update active state
+            setActiveFilterButton(timeframeButtons, 'data-timeframe', timeframe);
+            
+            // Remember the timeframe for the next company page
+            if (stateManager) {
+                stateManager.updateFilters({ timeframe });
+                stateManager.saveState();
+            }
+            
+            // Re-filter and re-sort problems for the new timeframe
+            companyPageView.timeframe = timeframe;
+            await renderCompanyPageView();
+        });
+    });
+}
+
+/**
+ * Set up the topic chip bar and the any/all toggle on the company page
+ * Chips are rebuilt on every render; the click handlers are delegated and bound once
+ */
+function setupCompanyTopicFilter() {
+    const chipContainer = document.getElementById('company-topic-chips');
+    const modeButtons = document.querySelectorAll('#company-page .filter-btn[data-topic-mode]');
+    const clearButton = document.getElementById('company-topic-clear');
+    
+    if (!chipContainer) {
+        console.warn('Topic filter not found');
+        return;
+    }
+    
+    setActiveFilterButton(modeButtons, 'data-topic-mode', companyPageView.topicMode);
+    
+    if (chipContainer.dataset.handlerAttached) return;
+    chipContainer.dataset.handlerAttached = 'true';
+    
+    chipContainer.addEventListener('click', async (e) => {
+        const chip = e.target.closest('.topic-chip');
+        if (!chip) return;
+        e.preventDefault();
+        
+        const topic = chip.dataset.topic;
+        companyPageView.topics = companyPageView.topics.includes(topic) ?
+            companyPageView.topics.filter(selected => selected !== topic) :
+            [...companyPageView.topics, topic];
+        
+        saveCompanyTopicFilter();
+        await renderCompanyPageView();
+    });
+    
+    modeButtons.forEach(button => {
+        button.addEventListener('click', async (e) => {
+            e.preventDefault();
+            
+            companyPageView.topicMode = button.getAttribute('data-topic-mode');
+            setActiveFilterButton(modeButtons, 'data-topic-mode', companyPageView.topicMode);
+            
+            saveCompanyTopicFilter();
+            await renderCompanyPageView();
+        });
+    });
+    
+    if (clearButton) {
+        clearButton.addEventListener('click', async (e) => {
+            e.preventDefault();
+            
+            companyPageView.topics = [];
+            saveCompanyTopicFilter();
+            await renderCompanyPageView();
+        });
+    }
+}
+
+/**
+ * Remember the company's topic selection so it is restored on the next visit
+ */
+function saveCompanyTopicFilter() {
+    if (stateManager && companyPageView.companyName) {
+        stateManager.updateCompanyTopicFilter(companyPageView.companyName, {
+            topics: companyPageView.topics,
+            mode: companyPageView.topicMode
+        });
+    }
+}
+
+/**
+ * Render one chip per topic in the company's problems
+ * Each count is the number of problems the chip would match alongside the other active filters
+ */
+function renderCompanyTopicChips() {
+    const chipContainer = document.getElementById('company-topic-chips');
+    const clearButton = document.getElementById('company-topic-clear');
+    if (!chipContainer) return;
+    
+    // Chips are ordered by how often the topic appears at this company, so they don't move while filtering
+    const topicTotals = calculateTopicCounts(companyPageView.problems);
+    const topics = Array.from(topicTotals.keys())
+        .sort((a, b) => topicTotals.get(b) - topicTotals.get(a) || a.localeCompare(b));
+    
+    const candidates = filterProblemsByStatus(filterProblemsByDifficulty(
+        applyUserStateToProblems(filterProblemsByTimeframe(companyPageView.problems, companyPageView.timeframe)),
+        companyPageView.difficulty
+    ), companyPageView.status);
+    // In "all" mode a chip narrows the current selection; in "any" mode it adds its own problems
+    const counts = calculateTopicCounts(companyPageView.topicMode === 'and' ?
+        filterProblemsByTopics(candidates, companyPageView.topics, 'and') :
+        candidates);
+    
+    chipContainer.innerHTML = '';
+    topics.forEach(topic => {
+        const isSelected = companyPageView.topics.includes(topic);
+        const count = counts.get(topic) || 0;
+        
+        const chip = document.createElement('button');
+        chip.className = `topic-chip${isSelected ? ' active' : ''}`;
+        chip.dataset.topic = topic;
+        chip.disabled = count === 0 && !isSelected;
+        chip.setAttribute('aria-pressed', isSelected.toString());
+        chip.innerHTML = `${Utils.sanitizeHTML(topic)} <span class="filter-count">(${count})</span>`;
+        chipContainer.appendChild(chip);
+    });
+    
+    if (clearButton) {
+        clearButton.style.display = companyPageView.topics.length > 0 ? '' : 'none';
+    }
+}
+
+/**
+ * Mark the button whose attribute matches the given value as active
+ */
+function setActiveFilterButton(buttons, attribute, value) {
+    buttons.forEach(button => {
+        const isActive = button.getAttribute(attribute) === value;
+        button.classList.toggle('active', isActive);
+        button.setAttribute('aria-pressed', isActive.toString());
+    });
+}
+
+/**
+ * Render the company page grid for the current difficulty, status, timeframe, topics and sort
+ */
+async function renderCompanyPageView() {
+    const timeframeProblems = sortGridProblems(applyUserStateToProblems(
+        filterProblemsByTopics(
+            filterProblemsByTimeframe(companyPageView.problems, companyPageView.timeframe),
+            companyPageView.topics,
+            companyPageView.topicMode
+        )
+    ), companyPageView.sort);
+    
+    updateCompanyPageFilterCounts();
+    renderCompanyTopicChips();
+    syncCompanyPageQuery();
+    await renderProblems(filterProblemsByStatus(timeframeProblems, companyPageView.status), companyPageView.difficulty);
+}
+
+/**
+ * Write the company page filters to the URL, leaving out defaults
+ * e.g. /company/Google?difficulty=hard&topic=Graph&sort=title
+ */
+function syncCompanyPageQuery() {
+    const view = companyPageView;
+    router.updateQuery({
+        difficulty: view.difficulty === 'all' ? null : view.difficulty,
+        status: view.status === 'all' ? null : view.status,
+        timeframe: view.timeframe === 'all' ? null : view.timeframe,
+        topic: view.topics.length > 0 ? view.topics : null,
+        match: view.topics.length > 0 && view.topicMode === 'and' ? 'all' : null
+    });
+}
+
+/**
+ * Read the difficulty filter from URL query parameters, 'all' when missing or unknown
+ */
+function getQueryDifficulty(query) {
+    return ['easy', 'medium', 'hard'].includes(query.difficulty) ? query.difficulty : 'all';
+}
+
+/**
+ * Update difficulty, status and timeframe button counts for the current view
+ * Difficulty and status counts only include problems in the selected timeframe and topics
+ */
+function updateCompanyPageFilterCounts() {
+    const problems = companyPageView.problems;
+    const visibleProblems = applyUserStateToProblems(filterProblemsByTopics(
+        filterProblemsByTimeframe(problems, companyPageView.timeframe),
+        companyPageView.topics,
+        companyPageView.topicMode
+    ));
+    
+    updateDifficultyAndStatusCounts(visibleProblems, companyPageView.difficulty, companyPageView.status,
+        document.getElementById('company-page'));
+    updateTimeframeButtonCounts(calculateTimeframeCounts(problems));
+}
+
+/**
+ * Filter problems to a timeframe and sort them by that timeframe's frequency
+ * The "all" timeframe keeps every problem
+ */
+function filterProblemsByTimeframe(problems, timeframe) {
+    const inTimeframe = timeframe === 'all' ?
+        problems :
+        problems.filter(problem => problem.timeframes && problem.timeframes.includes(timeframe));
+    
+    return inTimeframe
+        .map(problem => ({ ...problem, frequency: getTimeframeFrequency(problem, timeframe) }))
+        .sort((a, b) => (b.frequency || 0) - (a.frequency || 0));
+}
+
+/**
+ * Get a problem's frequency for a timeframe, falling back to its overall frequency
+ */
+function getTimeframeFrequency(problem, timeframe) {
+    if (problem.frequencies && problem.frequencies[timeframe] !== undefined) {
+        return problem.frequencies[timeframe];
+    }
+    return problem.frequency;
+}
+
+/**
+ * Calculate problem counts by timeframe
+ */
+function calculateTimeframeCounts(problems) {
+    const counts = {};
+    
+    PROBLEM_TIMEFRAMES.forEach(({ key }) => {
+        counts[key] = key === 'all' ?
+            problems.length :
+            problems.filter(problem => problem.timeframes && problem.timeframes.includes(key)).length;
+    });
+    
+    return counts;
+}
+
+/**
+ * Calculate problem counts by difficulty
+ * Requirement 5.4: Update problem count display when filters are applied
+ */
+function calculateDifficultyCounts(problems) {
+    const counts = {
+        all: problems.length,
+        easy: 0,
+        medium: 0,
+        hard: 0
+    };
+    
+    problems.forEach(problem => {
+        const difficulty = problem.difficulty.toLowerCase();
+        if (counts.hasOwnProperty(difficulty)) {
+            counts[difficulty]++;
+        }
+    });
+    
+    return counts;
+}
+
+/**
+ * Update filter button counts
+ */
+function updateFilterButtonCounts(counts, container = document) {
+    const filterButtons = container.querySelectorAll('.filter-btn[data-filter]');
+    
+    filterButtons.forEach(button => {
+        const filter = button.getAttribute('data-filter');
+        const count = counts[filter] || 0;
+        
+        // Update button text with count
+        const filterText = filter.charAt(0).toUpperCase() + filter.slice(1);
+        button.innerHTML = `${filterText} <span class="filter-count">(${count})</span>`;
+    });
+}
+
+/**
+ * Update timeframe button counts
+ */
+function updateTimeframeButtonCounts(counts) {
+    const timeframeButtons = document.querySelectorAll('#company-page .filter-btn[data-timeframe]');
+    
+    timeframeButtons.forEach(button => {
+        const timeframe = PROBLEM_TIMEFRAMES.find(tf => tf.key === button.getAttribute('data-timeframe'));
+        if (!timeframe) return;
+        
+        const label = Utils.sanitizeHTML(timeframe.label);
+        button.innerHTML = `${label} <span class="filter-count">(${counts[timeframe.key] || 0})</span>`;
+    });
+}
+
+/**
+ * Render problems based on current filter
+ * Requirement 3.1: Display all problems for a selected company
+ * Requirement 5.2: Show only problems of selected difficulty when filter is clicked
+ * Requirement 5.3: Show all problems when "All" filter is clicked
+ */
+async function renderProblems(problems, filter = 'all') {
+    const problemsGrid = document.getElementById('problems-grid');
+    const noProblems = document.querySelector('.no-problems');
+    
+    if (!problemsGrid) {
+        console.error('Problems grid element not found');
+        return;
+    }
+    
+    // Filter problems based on selected difficulty
+    const filteredProblems = filterProblemsByDifficulty(problems, filter);
+    
+    // Clear existing content
+    problemsGrid.innerHTML = '';
+    
+    if (filteredProblems.length === 0) {
+        // Show no problems message
+        if (noProblems) {
+            noProblems.style.display = 'block';
+            let message = filter === 'all' ? 
+                'No problems available for this company.' : 
+                `No ${filter} problems found.`;
+            if (companyPageView.status !== 'all' || companyPageView.topics.length > 0) {
+                message = 'No problems match the current filters.';
+            }
+            const messageEl = noProblems.querySelector('p');
+            if (messageEl) {
+                messageEl.textContent = message;
+            }
+        }
+        return;
+    }
+    
+    // Hide no problems message
+    if (noProblems) {
+        noProblems.style.display = 'none';
+    }
+    
+    // Create problem cards
+    for (const problem of filteredProblems) {
+        try {
+            const card = UIComponents.createProblemCard(problem, {
+                onClick: (clickedProblem) => {
+                    RouterUtils.goToProblem(getCurrentCompanyName(), clickedProblem.id);
+                }
+            });
+            
+            // Add solved/unsolved toggle handler
+            addProblemStateHandlers(card, problem);
+            
+            problemsGrid.appendChild(card);
+        } catch (error) {
+            console.warn(`Failed to create card for problem ${problem.title}:`, error);
+        }
+    }
+    
+    console.log(`Rendered ${filteredProblems.length} problems with filter: ${filter}`);
+}
+
+/**
+ * Filter problems by difficulty
+ * Requirement 5.2: Show only problems of selected difficulty
+ */
+function filterProblemsByDifficulty(problems, filter) {
+    if (filter === 'all') {
+        return problems;
+    }
+    
+    return problems.filter(problem => 
+        problem.difficulty.toLowerCase() === filter.toLowerCase()
+    );
+}
+
+/**
+ * Status filters shared by the problem grids, by data-status value
+ * 'due' is solved problems whose spaced-repetition review is due by the end of today
+ */
+const PROBLEM_STATUS_FILTERS = {
+    all: { label: 'All', matches: () => true },
+    unsolved: { label: 'Unsolved', matches: problem => !problem.solved },
+    solved: { label: 'Solved', matches: problem => problem.solved },
+    bookmarked: { label: 'Bookmarked', matches: problem => problem.bookmarked },
+    due: {
+        label: 'Due',
+        matches: problem => problem.solved && ReviewScheduler.isDue({ dueDate: problem.reviewDueDate })
+    }
+};
+
+/**
+ * Filter problems by solved, bookmarked or review status; problems need user state applied
+ */
+function filterProblemsByStatus(problems, status) {
+    if (status === 'all' || !PROBLEM_STATUS_FILTERS.hasOwnProperty(status)) {
+        return problems;
+    }
+    
+    return problems.filter(PROBLEM_STATUS_FILTERS[status].matches);
+}
+
+/**
+ * Calculate problem counts by status
+ */
+function calculateStatusCounts(problems) {
+    const counts = {};
+    Object.entries(PROBLEM_STATUS_FILTERS).forEach(([status, { matches }]) => {
+        counts[status] = problems.filter(matches).length;
+    });
+    return counts;
+}
+
+/**
+ * Update status button counts
+ */
+function updateStatusButtonCounts(counts, container = document) {
+    container.querySelectorAll('.filter-btn[data-status]').forEach(button => {
+        const status = PROBLEM_STATUS_FILTERS[button.getAttribute('data-status')];
+        if (!status) return;
+        
+        button.innerHTML = `${status.label} <span class="filter-count">(${counts[button.getAttribute('data-status')] || 0})</span>`;
+    });
+}
+
+/**
+ * Update difficulty and status counts together
+ * Each group counts the problems the other group's selection lets through
+ */
+function updateDifficultyAndStatusCounts(problems, difficulty, status, container) {
+    updateFilterButtonCounts(calculateDifficultyCounts(filterProblemsByStatus(problems, status)), container);
+    updateStatusButtonCounts(calculateStatusCounts(filterProblemsByDifficulty(problems, difficulty)), container);
+}
+
+/**
+ * Read the status filter from URL query parameters, 'all' when missing or unknown
+ */
+function getQueryStatus(query) {
+    return PROBLEM_STATUS_FILTERS.hasOwnProperty(query.status) ? query.status : 'all';
+}
+
+/**
+ * Difficulty and status filters of the favorites and search grids, kept in the URL
+ */
+function getGridFilters() {
+    const query = router.getQuery();
+    return { difficulty: getQueryDifficulty(query), status: getQueryStatus(query) };
+}
+
+/**
+ * Reflect the URL's filters in a grid page's buttons and call onChange when one is clicked
+ */
+function setupGridFilterButtons(pageId, onChange) {
+    const page = document.getElementById(pageId);
+    if (!page) return;
+    
+    const difficultyButtons = page.querySelectorAll('.filter-btn[data-filter]');
+    const statusButtons = page.querySelectorAll('.filter-btn[data-status]');
+    const reflectFilters = () => {
+        const { difficulty, status } = getGridFilters();
+        setActiveFilterButton(difficultyButtons, 'data-filter', difficulty);
+        setActiveFilterButton(statusButtons, 'data-status', status);
+    };
+    reflectFilters();
+    
+    if (page.dataset.filterHandlersAttached) return;
+    page.dataset.filterHandlersAttached = 'true';
+    
+    difficultyButtons.forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            
+            const difficulty = button.getAttribute('data-filter');
+            router.updateQuery({ difficulty: difficulty === 'all' ? null : difficulty });
+            reflectFilters();
+            onChange();
+        });
+    });
+    
+    statusButtons.forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            
+            const status = button.getAttribute('data-status');
+            router.updateQuery({ status: status === 'all' ? null : status });
+            reflectFilters();
+            onChange();
+        });
+    });
+}
+
+/**
+ * Filter a favorites or search grid by the URL's difficulty and status, updating both count groups
+ */
+function applyGridFilters(problems, page) {
+    const { difficulty, status } = getGridFilters();
+    updateDifficultyAndStatusCounts(problems, difficulty, status, page);
+    return filterProblemsByStatus(filterProblemsByDifficulty(problems, difficulty), status);
+}
+
+/**
+ * Refresh filter counts on the visible problem grid after a problem's status changed
+ * Cards stay in place until the next render so a click doesn't make them jump away
+ */
+function refreshGridFilterCounts() {
+    if (!router) return;
+    
+    if (router.isCurrentRoute(/^\/company\/[^/]+$/)) {
+        updateCompanyPageFilterCounts();
+        renderCompanyTopicChips();
+    } else if (router.isCurrentRoute(/^\/topic\/[^/]+$/)) {
+        updateTopicPageFilterCounts();
+    } else if (router.isCurrentRoute('/targets')) {
+        updateTargetsPageFilterCounts();
+    } else if (router.isCurrentRoute('/favorites')) {
+        const { difficulty, status } = getGridFilters();
+        updateDifficultyAndStatusCounts(applyUserStateToProblems(favoritesPageProblems), difficulty, status,
+            document.getElementById('favorites-page'));
+    } else if (router.isCurrentRoute('/search')) {
+        const { difficulty, status } = getGridFilters();
+        updateDifficultyAndStatusCounts(applyUserStateToProblems(searchPageResults), difficulty, status,
+            document.getElementById('search-results'));
+    }
+}
+
+/**
+ * Filter problems by topic
+ * Mode 'and' keeps problems tagged with every topic, 'or' those tagged with any; no topics keeps all
+ */
+function filterProblemsByTopics(problems, topics, mode = 'or') {
+    if (!topics || topics.length === 0) {
+        return problems;
+    }
+    
+    return problems.filter(problem => {
+        const problemTopics = problem.topics || [];
+        return mode === 'and' ?
+            topics.every(topic => problemTopics.includes(topic)) :
+            topics.some(topic => problemTopics.includes(topic));
+    });
+}
+
+/**
+ * Count problems per topic
+ */
+function calculateTopicCounts(problems) {
+    const counts = new Map();
+    problems.forEach(problem => {
+        (problem.topics || []).forEach(topic => {
+            counts.set(topic, (counts.get(topic) || 0) + 1);
+        });
+    });
+    return counts;
+}
+
+/**
+ * Initialize the activity stats page from the StateManager event log
+ */
+async function initializeStatsPage() {
+    console.log('Initializing stats page...');
+    
+    try {
+        // Show loading state
+        showLoadingState();
+        
+        const history = stateManager.getAllProblemHistory();
+        const dailyCounts = ActivityStats.buildDailyCounts(history);
+        const solves = ActivityStats.getEffectiveSolves(history);
+        
+        // Difficulty is looked up from the problem data, not stored in the log
+        const solvedProblems = await loadProblemsByIds(solves.map(solve => solve.problemId));
+        const difficultyById = new Map(solvedProblems.map(problem => [problem.id, problem.difficulty]));
+        
+        updateActivitySummary(dailyCounts);
+        renderActivityHeatmap(ActivityStats.buildHeatmapWeeks(dailyCounts));
+        renderWeeklySolves(ActivityStats.weeklySolvesByDifficulty(solves, difficultyById));
+        
+        // Hide loading state
+        hideLoadingState();
+        
+        console.log('Stats page initialized successfully');
+        
+    } catch (error) {
+        console.error('Failed to initialize stats page:', error);
+        hideLoadingState();
+        showErrorState(`Failed to load activity stats: ${error.message}`);
+    }
+}
+
+/**
+ * Update the solved count, streak and active day stat cards
+ */
+function updateActivitySummary(dailyCounts) {
+    const streaks = ActivityStats.calculateStreaks(dailyCounts);
+    const yearAgo = ActivityStats.toDayKey(ActivityStats.addDays(new Date(), -364));
+    const activeDays = Array.from(dailyCounts.keys()).filter(key => key >= yearAgo).length;
+    
+    const values = {
+        'stats-total-solved': stateManager.getSolvedProblems().length,
+        'stats-current-streak': `${streaks.current} ${streaks.current === 1 ? 'day' : 'days'}`,
+        'stats-longest-streak': `${streaks.longest} ${streaks.longest === 1 ? 'day' : 'days'}`,
+        'stats-active-days': activeDays
+    };
+    
+    Object.entries(values).forEach(([id, value]) => {
+        const element = document.getElementById(id);
+        if (element) element.textContent = value;
+    });
+}
+
+/**
+ * Render the calendar heatmap, one column per week
+ */
+function renderActivityHeatmap(weeks) {
+    const heatmap = document.getElementById('activity-heatmap');
+    if (!heatmap) return;
+    
+    heatmap.innerHTML = '';
+    let total = 0;
+    
+    weeks.forEach(week => {
+        const column = document.createElement('div');
+        column.className = 'heatmap-week';
+        
+        week.forEach(day => {
+            const cell = document.createElement('span');
+            if (day) {
+                total += day.count;
+                cell.className = `heatmap-cell level-${day.level}`;
+                cell.title = `${day.count} ${day.count === 1 ? 'activity' : 'activities'} on ${day.date}`;
+            } else {
+                cell.className = 'heatmap-cell empty';
+            }
+            column.appendChild(cell);
+        });
+        
+        heatmap.appendChild(column);
+    });
+    
+    heatmap.setAttribute('aria-label', `${total} solves and reviews in the past year`);
+}
+
+/**
+ * Render stacked bars of solves per week by difficulty
+ */
+function renderWeeklySolves(weeks) {
+    const chart = document.getElementById('weekly-solves');
+    if (!chart) return;
+    
+    chart.innerHTML = '';
+    const maxTotal = Math.max(1, ...weeks.map(week => week.easy + week.medium + week.hard + week.unknown));
+    
+    weeks.forEach(week => {
+        const total = week.easy + week.medium + week.hard + week.unknown;
+        
+        const column = document.createElement('div');
+        column.className = 'weekly-solves-week';
+        column.title = `Week of ${week.weekStart}: ${week.easy} easy, ${week.medium} medium, ${week.hard} hard` +
+            (week.unknown > 0 ? `, ${week.unknown} other` : '');
+        
+        const bar = document.createElement('div');
+        bar.className = 'weekly-solves-bar';
+        
+        ['hard', 'medium', 'easy', 'unknown'].forEach(difficulty => {
+            if (week[difficulty] === 0) return;
+            
+            const segment = document.createElement('span');
+            segment.className = `weekly-solves-segment ${difficulty}`;
+            segment.style.height = `${(week[difficulty] / maxTotal) * 100}%`;
+            bar.appendChild(segment);
+        });
+        
+        const count = document.createElement('span');
+        count.className = 'weekly-solves-count';
+        count.textContent = total;
+        
+        const label = document.createElement('span');
+        label.className = 'weekly-solves-label';
+        label.textContent = week.weekStart.slice(5);
+        
+        column.appendChild(count);
+        column.appendChild(bar);
+        column.appendChild(label);
+        chart.appendChild(column);
+    });
+}
+
+/**
+ * Initialize the review queue page
+ * Lists solved problems due for review today across all companies
+ */
+async function initializeReviewPage() {
+    console.log('Initializing review page...');
+    
+    try {
+        // Show loading state
+        showLoadingState();
+        
+        const dueReviews = stateManager.getDueReviews();
+        const problems = await loadProblemsByIds(dueReviews.map(review => review.problemId));
+        const problemsById = new Map(problems.map(problem => [problem.id, problem]));
+        
+        // Keep the most overdue first
+        const queue = dueReviews
+            .filter(review => problemsById.has(review.problemId))
+            .map(review => ({ problem: problemsById.get(review.problemId), review }));
+        
+        renderReviewQueue(queue);
+        
+        // Hide loading state
+        hideLoadingState();
+        
+        console.log(`Review page initialized with ${queue.length} due problems`);
+        
+    } catch (error) {
+        console.error('Failed to initialize review page:', error);
+        hideLoadingState();
+        showErrorState(`Failed to load review queue: ${error.message}`);
+    }
+}
+
+/**
+ * Render the review queue with inline confidence rating
+ */
+function renderReviewQueue(queue) {
+    const list = document.getElementById('review-list');
+    const emptyState = document.querySelector('.empty-review');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    updateReviewDescription(queue.length);
+    
+    if (emptyState) {
+        emptyState.style.display = queue.length === 0 ? 'block' : 'none';
+    }
+    
+    queue.forEach(({ problem, review }) => {
+        list.appendChild(createReviewItem(problem, review));
+    });
+}
+
+/**
+ * Update the review page description with the number of due problems
+ */
+function updateReviewDescription(dueCount) {
+    const description = document.getElementById('review-description');
+    if (description) {
+        description.textContent = dueCount === 0 ?
+            'Nothing to review right now.' :
+            `${dueCount} solved ${dueCount === 1 ? 'problem is' : 'problems are'} due for review today.`;
+    }
+}
+
+/**
+ * Create a review queue item with problem info and again/hard/good/easy buttons
+ */
+function createReviewItem(problem, review) {
+    const item = document.createElement('li');
+    item.className = 'review-item';
+    item.setAttribute('data-problem-id', problem.id);
+    
+    const info = document.createElement('div');
+    info.className = 'review-item-info';
+    
+    const title = document.createElement('a');
+    title.className = 'review-item-title';
+    title.href = `#${router.generateUrl('/company/:companyName/problem/:problemId', {
+        companyName: problem.companyName,
+        problemId: problem.id
+    })}`;
+    title.textContent = problem.title;
+    
+    const meta = document.createElement('div');
+    meta.className = 'review-item-meta';
+    meta.appendChild(UIComponents.createDifficultyBadge(problem.difficulty));
+    
+    const companyBadge = document.createElement('span');
+    companyBadge.className = 'company-badge';
+    companyBadge.textContent = problem.companyName;
+    meta.appendChild(companyBadge);
+    
+    const due = document.createElement('span');
+    due.className = 'review-item-due';
+    due.textContent = review.confidence ?
+        `Due ${formatReviewDue(review)} · last rated ${review.confidence}` :
+        'Not rated yet';
+    meta.appendChild(due);
+    
+    info.appendChild(title);
+    info.appendChild(meta);
+    
+    const buttons = document.createElement('div');
+    buttons.className = 'confidence-buttons';
+    buttons.setAttribute('role', 'group');
+    buttons.setAttribute('aria-label', `Rate your recall of ${problem.title}`);
+    
+    REVIEW_CONFIDENCE_LEVELS.forEach(level => {
+        const button = document.createElement('button');
+        button.className = 'confidence-btn';
+        button.setAttribute('data-confidence', level.key);
+        button.textContent = level.label;
+        button.addEventListener('click', () => rateReviewItem(item, problem, level.key));
+        buttons.appendChild(button);
+    });
+    
+    item.appendChild(info);
+    item.appendChild(buttons);
+    return item;
+}
+
+/**
+ * Record a review from the queue and drop the item once it is no longer due
+ */
+function rateReviewItem(item, problem, confidence) {
+    const review = stateManager.recordReview(problem.id, confidence);
+    if (!review) return;
+    
+    showActionFeedback(`${problem.title}: next review ${formatReviewDue(review)}`);
+    
+    if (!ReviewScheduler.isDue(review)) {
+        item.remove();
+        
+        const remaining = document.querySelectorAll('#review-list .review-item').length;
+        updateReviewDescription(remaining);
+        
+        const emptyState = document.querySelector('.empty-review');
+        if (emptyState && remaining === 0) {
+            emptyState.style.display = 'block';
+        }
+    }
+}
+
+/**
+ * Current targets page view: the active target list, its ranked problems and the difficulty and status filters
+ * The filters are kept in the URL like the other problem grids
+ */
+let targetsPageView = {
+    list: null,
+    problems: [],
+    difficulty: 'all',
+    status: 'all'
+};
+
+/**
+ * Initialize the target companies page
+ * Shows the last used target list, creating a first list when none are saved
+ */
+async function initializeTargetsPage() {
+    console.log('Initializing targets page...');
+    
+    try {
+        // Show loading state
+        showLoadingState();
+        
+        const companies = await dataManager.loadCompanies();
+        populateTargetCompanyOptions(companies);
+        
+        const query = router.getQuery();
+        targetsPageView.difficulty = getQueryDifficulty(query);
+        targetsPageView.status = getQueryStatus(query);
+        setupTargetsPageHandlers();
+        
+        await showTargetList(getInitialTargetListId());
+        
+        // Hide loading state
+        hideLoadingState();
+        
+        console.log('Targets page initialized successfully');
+        
+    } catch (error) {
+        console.error('Failed to initialize targets page:', error);
+        hideLoadingState();
+        showErrorState(`Failed to load target companies: ${error.message}`);
+    }
+}
+
+/**
+ * Get the target list to show: the active one, else the first saved one, else a new empty list
+ */
+function getInitialTargetListId() {
+    const lists = stateManager.getTargetLists();
+    const activeId = stateManager.getActiveTargetListId();
+    
+    if (lists.some(list => list.id === activeId)) {
+        return activeId;
+    }
+    if (lists.length > 0) {
+        return lists[0].id;
+    }
+    return stateManager.saveTargetList({ name: 'My Targets', companies: [] }).id;
+}
+
+/**
+ * Switch the targets page to a saved target list and rank its problems
+ */
+async function showTargetList(listId) {
+    stateManager.setActiveTargetList(listId);
+    targetsPageView.list = stateManager.getTargetList(listId);
+    
+    renderTargetListControls();
+    renderTargetCompanies();
+    await loadTargetsPageProblems();
+}
+
+/**
+ * Save changes to the active target list and refresh its controls
+ */
+function updateActiveTargetList(changes) {
+    const savedList = stateManager.saveTargetList({ ...targetsPageView.list, ...changes });
+    if (savedList) {
+        targetsPageView.list = savedList;
+    }
+    
+    renderTargetListControls();
+    renderTargetCompanies();
+}
+
+/**
+ * Fill the company picker with every known company
+ */
+function populateTargetCompanyOptions(companies) {
+    const options = document.getElementById('target-company-options');
+    if (!options) return;
+    
+    options.innerHTML = '';
+    companies.forEach(company => {
+        const option = document.createElement('option');
+        option.value = company.name;
+        options.appendChild(option);
+    });
+}
+
+/**
+ * Set up targets page controls (once, they read the current view)
+ */
+function setupTargetsPageHandlers() {
+    const page = document.getElementById('targets-page');
+    if (!page || page.dataset.handlersAttached) return;
+    page.dataset.handlersAttached = 'true';
+    
+    const listSelect = document.getElementById('target-list-select');
+    const listName = document.getElementById('target-list-name');
+    const companyInput = document.getElementById('target-company-input');
+    const companiesList = document.getElementById('target-companies');
+    const filterButtons = page.querySelectorAll('.filter-btn[data-filter]');
+    
+    listSelect.addEventListener('change', () => showTargetList(listSelect.value));
+    
+    listName.addEventListener('change', () => {
+        if (listName.value.trim().length > 0) {
+            updateActiveTargetList({ name: listName.value });
+        } else {
+            listName.value = targetsPageView.list.name;
+        }
+    });
+    
+    document.getElementById('target-list-new').addEventListener('click', async () => {
+        const listNumber = stateManager.getTargetLists().length + 1;
+        const newList = stateManager.saveTargetList({ name: `Target List ${listNumber}`, companies: [] });
+        await showTargetList(newList.id);
+        listName.focus();
+        listName.select();
+    });
+    
+    document.getElementById('target-list-delete').addEventListener('click', async () => {
+        if (!confirm(`Delete the target list "${targetsPageView.list.name}"?`)) return;
+        
+        stateManager.deleteTargetList(targetsPageView.list.id);
+        await showTargetList(getInitialTargetListId());
+    });
+    
+    const addCompany = async () => {
+        if (await addTargetCompany(companyInput.value)) {
+            companyInput.value = '';
+        }
+    };
+    document.getElementById('target-company-add').addEventListener('click', addCompany);
+    companyInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            addCompany();
+        }
+    });
+    
+    // Weight changes and removals on the selected companies
+    companiesList.addEventListener('change', async (e) => {
+        if (!e.target.matches('.target-weight-input')) return;
+        
+        const weight = parseFloat(e.target.value);
+        const companies = targetsPageView.list.companies.map(company =>
+            company.name === e.target.dataset.company && weight > 0 ? { ...company, weight } : company
+        );
+        updateActiveTargetList({ companies });
+        await loadTargetsPageProblems();
+    });
+    
+    companiesList.addEventListener('click', async (e) => {
+        const removeButton = e.target.closest('.target-company-remove');
+        if (!removeButton) return;
+        
+        const companies = targetsPageView.list.companies.filter(company =>
+            company.name !== removeButton.dataset.company
+        );
+        updateActiveTargetList({ companies });
+        await loadTargetsPageProblems();
+    });
+    
+    // Difficulty filters
+    filterButtons.forEach(button => {
+        button.addEventListener('click', async (e) => {
+            e.preventDefault();
+            
+            targetsPageView.difficulty = button.getAttribute('data-filter');
+            setActiveFilterButton(filterButtons, 'data-filter', targetsPageView.difficulty);
+            await renderTargetsPageView();
+        });
+    });
+    
+    // Status filters
+    const statusButtons = page.querySelectorAll('.filter-btn[data-status]');
+    statusButtons.forEach(button => {
+        button.addEventListener('click', async (e) => {
+            e.preventDefault();
+            
+            targetsPageView.status = button.getAttribute('data-status');
+            setActiveFilterButton(statusButtons, 'data-status', targetsPageView.status);
+            await renderTargetsPageView();
+        });
+    });
+}
+
+/**
+ * Add a company to the active target list by name
+ * Returns false when the name does not match a known company
+ */
+async function addTargetCompany(companyName) {
+    const query = companyName.trim().toLowerCase();
+    if (!query) return false;
+    
+    const companies = await dataManager.loadCompanies();
+    const company = companies.find(c => c.name.toLowerCase() === query);
+    if (!company) {
+        showActionFeedback(`Unknown company: ${companyName.trim()}`);
+        return false;
+    }
+    
+    if (targetsPageView.list.companies.some(target => target.name === company.name)) {
+        return true;
+    }
+    
+    updateActiveTargetList({ companies: [...targetsPageView.list.companies, { name: company.name, weight: 1 }] });
+    await loadTargetsPageProblems();
+    return true;
+}
+
+/**
+ * Render the saved target list selector and the active list's name
+ */
+function renderTargetListControls() {
+    const listSelect = document.getElementById('target-list-select');
+    const listName = document.getElementById('target-list-name');
+    if (!listSelect || !listName) return;
+    
+    listSelect.innerHTML = '';
+    stateManager.getTargetLists().forEach(list => {
+        const option = document.createElement('option');
+        option.value = list.id;
+        option.textContent = `${list.name} (${list.companies.length})`;
+        option.selected = list.id === targetsPageView.list.id;
+        listSelect.appendChild(option);
+    });
+    
+    listName.value = targetsPageView.list.name;
+}
+
+/**
+ * Render the selected companies with their weights
+ */
+function renderTargetCompanies() {
+    const companiesList = document.getElementById('target-companies');
+    if (!companiesList) return;
+    
+    companiesList.innerHTML = '';
+    
+    targetsPageView.list.companies.forEach(target => {
+        const item = document.createElement('li');
+        item.className = 'target-company-item';
+        
+        const link = document.createElement('a');
+        link.className = 'target-company-name';
+        link.href = `#${router.generateUrl('/company/:companyName', { companyName: target.name })}`;
+        link.textContent = target.name;
+        
+        const weight = document.createElement('input');
+        weight.type = 'number';
+        weight.className = 'target-weight-input';
+        weight.min = '1';
+        weight.max = '10';
+        weight.step = '1';
+        weight.value = target.weight;
+        weight.dataset.company = target.name;
+        weight.setAttribute('aria-label', `Weight for ${target.name}`);
+        weight.title = 'Weight';
+        
+        const remove = document.createElement('button');
+        remove.className = 'target-company-remove';
+        remove.dataset.company = target.name;
+        remove.setAttribute('aria-label', `Remove ${target.name}`);
+        remove.textContent = '×';
+        
+        item.appendChild(link);
+        item.appendChild(weight);
+        item.appendChild(remove);
+        companiesList.appendChild(item);
+    });
+}
+
+/**
+ * Load and rank the problems for the active target list
+ */
+async function loadTargetsPageProblems() {
+    const targets = targetsPageView.list.companies;
+    targetsPageView.problems = targets.length > 0 ? await dataManager.loadTargetProblems(targets) : [];
+    await renderTargetsPageView();
+}
+
+/**
+ * Render the targets page grid for the current difficulty and status
+ */
+async function renderTargetsPageView() {
+    const page = document.getElementById('targets-page');
+    const problems = applyUserStateToProblems(targetsPageView.problems);
+    
+    setActiveFilterButton(page.querySelectorAll('.filter-btn[data-filter]'), 'data-filter', targetsPageView.difficulty);
+    setActiveFilterButton(page.querySelectorAll('.filter-btn[data-status]'), 'data-status', targetsPageView.status);
+    router.updateQuery({
+        difficulty: targetsPageView.difficulty === 'all' ? null : targetsPageView.difficulty,
+        status: targetsPageView.status === 'all' ? null : targetsPageView.status
+    });
+    updateTargetsPageFilterCounts();
+    
+    renderTargetProblems(filterProblemsByStatus(
+        filterProblemsByDifficulty(problems, targetsPageView.difficulty),
+        targetsPageView.status
+    ));
+}
+
+/**
+ * Update targets page difficulty and status counts
+ */
+function updateTargetsPageFilterCounts() {
+    updateDifficultyAndStatusCounts(applyUserStateToProblems(targetsPageView.problems), targetsPageView.difficulty,
+        targetsPageView.status, document.getElementById('targets-page'));
+}
+
+/**
+ * Render ranked target problems, each tagged with the target companies asking it
+ */
+function renderTargetProblems(problems) {
+    const grid = document.getElementById('targets-grid');
+    const noProblems = document.querySelector('#targets-page .no-problems');
+    if (!grid) return;
+    
+    grid.innerHTML = '';
+    
+    if (problems.length === 0) {
+        if (noProblems) {
+            noProblems.style.display = 'block';
+            const messageEl = noProblems.querySelector('p');
+            if (messageEl) {
+                messageEl.textContent = targetsPageView.list.companies.length === 0 ?
+                    'Add companies to build a ranked problem list.' :
+                    (targetsPageView.status === 'all' ?
+                        `No ${targetsPageView.difficulty} problems found.` :
+                        'No problems match the current filters.');
+            }
+        }
+        return;
+    }
+    
+    if (noProblems) {
+        noProblems.style.display = 'none';
+    }
+    
+    const fragment = document.createDocumentFragment();
+    
+    problems.forEach(problem => {
+        try {
+            const card = UIComponents.createProblemCard(problem, {
+                onClick: (clickedProblem) => {
+                    RouterUtils.goToProblem(clickedProblem.targetCompanies[0].name, clickedProblem.id);
+                }
+            });
+            
+            const badges = document.createElement('div');
+            badges.className = 'target-company-badges';
+            problem.targetCompanies.forEach(company => {
+                const badge = document.createElement('span');
+                badge.className = 'company-badge';
+                badge.textContent = `${company.name} ${Utils.formatFrequency(company.frequency)}`;
+                badges.appendChild(badge);
+            });
+            card.insertBefore(badges, card.querySelector('.problem-status'));
+            
+            addProblemStateHandlers(card, problem);
+            fragment.appendChild(card);
+        } catch (error) {
+            console.warn(`Failed to create card for problem ${problem.title}:`, error);
+        }
+    });
+    
+    grid.appendChild(fragment);
+    console.log(`Rendered ${problems.length} target problems with filter: ${targetsPageView.difficulty}`);
+}
+
+/**
+ * Initialize the topics page with every topic's problem count and solved percentage
+ */
+async function initializeTopicsPage() {
+    console.log('Initializing topics page...');
+    
+    try {
+        // Show loading state
+        showLoadingState();
+        
+        const topics = await dataManager.getTopics();
+        renderTopicCards(topics || []);
+        
+        // Hide loading state
+        hideLoadingState();
+        
+        console.log(`Topics page initialized with ${topics ? topics.length : 0} topics`);
+        
+    } catch (error) {
+        console.error('Failed to initialize topics page:', error);
+        hideLoadingState();
+        showErrorState(`Failed to load topics: ${error.message}`);
+    }
+}
+
+/**
+ * Render topic cards, topics with the most problems first
+ */
+function renderTopicCards(topics) {
+    const grid = document.getElementById('topics-grid');
+    const noResults = document.querySelector('#topics-page .no-results');
+    const description = document.getElementById('topics-description');
+    if (!grid) return;
+    
+    grid.innerHTML = '';
+    if (noResults) {
+        noResults.style.display = topics.length === 0 ? 'block' : 'none';
+    }
+    if (description) {
+        description.textContent = `Browse problems from every company across ${topics.length} topics.`;
+    }
+    
+    const fragment = document.createDocumentFragment();
+    
+    [...topics]
+        .sort((a, b) => b.problemIds.length - a.problemIds.length || a.name.localeCompare(b.name))
+        .forEach(topic => {
+            const solved = topic.problemIds.filter(id => stateManager.isProblemSolved(id)).length;
+            fragment.appendChild(UIComponents.createTopicCard(topic, { solved, total: topic.problemIds.length }));
+        });
+    
+    grid.appendChild(fragment);
+}
+
+/**
+ * Current topic page view: the topic, its problems across companies, difficulty and status filters and sort
+ */
+let topicPageView = {
+    name: null,
+    problems: [],
+    difficulty: 'all',
+    status: 'all',
+    sort: 'asked'
+};
+
+/**
+ * Initialize a topic page listing the topic's problems from every company
+ */
+async function initializeTopicPage(topicName) {
+    console.log(`Initializing topic page for: ${topicName}`);
+    
+    try {
+        // Show loading state
+        showLoadingState();
+        
+        const problems = await dataManager.getTopicProblems(topicName);
+        if (!problems) {
+            throw new Error('The problem index is not available');
+        }
+        
+        const query = router.getQuery();
+        topicPageView = {
+            name: topicName,
+            problems,
+            difficulty: getQueryDifficulty(query),
+            status: getQueryStatus(query),
+            sort: query.sort === 'title' ? 'title' : 'asked'
+        };
+        setupTopicPageHandlers();
+        renderTopicPageView();
+        
+        // Hide loading state
+        hideLoadingState();
+        
+        console.log(`Topic page initialized with ${problems.length} problems`);
+        
+    } catch (error) {
+        console.error('Failed to initialize topic page:', error);
+        hideLoadingState();
+        showErrorState(`Failed to load topic ${topicName}: ${error.message}`);
+    }
+}
+
+/**
+ * Set up topic page filter and sort controls once; they read the current view
+ */
+function setupTopicPageHandlers() {
+    const page = document.getElementById('topic-page');
+    if (!page || page.dataset.handlersAttached) return;
+    page.dataset.handlersAttached = 'true';
+    
+    const filterButtons = page.querySelectorAll('.filter-btn[data-filter]');
+    filterButtons.forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            
+            topicPageView.difficulty = button.getAttribute('data-filter');
+            renderTopicPageView();
+        });
+    });
+    
+    page.querySelectorAll('.filter-btn[data-status]').forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            
+            topicPageView.status = button.getAttribute('data-status');
+            renderTopicPageView();
+        });
+    });
+    
+    document.getElementById('topic-sort').addEventListener('change', (e) => {
+        topicPageView.sort = e.target.value;
+        renderTopicPageView();
+    });
+}
+
+/**
+ * Render the topic header progress and the filtered, sorted problem grid
+ */
+function renderTopicPageView() {
+    const page = document.getElementById('topic-page');
+    const problems = applyUserStateToProblems(topicPageView.problems);
+    
+    const solvedCount = problems.filter(problem => problem.solved).length;
+    const percentage = problems.length > 0 ? Math.round((solvedCount / problems.length) * 100) : 0;
+    document.getElementById('topic-name').textContent = topicPageView.name;
+    document.getElementById('topic-progress').textContent =
+        `${solvedCount} / ${problems.length} problems solved (${percentage}%)`;
+    document.getElementById('topic-progress-fill').style.width = `${percentage}%`;
+    
+    setActiveFilterButton(page.querySelectorAll('.filter-btn[data-filter]'), 'data-filter', topicPageView.difficulty);
+    setActiveFilterButton(page.querySelectorAll('.filter-btn[data-status]'), 'data-status', topicPageView.status);
+    updateTopicPageFilterCounts();
+    document.getElementById('topic-sort').value = topicPageView.sort;
+    router.updateQuery({
+        difficulty: topicPageView.difficulty === 'all' ? null : topicPageView.difficulty,
+        status: topicPageView.status === 'all' ? null : topicPageView.status,
+        sort: topicPageView.sort === 'asked' ? null : topicPageView.sort
+    });
+    
+    const filtered = filterProblemsByStatus(filterProblemsByDifficulty(problems, topicPageView.difficulty), topicPageView.status);
+    const sorted = filtered.sort((a, b) =>
+        topicPageView.sort === 'asked'
+            ? b.askedFrequency - a.askedFrequency || a.title.localeCompare(b.title)
+            : a.title.localeCompare(b.title)
+    );
+    renderTopicProblems(sorted);
+}
+
+/**
+ * Update topic page difficulty and status counts
+ */
+function updateTopicPageFilterCounts() {
+    updateDifficultyAndStatusCounts(applyUserStateToProblems(topicPageView.problems), topicPageView.difficulty,
+        topicPageView.status, document.getElementById('topic-page'));
+}
+
+/**
+ * Render topic problems, each tagged with the companies asking it most
+ */
+function renderTopicProblems(problems) {
+    const grid = document.getElementById('topic-grid');
+    const noProblems = document.querySelector('#topic-page .no-problems');
+    if (!grid) return;
+    
+    grid.innerHTML = '';
+    if (noProblems) {
+        noProblems.style.display = problems.length === 0 ? 'block' : 'none';
+    }
+    
+    const fragment = document.createDocumentFragment();
+    
+    problems.forEach(problem => {
+        try {
+            const card = UIComponents.createProblemCard(problem, {
+                onClick: (clickedProblem) => {
+                    RouterUtils.goToProblem(clickedProblem.companyName, clickedProblem.id);
+                }
+            });
+            
+            const topCompanies = [...problem.companies]
+                .sort((a, b) => dataManager.getOverallFrequency(b.frequencies) - dataManager.getOverallFrequency(a.frequencies))
+                .slice(0, 3);
+            
+            const badges = document.createElement('div');
+            badges.className = 'target-company-badges';
+            topCompanies.forEach(company => {
+                const badge = document.createElement('span');
+                badge.className = 'company-badge';
+                badge.textContent = company.name;
+                badges.appendChild(badge);
+            });
+            if (problem.companies.length > topCompanies.length) {
+                const more = document.createElement('span');
+                more.className = 'company-badge';
+                more.textContent = `+${problem.companies.length - topCompanies.length} more`;
+                badges.appendChild(more);
+            }
+            card.insertBefore(badges, card.querySelector('.problem-status'));
+            
+            addProblemStateHandlers(card, problem);
+            fragment.appendChild(card);
+        } catch (error) {
+            console.warn(`Failed to create card for problem ${problem.title}:`, error);
+        }
+    });
+    
+    grid.appendChild(fragment);
+    console.log(`Rendered ${problems.length} ${topicPageView.name} problems with filter: ${topicPageView.difficulty}`);
+}
+
+/**
+ * Backup file waiting for the user to confirm an import
+ */
+let pendingBackup = null;
+
+/**
+ * Initialize the settings page
+ */
+function initializeSettingsPage() {
+    console.log('Initializing settings page...');
+    
+    try {
+        renderBackupStrategies();
+        setupSettingsPageHandlers();
+        clearBackupPreview();
+        renderMigrationStatus();
+        renderStorageSettings();
+        renderSyncSettings();
+        renderProfileSettings();
+        renderCSVDiagnostics();
+        
+        console.log('Settings page initialized successfully');
+        
+    } catch (error) {
+        console.error('Failed to initialize settings page:', error);
+        showErrorState(`Failed to load settings: ${error.message}`);
+    }
+}
+
+/**
+ * Set up settings page handlers once
+ */
+function setupSettingsPageHandlers() {
+    const page = document.getElementById('settings-page');
+    if (!page || page.dataset.handlersAttached) return;
+    page.dataset.handlersAttached = 'true';
+    
+    const fileInput = document.getElementById('backup-file-input');
+    
+    document.getElementById('backup-download').addEventListener('click', downloadBackup);
+    
+    fileInput.addEventListener('change', async () => {
+        if (fileInput.files.length > 0) {
+            await previewBackupFile(fileInput.files[0]);
+        }
+    });
+    
+    document.getElementById('backup-import-apply').addEventListener('click', applyBackupImport);
+    
+    document.getElementById('backup-import-cancel').addEventListener('click', () => {
+        clearBackupPreview();
+    });
+    
+    document.getElementById('migration-rollback').addEventListener('click', rollbackStateMigration);
+    document.getElementById('migration-upgrade').addEventListener('click', upgradeStateMigration);
+    
+    document.getElementById('csv-diagnostics-clear').addEventListener('click', () => {
+        dataManager.clearCSVDiagnostics();
+        renderCSVDiagnostics();
+    });
+    
+    // Companies opened later add their own diagnostics
+    window.addEventListener('csv:diagnostics', renderCSVDiagnostics);
+    
+    const backendSelect = document.getElementById('storage-backend-select');
+    backendSelect.addEventListener('change', async () => {
+        backendSelect.disabled = true;
+        const switched = await stateManager.setStorageBackend(backendSelect.value);
+        backendSelect.disabled = false;
+        
+        showActionFeedback(switched ? 'Progress moved to the new storage' : 'That storage is not available in this browser');
+        renderStorageSettings();
+    });
+    
+    document.getElementById('profile-create-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const nameInput = document.getElementById('profile-name-input');
+        
+        try {
+            const profile = stateManager.createProfile(nameInput.value);
+            nameInput.value = '';
+            showProfileErrors([]);
+            await switchToProfile(profile.id);
+        } catch (error) {
+            showProfileErrors([error.message]);
+        }
+    });
+    
+    const profileImportInput = document.getElementById('profile-import-input');
+    profileImportInput.addEventListener('change', async () => {
+        if (profileImportInput.files.length > 0) {
+            await importProfileFile(profileImportInput.files[0]);
+            profileImportInput.value = '';
+        }
+    });
+    
+    document.getElementById('profile-list').addEventListener('click', async (e) => {
+        const button = e.target.closest('[data-profile-action]');
+        if (!button) return;
+        
+        const profileId = button.getAttribute('data-profile-id');
+        const action = button.getAttribute('data-profile-action');
+        
+        if (action === 'switch') {
+            await switchToProfile(profileId);
+        } else if (action === 'export') {
+            await exportProfileBackup(profileId);
+        } else if (action === 'delete') {
+            await deleteProfile(profileId);
+        }
+    });
+    
+    document.getElementById('sync-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const synced = await syncAdapter.configure(document.getElementById('sync-endpoint').value);
+        showActionFeedback(synced ? 'Connected to sync server' : 'Could not reach the sync server');
+    });
+    
+    document.getElementById('sync-now').addEventListener('click', async () => {
+        const synced = await syncAdapter.sync();
+        showActionFeedback(synced ? 'Progress synced' : 'Could not reach the sync server');
+    });
+    
+    document.getElementById('sync-disconnect').addEventListener('click', () => {
+        syncAdapter.disable();
+        showActionFeedback('Sync turned off; progress stays on this device');
+    });
+}
+
+/**
+ * Show the sync server connection and when progress was last synced
+ */
+function renderSyncSettings() {
+    const status = document.getElementById('sync-status');
+    const endpointInput = document.getElementById('sync-endpoint');
+    if (!status || !endpointInput || !syncAdapter) return;
+    
+    const sync = syncAdapter.getStatus();
+    
+    if (document.activeElement !== endpointInput) {
+        endpointInput.value = sync.endpoint || '';
+    }
+    document.getElementById('sync-connect').textContent = sync.enabled ? 'Change Server' : 'Connect';
+    document.getElementById('sync-now').style.display = sync.enabled ? '' : 'none';
+    document.getElementById('sync-disconnect').style.display = sync.enabled ? '' : 'none';
+    
+    if (!sync.enabled) {
+        status.textContent = 'Share progress between devices through your own sync server ' +
+            '(run "node sync-server.js" to start one).';
+    } else if (sync.syncing) {
+        status.textContent = `Syncing with ${sync.endpoint}...`;
+    } else if (sync.error) {
+        status.textContent = `Last sync with ${sync.endpoint} failed: ${sync.error}. ` +
+            `${sync.pending} changes are waiting to be sent.`;
+    } else {
+        status.textContent = sync.lastSyncedAt
+            ? `Synced with ${sync.endpoint} at ${new Date(sync.lastSyncedAt).toLocaleTimeString()}.`
+            : `Connected to ${sync.endpoint}.`;
+    }
+}
+
+/**
+ * Most diagnostics listed in the CSV diagnostics panel; the rest are only counted
+ */
+const CSV_DIAGNOSTICS_SHOWN = 200;
+
+/**
+ * List the problems found in company CSV files loaded so far, by file, line and column
+ */
+function renderCSVDiagnostics() {
+    const status = document.getElementById('csv-diagnostics-status');
+    const list = document.getElementById('csv-diagnostics-list');
+    const clearButton = document.getElementById('csv-diagnostics-clear');
+    if (!status || !list || !clearButton) return;
+    
+    const diagnostics = dataManager.getCSVDiagnostics().flatMap(group => group.diagnostics);
+    
+    if (diagnostics.length === 0) {
+        status.textContent = 'No problems found in the company CSV files loaded so far.';
+    } else {
+        const files = new Set(diagnostics.map(diagnostic => diagnostic.file));
+        status.textContent = `${diagnostics.length} problem${diagnostics.length === 1 ? '' : 's'} in ${files.size} ` +
+            `CSV file${files.size === 1 ? '' : 's'}. Affected rows were skipped or read leniently.`;
+    }
+    
+    list.innerHTML = diagnostics.slice(0, CSV_DIAGNOSTICS_SHOWN).map(diagnostic => {
+        const location = [diagnostic.line, diagnostic.column].filter(part => part !== null).join(':');
+        return `
+            <li class="csv-diagnostic">
+                <span class="csv-diagnostic-file">${Utils.sanitizeHTML(diagnostic.file || 'CSV')}</span>
+                ${location ? `<code class="csv-diagnostic-location">${location}</code>` : ''}
+                <span class="csv-diagnostic-reason">${Utils.sanitizeHTML(diagnostic.reason)}</span>
+            </li>
+        `;
+    }).join('');
+    
+    if (diagnostics.length > CSV_DIAGNOSTICS_SHOWN) {
+        list.insertAdjacentHTML('beforeend',
+            `<li class="csv-diagnostic empty">and ${diagnostics.length - CSV_DIAGNOSTICS_SHOWN} more</li>`);
+    }
+    clearButton.style.display = diagnostics.length > 0 ? '' : 'none';
+}
+
+/**
+ * Show which storage backend holds progress and let the user choose another
+ */
+function renderStorageSettings() {
+    const backendSelect = document.getElementById('storage-backend-select');
+    const status = document.getElementById('storage-status');
+    if (!backendSelect || !status) return;
+    
+    if (backendSelect.options.length === 0) {
+        STORAGE_BACKENDS.forEach(backend => {
+            const option = document.createElement('option');
+            option.value = backend.key;
+            option.textContent = backend.label;
+            backendSelect.appendChild(option);
+        });
+    }
+    
+    const info = stateManager.getStorageInfo();
+    const active = STORAGE_BACKENDS.find(backend => backend.key === info.backend);
+    backendSelect.value = active ? active.key : info.preferred;
+    
+    status.textContent = info.persistent
+        ? `Progress is saved in ${active ? active.label : info.backend}.`
+        : 'Storage is unavailable, so progress is only kept until this tab is closed.';
+}
+
+/**
+ * Show the current schema version and whether a pre-migration backup can be restored
+ * or rolled-back progress upgraded again
+ */
+function renderMigrationStatus() {
+    const status = document.getElementById('migration-status');
+    const rollbackButton = document.getElementById('migration-rollback');
+    const upgradeButton = document.getElementById('migration-upgrade');
+    if (!status || !rollbackButton || !upgradeButton) return;
+    
+    const backup = stateManager.getMigrationBackup();
+    
+    if (backup && backup.rolledBack) {
+        status.textContent = `Your progress was restored to format version ${backup.fromVersion} and stays in it ` +
+            `until you upgrade it to version ${StateSchema.CURRENT_VERSION}.`;
+    } else if (backup) {
+        status.textContent = `Your progress is stored in format version ${StateSchema.CURRENT_VERSION}. ` +
+            `It was upgraded from version ${backup.fromVersion} on ${new Date(backup.date).toLocaleString()}; ` +
+            'the data from before that upgrade is kept in case it needs to be restored.';
+    } else {
+        status.textContent = `Your progress is stored in format version ${StateSchema.CURRENT_VERSION}.`;
+    }
+    rollbackButton.style.display = backup && !backup.rolledBack ? '' : 'none';
+    upgradeButton.style.display = backup && backup.rolledBack ? '' : 'none';
+}
+
+/**
+ * Restore the state saved before the last schema migration
+ */
+async function rollbackStateMigration() {
+    const backup = stateManager.getMigrationBackup();
+    if (!backup) return;
+    
+    const confirmed = confirm(
+        `Restore your progress as it was before the upgrade on ${new Date(backup.date).toLocaleString()}? ` +
+        'Changes made since then will be lost.'
+    );
+    if (!confirmed) return;
+    
+    if (await stateManager.rollbackMigration()) {
+        showActionFeedback('Progress restored from before the upgrade');
+    } else {
+        showActionFeedback('Could not restore progress from before the upgrade');
+    }
+    renderMigrationStatus();
+}
+
+/**
+ * Run the schema migrations again on progress a rollback left at an older version
+ */
+async function upgradeStateMigration() {
+    if (await stateManager.upgradeState()) {
+        showActionFeedback('Progress upgraded to the current data format');
+    } else {
+        showActionFeedback('Could not upgrade progress');
+    }
+    renderMigrationStatus();
+}
+
+/**
+ * Save an object as a JSON file download
+ */
+function downloadJSONFile(data, fileName) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Download the current state as a dated JSON backup file
+ */
+function downloadBackup() {
+    const backup = stateManager.exportState();
+    downloadJSONFile(backup, `leetcode-progress-${backup.exportDate.split('T')[0]}.json`);
+    
+    showActionFeedback('Backup downloaded!');
+    console.log(`Downloaded backup (version ${backup.version})`);
+}
+
+/**
+ * List profiles on the settings page with switch, export and delete actions
+ */
+function renderProfileSettings() {
+    const list = document.getElementById('profile-list');
+    if (!list) return;
+    
+    const activeId = stateManager.getProfile().id;
+    list.innerHTML = '';
+    
+    stateManager.getProfiles().forEach(profile => {
+        const isActive = profile.id === activeId;
+        const item = document.createElement('li');
+        item.className = 'profile-item';
+        
+        const name = document.createElement('span');
+        name.className = 'profile-item-name';
+        name.textContent = profile.name;
+        if (isActive) {
+            const badge = document.createElement('span');
+            badge.className = 'profile-item-active';
+            badge.textContent = 'Active';
+            name.appendChild(badge);
+        }
+        item.appendChild(name);
+        
+        const actions = [
+            { action: 'switch', label: 'Switch', show: !isActive },
+            { action: 'export', label: 'Export', show: true },
+            { action: 'delete', label: 'Delete', show: !isActive && profile.id !== DEFAULT_PROFILE.id }
+        ];
+        actions.filter(({ show }) => show).forEach(({ action, label }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-secondary';
+            button.textContent = label;
+            button.setAttribute('data-profile-action', action);
+            button.setAttribute('data-profile-id', profile.id);
+            button.setAttribute('aria-label', `${label} profile ${profile.name}`);
+            item.appendChild(button);
+        });
+        
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Show why a profile could not be created or imported; an empty list hides the message
+ */
+function showProfileErrors(errors) {
+    const errorsContainer = document.getElementById('profile-errors');
+    if (!errorsContainer) return;
+    
+    errorsContainer.innerHTML = '';
+    errorsContainer.style.display = errors.length > 0 ? 'block' : 'none';
+    
+    if (errors.length === 0) return;
+    
+    const list = document.createElement('ul');
+    errors.forEach(error => {
+        const item = document.createElement('li');
+        item.textContent = error;
+        list.appendChild(item);
+    });
+    errorsContainer.appendChild(list);
+}
+
+/**
+ * Download one profile's progress as a backup file named after the profile
+ */
+async function exportProfileBackup(profileId) {
+    try {
+        const backup = await stateManager.exportProfile(profileId);
+        const slug = backup.profile.id;
+        downloadJSONFile(backup, `leetcode-progress-${slug}-${backup.exportDate.split('T')[0]}.json`);
+        showActionFeedback(`Exported ${backup.profile.name}`);
+    } catch (error) {
+        console.error('Failed to export profile:', error);
+        showProfileErrors([`Could not export the profile: ${error.message}`]);
+    }
+}
+
+/**
+ * Create a profile from an uploaded backup file
  */
-function updateCompanyHeader(company) {
-    const companyNameEl = document.getElementById('company-name');
-    if (companyNameEl) {
-        companyNameEl.textContent = company.name;
+async function importProfileFile(file) {
+    let backup;
+    try {
+        backup = JSON.parse(await file.text());
+    } catch (error) {
+        showProfileErrors([`"${file.name}" is not a valid JSON file.`]);
+        return;
     }
     
-    // Update page title
-    document.title = `${company.name} Problems - LeetCode Company Problems`;
+    try {
+        const fallbackName = file.name.replace(/\.json$/i, '');
+        const result = await stateManager.importProfile(backup, backup.profile ? null : fallbackName);
+        if (!result.valid) {
+            showProfileErrors(result.errors);
+            return;
+        }
+        
+        showProfileErrors([]);
+        showActionFeedback(`Imported profile ${result.profile.name}`);
+    } catch (error) {
+        console.error('Failed to import profile:', error);
+        showProfileErrors([`Could not import the profile: ${error.message}`]);
+    }
 }
 
 /**
- * Apply user state (solved/bookmarked) to problems
- * Requirement 4.4: Display visual indicator for solved/unsolved states
+ * Delete a profile and its progress after confirmation
  */
-function applyUserStateToProblems(problems) {
-    return problems.map(problem => {
-        const problemWithState = { ...problem };
-        problemWithState.solved = stateManager ? stateManager.isProblemSolved(problem.id) : false;
-        problemWithState.bookmarked = stateManager ? stateManager.isProblemBookmarked(problem.id) : false;
-        return problemWithState;
-    });
+async function deleteProfile(profileId) {
+    const profile = stateManager.getProfiles().find(p => p.id === profileId);
+    if (!profile || !confirm(`Delete the profile "${profile.name}" and all of its progress?`)) return;
+    
+    if (await stateManager.deleteProfile(profileId)) {
+        showActionFeedback(`Deleted ${profile.name}`);
+    }
 }
 
 /**
- * Set up filter controls for the company page
- * Requirement 5.1: Display filter buttons for Easy, Medium, and Hard difficulties
- * Requirement 5.4: Update problem count display when filters are applied
+ * Read and validate an uploaded backup file, then show what importing it would change
  */
-function setupCompanyPageFilters(problems) {
-    const filterButtons = document.querySelectorAll('.filter-btn');
+async function previewBackupFile(file) {
+    clearBackupPreview();
     
-    if (filterButtons.length === 0) {
-        console.warn('Filter buttons not found');
+    let backup;
+    try {
+        backup = JSON.parse(await file.text());
+    } catch (error) {
+        showBackupErrors([`"${file.name}" is not a valid JSON file.`]);
         return;
     }
     
-    // Calculate counts for each difficulty
-    const counts = calculateDifficultyCounts(problems);
-    
-    // Update filter button counts
-    updateFilterButtonCounts(counts);
+    const preview = stateManager.previewImport(backup);
+    if (!preview.valid) {
+        showBackupErrors(preview.errors);
+        return;
+    }
     
-    // Set up filter button click handlers
-    filterButtons.forEach(button => {
-        button.addEventListener('click', async (e) => {
-            e.preventDefault();
-            
-            const filter = button.getAttribute('data-filter');
-            
-            // Update active state
-            filterButtons.forEach(btn => btn.classList.remove('active'));
-            button.classList.add('active');
-            
-            // Update state manager
-            if (stateManager) {
-                stateManager.updateFilters({ difficulty: filter });
-            }
-            
-            // Re-render problems with new filter
-            await renderProblems(problems, filter);
-        });
+    pendingBackup = backup;
+    renderBackupDiff(preview.diff, file.name);
+}
+
+/**
+ * Show why a backup file was rejected
+ */
+function showBackupErrors(errors) {
+    const errorsContainer = document.getElementById('backup-errors');
+    if (!errorsContainer) return;
+    
+    errorsContainer.innerHTML = '';
+    
+    const title = document.createElement('p');
+    title.className = 'backup-errors-title';
+    title.textContent = 'This backup cannot be imported:';
+    errorsContainer.appendChild(title);
+    
+    const list = document.createElement('ul');
+    errors.forEach(error => {
+        const item = document.createElement('li');
+        item.textContent = error;
+        list.appendChild(item);
     });
+    errorsContainer.appendChild(list);
+    errorsContainer.style.display = 'block';
 }
 
 /**
- * Calculate problem counts by difficulty
- * Requirement 5.4: Update problem count display when filters are applied
+ * Render the import diff summary and the list of conflicting values
  */
-function calculateDifficultyCounts(problems) {
-    const counts = {
-        all: problems.length,
-        easy: 0,
-        medium: 0,
-        hard: 0
-    };
+function renderBackupDiff(diff, fileName) {
+    const preview = document.getElementById('backup-preview');
+    const summary = document.getElementById('backup-diff-summary');
+    const conflicts = document.getElementById('backup-conflicts');
+    if (!preview || !summary || !conflicts) return;
+    
+    document.getElementById('backup-preview-title').textContent = `Import "${fileName}"`;
+    
+    const rows = [
+        ['New solves', diff.solved.added],
+        ['Solves not in backup', diff.solved.removed],
+        ['New bookmarks', diff.bookmarked.added],
+        ['Bookmarks not in backup', diff.bookmarked.removed],
+        ['New notes', diff.notes.added],
+        ['Notes not in backup', diff.notes.removed],
+        ['New target lists', diff.targetLists.added],
+        ['Target lists not in backup', diff.targetLists.removed]
+    ];
     
-    problems.forEach(problem => {
-        const difficulty = problem.difficulty.toLowerCase();
-        if (counts.hasOwnProperty(difficulty)) {
-            counts[difficulty]++;
+    summary.innerHTML = '';
+    rows.forEach(([label, items]) => {
+        const row = document.createElement('li');
+        row.className = `backup-diff-row${items.length === 0 ? ' empty' : ''}`;
+        
+        const count = document.createElement('span');
+        count.className = 'backup-diff-count';
+        count.textContent = items.length;
+        
+        const text = document.createElement('span');
+        text.className = 'backup-diff-label';
+        text.textContent = label;
+        if (items.length > 0) {
+            text.title = items.slice(0, 20).join(', ') + (items.length > 20 ? `, and ${items.length - 20} more` : '');
         }
+        
+        row.appendChild(count);
+        row.appendChild(text);
+        summary.appendChild(row);
     });
     
-    return counts;
+    conflicts.innerHTML = '';
+    if (diff.conflicts.length === 0) {
+        conflicts.innerHTML = '<li class="backup-conflict empty">No conflicting values.</li>';
+    } else {
+        diff.conflicts.forEach(conflict => {
+            const item = document.createElement('li');
+            item.className = 'backup-conflict';
+            item.textContent = describeBackupConflict(conflict);
+            conflicts.appendChild(item);
+        });
+    }
+    
+    preview.style.display = 'block';
 }
 
 /**
- * Update filter button counts
+ * Describe a value that differs between the current state and a backup
  */
-function updateFilterButtonCounts(counts) {
-    const filterButtons = document.querySelectorAll('.filter-btn');
-    
-    filterButtons.forEach(button => {
-        const filter = button.getAttribute('data-filter');
-        const count = counts[filter] || 0;
-        
-        // Update button text with count
-        const filterText = filter.charAt(0).toUpperCase() + filter.slice(1);
-        button.innerHTML = `${filterText} <span class="filter-count">(${count})</span>`;
+function describeBackupConflict(conflict) {
+    const formatDate = value => value ? new Date(value).toLocaleString() : 'unknown';
+    
+    switch (conflict.field) {
+        case 'theme':
+            return `Theme: ${conflict.current} here, ${conflict.incoming} in backup`;
+        case 'notes':
+            return `Note for ${conflict.key}: saved ${formatDate(conflict.current.updatedAt)} here, ` +
+                `${formatDate(conflict.incoming.updatedAt)} in backup`;
+        case 'reviews':
+            return `Review of ${conflict.key}: rated ${conflict.current.confidence} here, ` +
+                `${conflict.incoming.confidence} in backup`;
+        case 'targetLists':
+            return `Target list "${conflict.key}" has different companies`;
+        default:
+            return `${conflict.field}: ${conflict.key}`;
+    }
+}
+
+/**
+ * Render the merge strategy choices for importing a backup
+ */
+function renderBackupStrategies() {
+    const container = document.getElementById('backup-strategies');
+    if (!container || container.querySelector('input')) return;
+    
+    BACKUP_MERGE_STRATEGIES.forEach((strategy, index) => {
+        const label = document.createElement('label');
+        label.className = 'backup-strategy';
+        
+        const input = document.createElement('input');
+        input.type = 'radio';
+        input.name = 'backup-strategy';
+        input.value = strategy.key;
+        input.checked = index === 0;
+        
+        const text = document.createElement('span');
+        text.className = 'backup-strategy-label';
+        text.textContent = strategy.label;
+        
+        const description = document.createElement('span');
+        description.className = 'backup-strategy-description';
+        description.textContent = strategy.description;
+        
+        label.appendChild(input);
+        label.appendChild(text);
+        label.appendChild(description);
+        container.appendChild(label);
     });
 }
 
 /**
- * Render problems based on current filter
- * Requirement 3.1: Display all problems for a selected company
- * Requirement 5.2: Show only problems of selected difficulty when filter is clicked
- * Requirement 5.3: Show all problems when "All" filter is clicked
+ * Import the pending backup with the selected merge strategy
  */
-async function renderProblems(problems, filter = 'all') {
-    const problemsGrid = document.getElementById('problems-grid');
-    const noProblems = document.querySelector('.no-problems');
-    
-    if (!problemsGrid) {
-        console.error('Problems grid element not found');
-        return;
-    }
-    
-    // Filter problems based on selected difficulty
-    const filteredProblems = filterProblemsByDifficulty(problems, filter);
+function applyBackupImport() {
+    if (!pendingBackup) return;
     
-    // Clear existing content
-    problemsGrid.innerHTML = '';
+    const selected = document.querySelector('input[name="backup-strategy"]:checked');
+    const strategy = selected ? selected.value : 'replace';
     
-    if (filteredProblems.length === 0) {
-        // Show no problems message
-        if (noProblems) {
-            noProblems.style.display = 'block';
-            const message = filter === 'all' ? 
-                'No problems available for this company.' : 
-                `No ${filter} problems found.`;
-            const messageEl = noProblems.querySelector('p');
-            if (messageEl) {
-                messageEl.textContent = message;
-            }
-        }
+    if (strategy === 'replace' && !confirm('Replace your current progress with this backup?')) {
         return;
     }
     
-    // Hide no problems message
-    if (noProblems) {
-        noProblems.style.display = 'none';
-    }
-    
-    // Create problem cards
-    for (const problem of filteredProblems) {
-        try {
-            const card = UIComponents.createProblemCard(problem, {
-                onClick: (clickedProblem) => {
-                    RouterUtils.goToProblem(getCurrentCompanyName(), clickedProblem.id);
-                }
-            });
-            
-            // Add solved/unsolved toggle handler
-            addProblemStateHandlers(card, problem);
-            
-            problemsGrid.appendChild(card);
-        } catch (error) {
-            console.warn(`Failed to create card for problem ${problem.title}:`, error);
-        }
+    if (stateManager.importState(pendingBackup, strategy)) {
+        clearBackupPreview();
+        showActionFeedback('Backup imported!');
+        console.log(`Imported backup with strategy: ${strategy}`);
+    } else {
+        showBackupErrors(['The backup could not be imported. Your current progress was not changed.']);
     }
-    
-    console.log(`Rendered ${filteredProblems.length} problems with filter: ${filter}`);
 }
 
 /**
- * Filter problems by difficulty
- * Requirement 5.2: Show only problems of selected difficulty
+ * Hide the import preview and forget the pending backup
  */
-function filterProblemsByDifficulty(problems, filter) {
-    if (filter === 'all') {
-        return problems;
-    }
+function clearBackupPreview() {
+    pendingBackup = null;
     
-    return problems.filter(problem => 
-        problem.difficulty.toLowerCase() === filter.toLowerCase()
-    );
+    const fileInput = document.getElementById('backup-file-input');
+    const preview = document.getElementById('backup-preview');
+    const errorsContainer = document.getElementById('backup-errors');
+    
+    if (fileInput) fileInput.value = '';
+    if (preview) preview.style.display = 'none';
+    if (errorsContainer) {
+        errorsContainer.style.display = 'none';
+        errorsContainer.innerHTML = '';
+    }
 }
 
 /**
@@ -3753,6 +6426,35 @@ function updateBreadcrumbs(path, params) {
             { text: 'Home', url: '/' },
             { text: 'Favorites', url: '/favorites' }
         ];
+    } else if (path === '/settings') {
+        breadcrumbs = [
+            { text: 'Home', url: '/' },
+            { text: 'Settings', url: '/settings' }
+        ];
+    } else if (path === '/stats') {
+        breadcrumbs = [
+            { text: 'Home', url: '/' },
+            { text: 'Stats', url: '/stats' }
+        ];
+    } else if (path === '/review') {
+        breadcrumbs = [
+            { text: 'Home', url: '/' },
+            { text: 'Review', url: '/review' }
+        ];
+    } else if (path === '/topics' || path.startsWith('/topic/')) {
+        breadcrumbs = [
+            { text: 'Home', url: '/' },
+            { text: 'Topics', url: '/topics' }
+        ];
+        
+        if (params.topicName) {
+            breadcrumbs.push({ text: Utils.sanitizeHTML(params.topicName), url: `/topic/${encodeURIComponent(params.topicName)}` });
+        }
+    } else if (path === '/targets') {
+        breadcrumbs = [
+            { text: 'Home', url: '/' },
+            { text: 'Targets', url: '/targets' }
+        ];
     } else if (path === '/search') {
         breadcrumbs = [
             { text: 'Home', url: '/' },
@@ -3786,7 +6488,12 @@ function updateActiveNavigation(path) {
         
         const section = item.getAttribute('data-section');
         if ((path === '/' && section === 'home') || 
-            (path === '/favorites' && section === 'favorites')) {
+            (path === '/favorites' && section === 'favorites') ||
+            ((path === '/topics' || path.startsWith('/topic/')) && section === 'topics') ||
+            (path === '/targets' && section === 'targets') ||
+            (path === '/review' && section === 'review') ||
+            (path === '/stats' && section === 'stats') ||
+            (path === '/settings' && section === 'settings')) {
             item.classList.add('active');
         }
     });
@@ -3893,6 +6600,164 @@ function updateProblemDetailUI(problem, companyName) {
     console.log('Problem detail UI updated');
 }
 
+/**
+ * Render the "Asked By" list of companies for a problem
+ * Hidden when the problem index is unavailable
+ */
+async function renderProblemCompanies(problemId, currentCompanyName) {
+    const section = document.getElementById('problem-companies');
+    const list = document.getElementById('problem-companies-list');
+    if (!section || !list) return;
+    
+    list.innerHTML = '';
+    
+    const companies = await dataManager.getProblemCompanies(problemId);
+    if (!companies || companies.length === 0) {
+        section.style.display = 'none';
+        return;
+    }
+    
+    section.style.display = 'block';
+    
+    const title = document.getElementById('problem-companies-title');
+    if (title) {
+        title.textContent = `Asked By ${companies.length} ${companies.length === 1 ? 'Company' : 'Companies'}`;
+    }
+    
+    companies.forEach(company => {
+        list.appendChild(createProblemCompanyItem(company, company.name === currentCompanyName));
+    });
+}
+
+/**
+ * Create an "Asked By" list item with frequency, timeframes and a link to the company page
+ */
+function createProblemCompanyItem(company, isCurrent) {
+    const item = document.createElement('li');
+    item.className = `problem-company-item${isCurrent ? ' current' : ''}`;
+    
+    const link = document.createElement('a');
+    link.className = 'problem-company-link';
+    link.href = `#${router.generateUrl('/company/:companyName', { companyName: company.name })}`;
+    link.textContent = company.name;
+    if (isCurrent) {
+        link.setAttribute('aria-current', 'page');
+    }
+    
+    const frequency = document.createElement('span');
+    frequency.className = 'problem-company-frequency';
+    frequency.textContent = Utils.formatFrequency(company.frequency);
+    frequency.title = 'Frequency in the most recent timeframe';
+    
+    const timeframes = document.createElement('span');
+    timeframes.className = 'problem-company-timeframes';
+    PROBLEM_TIMEFRAMES
+        .filter(timeframe => company.frequencies[timeframe.key] !== undefined)
+        .forEach(timeframe => {
+            const tag = document.createElement('span');
+            tag.className = 'timeframe-tag';
+            tag.textContent = timeframe.label;
+            tag.title = `${timeframe.description}: ${Utils.formatFrequency(company.frequencies[timeframe.key])}`;
+            timeframes.appendChild(tag);
+        });
+    
+    item.appendChild(link);
+    item.appendChild(frequency);
+    item.appendChild(timeframes);
+    return item;
+}
+
+/**
+ * Show the confidence rating bar for solved problems with the current rating and next review
+ */
+function updateSolveConfidence(problemId) {
+    const container = document.getElementById('solve-confidence');
+    if (!container) return;
+    
+    const review = stateManager ? stateManager.getReview(problemId) : null;
+    if (!review) {
+        container.style.display = 'none';
+        return;
+    }
+    
+    container.style.display = 'flex';
+    setActiveFilterButton(container.querySelectorAll('.confidence-btn'), 'data-confidence', review.confidence);
+    
+    const nextReview = document.getElementById('solve-next-review');
+    if (nextReview) {
+        nextReview.textContent = `Next review ${formatReviewDue(review)}`;
+    }
+}
+
+/**
+ * Load a problem's saved note into the notes editor
+ * Problems with a note open in preview; problems without one open in the editor
+ */
+function renderProblemNotes(problemId) {
+    const editor = document.getElementById('problem-notes-editor');
+    if (!editor) return;
+    
+    const note = stateManager ? stateManager.getProblemNote(problemId) : null;
+    editor.value = note ? note.content : '';
+    
+    setProblemNotesView(note ? 'preview' : 'write');
+    updateProblemNotesStatus(note);
+}
+
+/**
+ * Switch the notes panel between the Markdown editor and the rendered preview
+ */
+function setProblemNotesView(view) {
+    const editor = document.getElementById('problem-notes-editor');
+    const preview = document.getElementById('problem-notes-preview');
+    if (!editor || !preview) return;
+    
+    document.querySelectorAll('#problem-description .notes-tab').forEach(tab => {
+        const isActive = tab.getAttribute('data-notes-view') === view;
+        tab.classList.toggle('active', isActive);
+        tab.setAttribute('aria-selected', isActive ? 'true' : 'false');
+    });
+    
+    if (view === 'preview') {
+        preview.innerHTML = editor.value.trim()
+            ? MarkdownRenderer.render(editor.value)
+            : '<p class="problem-notes-empty">No notes yet.</p>';
+        editor.style.display = 'none';
+        preview.style.display = 'block';
+    } else {
+        preview.style.display = 'none';
+        editor.style.display = 'block';
+    }
+}
+
+/**
+ * Show when the note was last saved
+ */
+function updateProblemNotesStatus(note, message) {
+    const status = document.getElementById('problem-notes-status');
+    if (!status) return;
+    
+    if (message) {
+        status.textContent = message;
+    } else if (note) {
+        status.textContent = `Last saved ${new Date(note.updatedAt).toLocaleString()}`;
+    } else {
+        status.textContent = '';
+    }
+}
+
+/**
+ * Describe when a review is due, e.g. "today", "tomorrow", "in 6 days", "3 days overdue"
+ */
+function formatReviewDue(review) {
+    const days = ReviewScheduler.getDaysUntilDue(review);
+    
+    if (days < 0) return `${-days} ${days === -1 ? 'day' : 'days'} overdue`;
+    if (days === 0) return 'today';
+    if (days === 1) return 'tomorrow';
+    return `in ${days} days`;
+}
+
 /**
  * Update problem topics display
  */
@@ -4020,6 +6885,7 @@ function setupProblemDetailHandlers(problem, companyName) {
                 if (changed) {
                     // Update UI immediately
                     updateSolvedButton(newStatus);
+                    updateSolveConfidence(problem.id);
                     
                     // Show feedback
                     showActionFeedback(newStatus ? 'Problem marked as solved!' : 'Problem marked as unsolved!');
@@ -4030,6 +6896,56 @@ function setupProblemDetailHandlers(problem, companyName) {
         });
     }
     
+    // Confidence rating handlers
+    document.querySelectorAll('#solve-confidence .confidence-btn').forEach(button => {
+        // Remove existing listeners
+        const newButton = button.cloneNode(true);
+        button.parentNode.replaceChild(newButton, button);
+        
+        newButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            
+            const review = stateManager.recordReview(problem.id, newButton.getAttribute('data-confidence'));
+            if (review) {
+                updateSolveConfidence(problem.id);
+                showActionFeedback(`Next review ${formatReviewDue(review)}`);
+            }
+        });
+    });
+    
+    // Notes tab handlers
+    document.querySelectorAll('#problem-description .notes-tab').forEach(tab => {
+        // Remove existing listeners
+        const newTab = tab.cloneNode(true);
+        tab.parentNode.replaceChild(newTab, tab);
+        
+        newTab.addEventListener('click', (e) => {
+            e.preventDefault();
+            setProblemNotesView(newTab.getAttribute('data-notes-view'));
+        });
+    });
+    
+    // Notes autosave; the debounced save is bound to this problem so a pending save
+    // still lands on the right problem after navigating away
+    const notesEditor = document.getElementById('problem-notes-editor');
+    if (notesEditor && stateManager) {
+        const newNotesEditor = notesEditor.cloneNode(true);
+        newNotesEditor.value = notesEditor.value;
+        notesEditor.parentNode.replaceChild(newNotesEditor, notesEditor);
+        
+        const saveNote = Utils.debounce(content => {
+            stateManager.updateProblemNote(problem.id, content);
+            if (document.getElementById('problem-notes-editor') === newNotesEditor) {
+                updateProblemNotesStatus(stateManager.getProblemNote(problem.id));
+            }
+        }, 500);
+        
+        newNotesEditor.addEventListener('input', () => {
+            updateProblemNotesStatus(null, 'Saving...');
+            saveNote(newNotesEditor.value);
+        });
+    }
+    
     console.log('Problem detail handlers set up');
 }
 
@@ -119,6 +119,61 @@ class UIComponents {
         return card;
     }
 
+    /**
+     * Create a topic card linking to the topic's problems, with solved progress
+     * progress is { solved, total }
+     */
+    static createTopicCard(topic, progress) {
+        if (!topic || !topic.name) {
+            throw new Error('Topic object with name is required');
+        }
+
+        const card = document.createElement('a');
+        card.className = 'company-card topic-card';
+        card.href = `#/topic/${encodeURIComponent(topic.name)}`;
+        card.setAttribute('data-topic', topic.name);
+        card.setAttribute('aria-label', `View ${topic.name} problems`);
+
+        const name = document.createElement('h3');
+        name.className = 'company-name';
+        name.textContent = topic.name;
+
+        const stats = document.createElement('div');
+        stats.className = 'company-stats';
+
+        const problemCount = document.createElement('div');
+        problemCount.className = 'company-problem-count';
+        problemCount.textContent = `${progress.total} ${progress.total === 1 ? 'problem' : 'problems'}`;
+
+        const percentage = progress.total > 0 ? Math.round((progress.solved / progress.total) * 100) : 0;
+
+        const progressInfo = document.createElement('div');
+        progressInfo.className = 'company-progress';
+
+        const progressText = document.createElement('span');
+        progressText.className = 'progress-text';
+        progressText.textContent = `${progress.solved}/${progress.total} solved (${percentage}%)`;
+
+        const progressBar = document.createElement('div');
+        progressBar.className = 'progress-bar';
+
+        const progressFill = document.createElement('div');
+        progressFill.className = 'progress-fill';
+        progressFill.style.width = `${percentage}%`;
+
+        progressBar.appendChild(progressFill);
+        progressInfo.appendChild(progressText);
+        progressInfo.appendChild(progressBar);
+
+        stats.appendChild(problemCount);
+        stats.appendChild(progressInfo);
+
+        card.appendChild(name);
+        card.appendChild(stats);
+
+        return card;
+    }
+
     /**
      * Create a problem card element
      * Requirement 3.1: Display problem title, difficulty, and LeetCode link
@@ -0,0 +1,232 @@
+// Streaming RFC 4180 CSV parser
+// Handles CRLF/CR/LF line endings, a leading BOM, quoted newlines and "" escapes, reporting problems by line and column
+
+/**
+ * Parser states while reading a field
+ */
+const CSV_STATES = {
+    fieldStart: 'fieldStart',
+    unquoted: 'unquoted',
+    quoted: 'quoted',
+    quoteInQuoted: 'quoteInQuoted',
+    afterQuoted: 'afterQuoted'
+};
+
+/**
+ * Character-by-character CSV state machine
+ * Text can be written in chunks of any size; each record keeps the line it starts on and the column of every field
+ * Malformed input is read leniently and reported in diagnostics as { file, line, column, reason }
+ */
+class CSVParser {
+    constructor(options = {}) {
+        this.file = options.file || null;
+        this.delimiter = options.delimiter || ',';
+        // Without onRecord, records are collected and returned by end()
+        this.onRecord = options.onRecord || null;
+        this.records = [];
+        this.diagnostics = [];
+
+        this.state = CSV_STATES.fieldStart;
+        this.field = '';
+        this.fields = [];
+        this.columns = [];
+        this.line = 1;
+        this.column = 0;
+        this.recordLine = 1;
+        this.quoteLine = 0;
+        this.quoteColumn = 0;
+        this.started = false;
+        this.skipLineFeed = false;
+        // One diagnostic per field is enough to point at a malformed value
+        this.fieldReported = false;
+    }
+
+    /**
+     * Parse a whole string; returns { records: [{ fields, columns, line }], diagnostics }
+     */
+    static parse(text, options = {}) {
+        return new CSVParser(options).write(text).end();
+    }
+
+    /**
+     * Feed the next chunk of text
+     */
+    write(chunk) {
+        const text = String(chunk);
+        for (let i = 0; i < text.length; i++) {
+            this.consume(text[i]);
+        }
+        return this;
+    }
+
+    /**
+     * Finish the last record and return the results
+     */
+    end() {
+        if (this.state === CSV_STATES.quoted) {
+            this.report('Quoted field is never closed', this.quoteLine, this.quoteColumn);
+        }
+        if (this.state !== CSV_STATES.fieldStart || this.fields.length > 0) {
+            // Text ending in a delimiter still has an empty last field
+            if (this.state === CSV_STATES.fieldStart) this.columns.push(this.column + 1);
+            this.endField();
+            this.endRecord();
+        }
+        return { records: this.records, diagnostics: this.diagnostics };
+    }
+
+    report(reason, line = this.line, column = this.column) {
+        this.diagnostics.push({ file: this.file, line, column, reason });
+    }
+
+    consume(char) {
+        if (!this.started) {
+            this.started = true;
+            if (char === '\uFEFF') return;
+        }
+
+        // The LF of a CRLF pair belongs to the line break already counted at the CR
+        if (this.skipLineFeed) {
+            this.skipLineFeed = false;
+            if (char === '\n') {
+                if (this.state === CSV_STATES.quoted) this.field += char;
+                return;
+            }
+        }
+
+        this.column++;
+        const isLineBreak = char === '\n' || char === '\r';
+
+        switch (this.state) {
+            case CSV_STATES.fieldStart:
+                this.columns.push(this.column);
+                if (char === '"') {
+                    this.openQuote();
+                } else if (char === this.delimiter) {
+                    this.endField();
+                } else if (isLineBreak) {
+                    this.endField();
+                    this.endRecord();
+                    this.lineBreak(char);
+                } else {
+                    this.field += char;
+                    this.state = CSV_STATES.unquoted;
+                }
+                break;
+
+            case CSV_STATES.unquoted:
+                if (char === this.delimiter) {
+                    this.endField();
+                } else if (isLineBreak) {
+                    this.endField();
+                    this.endRecord();
+                    this.lineBreak(char);
+                } else if (char === '"' && this.field.trim() === '') {
+                    // Spaces before an opening quote are not part of the value
+                    this.openQuote();
+                } else {
+                    if (char === '"' && !this.fieldReported) {
+                        this.report('Quote inside an unquoted field; the field should be quoted and the quote doubled');
+                        this.fieldReported = true;
+                    }
+                    this.field += char;
+                }
+                break;
+
+            case CSV_STATES.quoted:
+                if (char === '"') {
+                    this.state = CSV_STATES.quoteInQuoted;
+                } else {
+                    this.field += char;
+                    if (isLineBreak) this.lineBreak(char);
+                }
+                break;
+
+            case CSV_STATES.quoteInQuoted:
+                if (char === '"') {
+                    // "" is an escaped quote
+                    this.field += char;
+                    this.state = CSV_STATES.quoted;
+                } else {
+                    this.state = CSV_STATES.afterQuoted;
+                    this.afterQuoted(char, isLineBreak);
+                }
+                break;
+
+            default:
+                this.afterQuoted(char, isLineBreak);
+        }
+    }
+
+    afterQuoted(char, isLineBreak) {
+        if (char === this.delimiter) {
+            this.endField();
+        } else if (isLineBreak) {
+            this.endField();
+            this.endRecord();
+            this.lineBreak(char);
+        } else if (char !== ' ' && char !== '\t') {
+            this.report('Text after a closing quote; it is kept as part of the field');
+            this.fieldReported = true;
+            this.field += char;
+            this.state = CSV_STATES.unquoted;
+        }
+    }
+
+    openQuote() {
+        this.field = '';
+        this.state = CSV_STATES.quoted;
+        this.quoteLine = this.line;
+        this.quoteColumn = this.column;
+    }
+
+    lineBreak(char) {
+        this.line++;
+        this.column = 0;
+        this.skipLineFeed = char === '\r';
+        if (this.state === CSV_STATES.fieldStart) {
+            this.recordLine = this.line;
+        }
+    }
+
+    endField() {
+        this.fields.push(this.field);
+        this.field = '';
+        this.fieldReported = false;
+        this.state = CSV_STATES.fieldStart;
+    }
+
+    endRecord() {
+        if (this.state !== CSV_STATES.fieldStart) {
+            this.endField();
+        }
+
+        // Blank lines are skipped
+        const isBlank = this.fields.length === 1 && this.fields[0].trim() === '';
+        if (!isBlank) {
+            const record = { fields: this.fields, columns: this.columns, line: this.recordLine };
+            if (this.onRecord) {
+                this.onRecord(record, this);
+            } else {
+                this.records.push(record);
+            }
+        }
+
+        this.fields = [];
+        this.columns = [];
+        this.state = CSV_STATES.fieldStart;
+    }
+}
+
+/**
+ * Format a diagnostic as file:line:column: reason
+ */
+function formatCSVDiagnostic({ file, line, column, reason }) {
+    const location = [file || 'CSV', line, column].filter(part => part !== null && part !== undefined).join(':');
+    return `${location}: ${reason}`;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CSVParser, CSV_STATES, formatCSVDiagnostic };
+}
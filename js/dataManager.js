@@ -1,6 +1,34 @@
 // Data management and CSV parsing
 // Handles loading and parsing CSV files from company folders
 
+/**
+ * Timeframe buckets backed by the per-company CSV files, ordered from most to least recent
+ */
+const PROBLEM_TIMEFRAMES = [
+    { key: '30d', label: '30d', description: 'Last 30 days', file: '1. Thirty Days.csv' },
+    { key: '3m', label: '3m', description: 'Last 3 months', file: '2. Three Months.csv' },
+    { key: '6m', label: '6m', description: 'Last 6 months', file: '3. Six Months.csv' },
+    { key: 'older', label: '>6m', description: 'More than 6 months ago', file: '4. More Than Six Months.csv' },
+    { key: 'all', label: 'All', description: 'All time', file: '5. All.csv' }
+];
+
+/**
+ * Columns every company CSV file needs, by normalized header name
+ */
+const CSV_REQUIRED_COLUMNS = { difficulty: 'Difficulty', title: 'Title', link: 'Link' };
+
+/**
+ * Which column a Problem validation error is about, so diagnostics can point at it
+ */
+const CSV_FIELD_ERRORS = [
+    { pattern: /title/i, column: 'title' },
+    { pattern: /difficulty/i, column: 'difficulty' },
+    { pattern: /url|link/i, column: 'link' },
+    { pattern: /^frequency/i, column: 'frequency' },
+    { pattern: /acceptance/i, column: 'acceptancerate' },
+    { pattern: /topics/i, column: 'topics' }
+];
+
 /**
  * Problem data model with validation
  */
@@ -13,18 +41,62 @@ class Problem {
         this.topics = this.parseTopics(data.topics);
         this.frequency = this.validateNumber(data.frequency, 'Frequency', 0, 100);
         this.acceptanceRate = this.validateNumber(data.acceptanceRate, 'Acceptance Rate', 0, 1);
+        this.timeframes = [];
+        this.frequencies = {};
         this.solved = false;
         this.bookmarked = false;
     }
 
     /**
-     * Generate unique ID for problem
+     * Record that the problem appears in a timeframe with the given frequency
+     */
+    addTimeframe(timeframe, frequency) {
+        if (!timeframe) return;
+
+        if (!this.timeframes.includes(timeframe)) {
+            this.timeframes.push(timeframe);
+        }
+
+        const current = this.frequencies[timeframe];
+        this.frequencies[timeframe] = current === undefined ? frequency : Math.max(current, frequency);
+
+        // The all-time frequency is the most representative single score
+        if (timeframe === 'all') {
+            this.frequency = this.frequencies.all;
+        }
+    }
+
+    /**
+     * Generate unique ID for problem from the LeetCode slug in its link
+     * Falls back to a slug built from the title when the link has no /problems/<slug> segment
      */
     generateId(title, link) {
         if (!title || !link) {
             throw new Error('Title and link are required for ID generation');
         }
-        return btoa(encodeURIComponent(title + link)).replace(/[^a-zA-Z0-9]/g, '');
+        return Problem.extractSlug(link) || Problem.slugify(title);
+    }
+
+    /**
+     * Restore a Problem from a plain copy, e.g. one posted back by the data worker
+     */
+    static fromData(data) {
+        return Object.assign(Object.create(Problem.prototype), data);
+    }
+
+    /**
+     * Extract the slug from a LeetCode problem link, e.g. https://leetcode.com/problems/two-sum
+     */
+    static extractSlug(link) {
+        const match = /\/problems\/([^/?#]+)/.exec(link || '');
+        return match ? match[1].toLowerCase() : null;
+    }
+
+    /**
+     * Build a slug from a problem title
+     */
+    static slugify(title) {
+        return title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
     }
 
     /**
@@ -151,6 +223,12 @@ class DataManager {
         this.retryDelay = 1000; // 1 second base delay
         this.performanceManager = window.performanceManager || null;
         this.loadingOperations = new Set();
+        this.problemIndexUrl = 'data/problems-index.json';
+        this.problemIndexPromise = null;
+        // CSV diagnostics from the last load of each company (or file), shown in the settings panel
+        this.csvDiagnostics = new Map();
+        // CSV parsing and search indexing run off the main thread when dataWorker.js is loaded
+        this.dataWorker = typeof DataWorkerClient !== 'undefined' ? new DataWorkerClient() : null;
     }
 
     /**
@@ -378,37 +456,38 @@ class DataManager {
      */
     async loadCompanyProblemsInternal(companyName) {
         const csvFiles = await this.getCompanyCSVFiles(companyName);
-        const allProblems = [];
-        const errors = [];
+        const files = [];
+        const diagnostics = [];
 
-        // Load CSV files with better error handling
+        // Fetch every CSV file first; parsing happens in one batch
         for (const csvFile of csvFiles) {
             try {
-                const problems = await this.loadCSVFile(csvFile);
-                allProblems.push(...problems);
-                console.log(`Loaded ${problems.length} problems from ${csvFile}`);
+                const response = await this.fetchWithRetry(csvFile);
+                files.push({ path: csvFile, timeframe: this.getTimeframeForFile(csvFile), content: await response.text() });
             } catch (error) {
-                errors.push(`Failed to load ${csvFile}: ${error.message}`);
+                diagnostics.push({ file: csvFile, line: null, column: null, reason: error.message });
                 // Continue with other files instead of failing completely
             }
         }
 
-        // Log errors but continue if we have some data
-        if (errors.length > 0) {
-            console.warn(`CSV loading errors for ${companyName}:\n${errors.join('\n')}`);
-        }
+        // Parse, tag timeframes and merge duplicates off the main thread when possible
+        const parsed = this.dataWorker
+            ? await this.dataWorker.run('parseCompanyFiles', { files })
+            : DataManager.parseCompanyFiles(files);
+        const uniqueProblems = parsed.problems.map(problem => Problem.fromData(problem));
+        diagnostics.push(...parsed.diagnostics);
+
+        // Keep going with whatever parsed; the diagnostics panel lists what didn't
+        this.recordCSVDiagnostics(companyName, diagnostics);
         
-        if (allProblems.length === 0) {
-            throw new Error(`No problems could be loaded for ${companyName}. ${errors.length > 0 ? 'Errors: ' + errors.join('; ') : ''}`);
+        if (uniqueProblems.length === 0) {
+            throw new Error(`No problems could be loaded for ${companyName}. ${diagnostics.length > 0 ? 'Errors: ' + diagnostics.map(formatCSVDiagnostic).join('; ') : ''}`);
         }
 
-        // Remove duplicates based on problem ID
-        const uniqueProblems = this.removeDuplicateProblems(allProblems);
-
         // Cache the results
         this.problemsCache.set(companyName, uniqueProblems);
 
-        console.log(`Loaded ${uniqueProblems.length} unique problems for ${companyName} (${errors.length} file errors)`);
+        console.log(`Loaded ${uniqueProblems.length} unique problems for ${companyName} (${diagnostics.length} CSV diagnostics)`);
         return uniqueProblems;
     }
 
@@ -417,13 +496,9 @@ class DataManager {
      */
     async getCompanyCSVFiles(companyName) {
         // Try common CSV file patterns based on the actual file structure
-        const commonFiles = [
-            `company-wise-problems/${companyName}/1. Thirty Days.csv`,
-            `company-wise-problems/${companyName}/2. Three Months.csv`,
-            `company-wise-problems/${companyName}/3. Six Months.csv`,
-            `company-wise-problems/${companyName}/4. More Than Six Months.csv`,
-            `company-wise-problems/${companyName}/5. All.csv`
-        ];
+        const commonFiles = PROBLEM_TIMEFRAMES.map(timeframe =>
+            `company-wise-problems/${companyName}/${timeframe.file}`
+        );
 
         const existingFiles = [];
 
@@ -445,6 +520,14 @@ class DataManager {
         return existingFiles;
     }
 
+    /**
+     * Resolve the timeframe key for a company CSV file path
+     */
+    getTimeframeForFile(filePath) {
+        const timeframe = PROBLEM_TIMEFRAMES.find(tf => filePath.endsWith(`/${tf.file}`) || filePath === tf.file);
+        return timeframe ? timeframe.key : null;
+    }
+
     /**
      * Load and parse a single CSV file
      */
@@ -452,7 +535,15 @@ class DataManager {
         try {
             const response = await this.fetchWithRetry(filePath);
             const csvContent = await response.text();
-            return this.parseCSV(csvContent);
+            const parsed = this.dataWorker
+                ? await this.dataWorker.run('parseCSVFile', { content: csvContent, file: filePath })
+                : DataManager.parseCSVFile(csvContent, filePath);
+            this.recordCSVDiagnostics(filePath, parsed.diagnostics);
+
+            if (parsed.problems.length === 0) {
+                throw new Error(parsed.diagnostics.map(diagnostic => diagnostic.reason).join('; '));
+            }
+            return parsed.problems.map(problem => Problem.fromData(problem));
         } catch (error) {
             throw new Error(`Failed to load CSV file ${filePath}: ${error.message}`);
         }
@@ -461,65 +552,122 @@ class DataManager {
     /**
      * Parse CSV content into Problem objects
      */
-    parseCSV(csvContent) {
+    parseCSV(csvContent, options = {}) {
+        return DataManager.parseCSV(csvContent, options);
+    }
+
+    /**
+     * Parse a single CSV line handling quoted values
+     */
+    parseCSVLine(line) {
+        return DataManager.parseCSVLine(line);
+    }
+
+    /**
+     * Merge duplicate problems based on ID
+     */
+    mergeDuplicateProblems(problems) {
+        return DataManager.mergeDuplicateProblems(problems);
+    }
+
+    /**
+     * Parse a company's CSV files, tag each problem with its file's timeframe and merge duplicates
+     * files is [{ path, timeframe, content }]; bad rows and unusable files are reported in diagnostics
+     * Needs no DataManager instance, so the data worker runs it too
+     */
+    static parseCompanyFiles(files) {
+        const allProblems = [];
+        const diagnostics = [];
+
+        files.forEach(({ path, timeframe, content }) => {
+            const parsed = DataManager.parseCSVFile(content, path);
+            parsed.problems.forEach(problem => problem.addTimeframe(timeframe, problem.frequency));
+            allProblems.push(...parsed.problems);
+            diagnostics.push(...parsed.diagnostics);
+            console.log(`Parsed ${parsed.problems.length} problems from ${path}`);
+        });
+
+        // Merge duplicates based on problem ID, keeping every timeframe they appear in
+        return { problems: DataManager.mergeDuplicateProblems(allProblems), diagnostics };
+    }
+
+    /**
+     * Parse CSV content into Problem objects
+     * Problems with single rows are pushed to options.diagnostics as { file, line, column, reason }
+     * Throws when the file as a whole is unusable (empty, missing columns or no valid rows)
+     */
+    static parseCSV(csvContent, options = {}) {
         if (!csvContent || typeof csvContent !== 'string') {
             throw new Error('CSV content must be a valid string');
         }
 
-        const lines = csvContent.trim().split('\n');
+        const file = options.file || null;
+        const diagnostics = options.diagnostics || [];
+        const { records, diagnostics: syntaxDiagnostics } = CSVParser.parse(csvContent, { file });
+        diagnostics.push(...syntaxDiagnostics);
 
-        if (lines.length < 2) {
+        if (records.length < 2) {
             throw new Error('CSV file must contain at least a header and one data row');
         }
 
-        const header = this.parseCSVLine(lines[0]);
+        const [headerRecord, ...rows] = records;
+        const header = headerRecord.fields.map(column => column.toLowerCase().replace(/[^a-z0-9]/g, ''));
         const problems = [];
-        const errors = [];
 
         // Validate required columns
-        const requiredColumns = ['Difficulty', 'Title', 'Link'];
-        const missingColumns = requiredColumns.filter(col => !header.includes(col));
-
+        const missingColumns = Object.keys(CSV_REQUIRED_COLUMNS).filter(column => !header.includes(column));
         if (missingColumns.length > 0) {
-            throw new Error(`CSV missing required columns: ${missingColumns.join(', ')}`);
+            throw new Error(`CSV missing required columns: ${missingColumns.map(column => CSV_REQUIRED_COLUMNS[column]).join(', ')}`);
         }
 
-        // Parse data rows
-        for (let i = 1; i < lines.length; i++) {
-            try {
-                const values = this.parseCSVLine(lines[i]);
+        rows.forEach(record => {
+            const values = record.fields.map(value => value.trim());
 
-                if (values.length !== header.length) {
-                    errors.push(`Row ${i + 1}: Column count mismatch`);
-                    continue;
-                }
+            // A stray comma at the end of a line only adds empty fields
+            while (values.length > header.length && values[values.length - 1] === '') {
+                values.pop();
+            }
 
-                const problemData = {};
-                header.forEach((column, index) => {
-                    const normalizedColumn = column.toLowerCase().replace(/\s+/g, '').replace(/[^a-z0-9]/g, '');
-                    problemData[normalizedColumn] = values[index];
+            if (values.length !== header.length) {
+                diagnostics.push({
+                    file,
+                    line: record.line,
+                    column: record.columns[Math.min(values.length, header.length)] || record.columns[values.length - 1],
+                    reason: `Expected ${header.length} fields but found ${values.length}`
                 });
+                return;
+            }
 
+            const problemData = {};
+            header.forEach((column, index) => {
+                problemData[column] = values[index];
+            });
+
+            try {
                 // Map CSV columns to Problem constructor format
-                const mappedData = {
+                problems.push(new Problem({
                     title: problemData.title,
                     difficulty: problemData.difficulty,
                     link: problemData.link,
                     topics: problemData.topics || '',
                     frequency: problemData.frequency || 0,
                     acceptanceRate: problemData.acceptancerate || 0
-                };
-
-                const problem = new Problem(mappedData);
-                problems.push(problem);
+                }));
             } catch (error) {
-                errors.push(`Row ${i + 1}: ${error.message}`);
+                const column = CSV_FIELD_ERRORS.find(({ pattern }) => pattern.test(error.message));
+                const columnIndex = column ? header.indexOf(column.column) : -1;
+                diagnostics.push({
+                    file,
+                    line: record.line,
+                    column: columnIndex >= 0 ? record.columns[columnIndex] : null,
+                    reason: error.message
+                });
             }
-        }
+        });
 
-        // Log parsing errors but don't fail completely
-        if (errors.length > 0) {
-            console.warn(`CSV parsing errors:\n${errors.join('\n')}`);
+        // Callers that don't collect diagnostics still get to see them
+        if (!options.diagnostics && diagnostics.length > 0) {
+            console.warn(`CSV parsing problems:\n${diagnostics.map(formatCSVDiagnostic).join('\n')}`);
         }
 
         if (problems.length === 0) {
@@ -529,43 +677,320 @@ class DataManager {
         return problems;
     }
 
+    /**
+     * Parse one CSV file, returning { problems, diagnostics } instead of throwing
+     * A file that can't be used at all becomes a single diagnostic without a line
+     */
+    static parseCSVFile(csvContent, file = null) {
+        const diagnostics = [];
+        try {
+            return { problems: DataManager.parseCSV(csvContent, { file, diagnostics }), diagnostics };
+        } catch (error) {
+            diagnostics.push({ file, line: null, column: null, reason: error.message });
+            return { problems: [], diagnostics };
+        }
+    }
+
     /**
      * Parse a single CSV line handling quoted values
      */
-    parseCSVLine(line) {
-        const result = [];
-        let current = '';
-        let inQuotes = false;
-
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                result.push(current.trim());
-                current = '';
-            } else {
-                current += char;
+    static parseCSVLine(line) {
+        const [record] = CSVParser.parse(line).records;
+        return record ? record.fields.map(value => value.trim()) : [''];
+    }
+
+    /**
+     * Merge duplicate problems based on ID
+     * The first copy is kept and collects the timeframes and frequencies of the others
+     */
+    static mergeDuplicateProblems(problems) {
+        const merged = new Map();
+
+        problems.forEach(problem => {
+            const existing = merged.get(problem.id);
+            if (!existing) {
+                merged.set(problem.id, problem);
+                return;
             }
+
+            problem.timeframes.forEach(timeframe => {
+                existing.addTimeframe(timeframe, problem.frequencies[timeframe]);
+            });
+        });
+
+        return Array.from(merged.values());
+    }
+
+    /**
+     * Load the precomputed global problem index written by generate-companies.js
+     * Resolves to null when the index is missing so callers can fall back to the CSV files
+     */
+    async loadProblemIndex() {
+        if (!this.problemIndexPromise) {
+            this.problemIndexPromise = (async () => {
+                try {
+                    const response = await this.fetchWithRetry(this.problemIndexUrl);
+                    const indexData = await response.json();
+                    return this.processProblemIndex(indexData);
+                } catch (error) {
+                    console.warn('Problem index unavailable, falling back to company CSV files:', error.message);
+                    return null;
+                }
+            })();
+        }
+
+        return this.problemIndexPromise;
+    }
+
+    /**
+     * Turn raw index data into Problem objects with their asking companies
+     */
+    processProblemIndex(indexData) {
+        if (!indexData || !Array.isArray(indexData.problems)) {
+            throw new Error('Problem index must contain a problems array');
+        }
+
+        const problems = [];
+        const byId = new Map();
+        let errorCount = 0;
+
+        for (const entry of indexData.problems) {
+            try {
+                const problem = this.createProblemFromIndexEntry(entry);
+                problems.push(problem);
+                byId.set(problem.id, problem);
+            } catch (error) {
+                errorCount++;
+            }
+        }
+
+        console.log(`Loaded problem index with ${problems.length} problems (${errorCount} errors)`);
+        return { problems, byId, generated: indexData.generated };
+    }
+
+    /**
+     * Create a Problem from a problem index entry
+     * The link is rebuilt from the slug exactly as it appears in the CSV files
+     */
+    createProblemFromIndexEntry(entry) {
+        const companies = (entry.companies || []).map(company => ({
+            name: company.name,
+            timeframes: PROBLEM_TIMEFRAMES
+                .map(timeframe => timeframe.key)
+                .filter(key => company.frequencies && company.frequencies[key] !== undefined),
+            frequencies: { ...company.frequencies }
+        }));
+
+        const problem = new Problem({
+            title: entry.title,
+            difficulty: entry.difficulty,
+            link: `https://leetcode.com/problems/${entry.slug}`,
+            topics: (entry.topics || []).join(', '),
+            frequency: companies.length > 0 ? this.getOverallFrequency(companies[0].frequencies) : 0,
+            acceptanceRate: entry.acceptance || 0
+        });
+
+        problem.companies = companies;
+        return problem;
+    }
+
+    /**
+     * Build a SearchIndex from [{ id, fields }] documents, in the data worker when available
+     */
+    async buildSearchIndex(documents) {
+        if (this.dataWorker) {
+            return SearchIndex.fromJSON(await this.dataWorker.run('buildSearchIndex', { documents }));
+        }
+
+        const index = new SearchIndex();
+        documents.forEach(({ id, fields }) => index.add(id, fields));
+        return index;
+    }
+
+    /**
+     * Get all problems from the index, or null when the index is missing
+     */
+    async getIndexedProblems() {
+        const index = await this.loadProblemIndex();
+        return index ? index.problems : null;
+    }
+
+    /**
+     * Find a problem in the index by ID, or null when it is not indexed
+     */
+    async findIndexedProblem(problemId) {
+        const index = await this.loadProblemIndex();
+        return index ? index.byId.get(problemId) || null : null;
+    }
+
+    /**
+     * Get an indexed problem as seen by one company (its timeframes and frequencies)
+     * Returns null when the company does not ask the problem
+     */
+    getCompanyProblemView(problem, companyName) {
+        const company = (problem.companies || []).find(c => c.name === companyName);
+        if (!company) {
+            return null;
+        }
+
+        return {
+            ...problem,
+            timeframes: [...company.timeframes],
+            frequencies: { ...company.frequencies },
+            frequency: this.getOverallFrequency(company.frequencies),
+            companyName
+        };
+    }
+
+    /**
+     * Get every company asking a problem, most recently and most frequently asked first
+     * Each entry has the company's latest timeframe and its frequency there; null when the index is missing
+     */
+    async getProblemCompanies(problemId) {
+        const index = await this.loadProblemIndex();
+        if (!index) {
+            return null;
+        }
+
+        const problem = index.byId.get(problemId);
+        if (!problem) {
+            return [];
         }
 
-        result.push(current.trim());
-        return result;
+        const timeframeOrder = PROBLEM_TIMEFRAMES.map(timeframe => timeframe.key);
+
+        return problem.companies
+            .map(company => {
+                const latestTimeframe = timeframeOrder.find(key => company.frequencies[key] !== undefined);
+                return {
+                    name: company.name,
+                    timeframes: [...company.timeframes],
+                    frequencies: { ...company.frequencies },
+                    latestTimeframe,
+                    frequency: company.frequencies[latestTimeframe]
+                };
+            })
+            .sort((a, b) => {
+                const recency = timeframeOrder.indexOf(a.latestTimeframe) - timeframeOrder.indexOf(b.latestTimeframe);
+                if (recency !== 0) return recency;
+                if (b.frequency !== a.frequency) return b.frequency - a.frequency;
+                return a.name.localeCompare(b.name);
+            });
     }
 
     /**
-     * Remove duplicate problems based on ID
+     * Summed frequency of a problem over every company asking it, used to rank "most asked"
      */
-    removeDuplicateProblems(problems) {
-        const seen = new Set();
-        return problems.filter(problem => {
-            if (seen.has(problem.id)) {
-                return false;
+    getAskedFrequency(problem) {
+        return (problem.companies || [])
+            .reduce((sum, company) => sum + this.getOverallFrequency(company.frequencies), 0);
+    }
+
+    /**
+     * Get every topic in the problem index with its problem IDs, sorted by name
+     * Resolves to null when the index is missing
+     */
+    async getTopics() {
+        const index = await this.loadProblemIndex();
+        if (!index) {
+            return null;
+        }
+
+        const topics = new Map();
+        index.problems.forEach(problem => {
+            (problem.topics || []).forEach(topic => {
+                if (!topics.has(topic)) {
+                    topics.set(topic, { name: topic, problemIds: [] });
+                }
+                topics.get(topic).problemIds.push(problem.id);
+            });
+        });
+
+        return Array.from(topics.values()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get a topic's problems across all companies, each seen through its top company
+     * and tagged with its summed company frequency; null when the index is missing
+     */
+    async getTopicProblems(topicName) {
+        const index = await this.loadProblemIndex();
+        if (!index) {
+            return null;
+        }
+
+        const wanted = topicName.toLowerCase();
+        return index.problems
+            .filter(problem => problem.companies.length > 0 &&
+                (problem.topics || []).some(topic => topic.toLowerCase() === wanted))
+            .map(problem => ({
+                ...this.getCompanyProblemView(problem, problem.companies[0].name),
+                companies: problem.companies,
+                askedFrequency: this.getAskedFrequency(problem)
+            }));
+    }
+
+    /**
+     * Load and rank the merged problem list for weighted target companies
+     * targets is an array of { name, weight }; companies that fail to load are skipped
+     */
+    async loadTargetProblems(targets) {
+        const problemsByCompany = new Map();
+
+        await Promise.all(targets.map(async target => {
+            try {
+                problemsByCompany.set(target.name, await this.loadCompanyProblems(target.name));
+            } catch (error) {
+                console.warn(`Failed to load problems for target company ${target.name}:`, error);
             }
-            seen.add(problem.id);
-            return true;
+        }));
+
+        return this.rankTargetProblems(problemsByCompany, targets);
+    }
+
+    /**
+     * Merge problems from several companies into one list ranked by weighted frequency
+     * The score is the weight-averaged frequency over all target companies, so a problem
+     * asked by every target outranks one asked equally often by a single company
+     */
+    rankTargetProblems(problemsByCompany, targets) {
+        const totalWeight = targets.reduce((sum, target) => sum + target.weight, 0);
+        const merged = new Map();
+
+        targets.forEach(target => {
+            const problems = problemsByCompany.get(target.name) || [];
+
+            problems.forEach(problem => {
+                const hasTimeframes = problem.frequencies && Object.keys(problem.frequencies).length > 0;
+                const frequency = hasTimeframes ? this.getOverallFrequency(problem.frequencies) : problem.frequency;
+                let entry = merged.get(problem.id);
+                if (!entry) {
+                    entry = { ...problem, weightedFrequency: 0, targetCompanies: [] };
+                    merged.set(problem.id, entry);
+                }
+
+                entry.weightedFrequency += target.weight * frequency;
+                entry.targetCompanies.push({ name: target.name, weight: target.weight, frequency });
+            });
         });
+
+        return Array.from(merged.values())
+            .map(entry => {
+                const score = totalWeight > 0 ? entry.weightedFrequency / totalWeight : 0;
+                entry.targetCompanies.sort((a, b) => b.weight * b.frequency - a.weight * a.frequency);
+                return { ...entry, weightedFrequency: score, frequency: score };
+            })
+            .sort((a, b) => b.weightedFrequency - a.weightedFrequency || a.title.localeCompare(b.title));
+    }
+
+    /**
+     * All-time frequency when present, otherwise the highest timeframe frequency
+     */
+    getOverallFrequency(frequencies = {}) {
+        if (frequencies.all !== undefined) {
+            return frequencies.all;
+        }
+        return Math.max(0, ...Object.values(frequencies));
     }
 
     /**
@@ -642,6 +1067,34 @@ class DataManager {
     clearCache() {
         this.companiesCache.clear();
         this.problemsCache.clear();
+        this.problemIndexPromise = null;
+    }
+
+    /**
+     * Replace the diagnostics recorded for a company or file and let the diagnostics panel know
+     */
+    recordCSVDiagnostics(source, diagnostics) {
+        if (diagnostics.length > 0) {
+            this.csvDiagnostics.set(source, diagnostics);
+            console.warn(`${diagnostics.length} CSV problems in ${source}, e.g. ${formatCSVDiagnostic(diagnostics[0])}`);
+        } else {
+            this.csvDiagnostics.delete(source);
+        }
+
+        if (typeof window !== 'undefined') {
+            window.dispatchEvent(new CustomEvent('csv:diagnostics', { detail: { source, diagnostics } }));
+        }
+    }
+
+    /**
+     * All recorded CSV diagnostics, grouped by the company or file they came from
+     */
+    getCSVDiagnostics() {
+        return Array.from(this.csvDiagnostics, ([source, diagnostics]) => ({ source, diagnostics }));
+    }
+
+    clearCSVDiagnostics() {
+        this.csvDiagnostics.clear();
     }
 
     /**
@@ -661,5 +1114,5 @@ class DataManager {
 
 // Export classes for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { DataManager, Company, Problem };
+    module.exports = { DataManager, Company, Problem, PROBLEM_TIMEFRAMES, CSV_REQUIRED_COLUMNS };
 }
\ No newline at end of file
@@ -0,0 +1,143 @@
+// Background worker for CSV parsing and search indexing
+// Loaded as a page script it provides DataWorkerClient; loaded as a Web Worker it runs the tasks
+
+/**
+ * Work the data worker can do, by message type
+ * Results are plain data that survive postMessage; callers restore Problem and SearchIndex objects
+ */
+const DATA_WORKER_TASKS = {
+    parseCSVFile: ({ content, file }) => DataManager.parseCSVFile(content, file),
+    parseCompanyFiles: ({ files }) => DataManager.parseCompanyFiles(files),
+    buildSearchIndex: ({ documents }) => {
+        const index = new SearchIndex();
+        documents.forEach(({ id, fields }) => index.add(id, fields));
+        return index.toJSON();
+    }
+};
+
+/**
+ * URL of this script, so the page can start it as a worker wherever the app is served from
+ */
+const DATA_WORKER_URL = typeof document !== 'undefined' && document.currentScript
+    ? document.currentScript.src
+    : 'js/dataWorker.js';
+
+/**
+ * Message-based client for the data worker
+ * run() resolves with the task's result; without worker support the task runs on the main thread instead
+ */
+class DataWorkerClient {
+    constructor(options = {}) {
+        this.workerUrl = options.workerUrl || DATA_WORKER_URL;
+        this.worker = null;
+        this.workerFailed = typeof Worker === 'undefined';
+        this.nextId = 1;
+        this.pending = new Map();
+    }
+
+    isUsingWorker() {
+        return Boolean(this.worker);
+    }
+
+    /**
+     * Run a task from DATA_WORKER_TASKS with the given payload
+     */
+    run(type, payload) {
+        if (!DATA_WORKER_TASKS[type]) {
+            return Promise.reject(new Error(`Unknown data worker task: ${type}`));
+        }
+
+        const worker = this.getWorker();
+        if (!worker) {
+            return this.runInline(type, payload);
+        }
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { type, payload, resolve, reject });
+            worker.postMessage({ id, type, payload });
+        });
+    }
+
+    /**
+     * Synchronous fallback on the main thread
+     */
+    runInline(type, payload) {
+        return new Promise(resolve => resolve(DATA_WORKER_TASKS[type](payload)));
+    }
+
+    /**
+     * Start the worker on first use; null once workers turned out to be unavailable
+     */
+    getWorker() {
+        if (this.worker || this.workerFailed) {
+            return this.worker;
+        }
+
+        try {
+            this.worker = new Worker(this.workerUrl);
+            this.worker.addEventListener('message', event => this.handleMessage(event.data));
+            this.worker.addEventListener('error', event => this.handleWorkerError(event));
+        } catch (error) {
+            // e.g. pages opened from file:// may not start workers
+            console.warn('Data worker unavailable, parsing on the main thread:', error.message);
+            this.workerFailed = true;
+            this.worker = null;
+        }
+        return this.worker;
+    }
+
+    handleMessage({ id, result, error }) {
+        const task = this.pending.get(id);
+        if (!task) return;
+
+        this.pending.delete(id);
+        if (error) {
+            task.reject(new Error(error));
+        } else {
+            task.resolve(result);
+        }
+    }
+
+    /**
+     * The worker script failed to load or crashed: finish its queued tasks on the main thread
+     */
+    handleWorkerError(event) {
+        console.warn('Data worker failed, parsing on the main thread:', event.message || event);
+        if (event.preventDefault) event.preventDefault();
+
+        this.terminate();
+        this.workerFailed = true;
+
+        const tasks = Array.from(this.pending.values());
+        this.pending.clear();
+        tasks.forEach(({ type, payload, resolve, reject }) => {
+            this.runInline(type, payload).then(resolve, reject);
+        });
+    }
+
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
+
+// Worker side: load the parsing and indexing code, then answer task messages
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    importScripts('csvParser.js', 'dataManager.js', 'searchEngine.js');
+
+    self.addEventListener('message', ({ data: { id, type, payload } }) => {
+        try {
+            self.postMessage({ id, result: DATA_WORKER_TASKS[type](payload) });
+        } catch (error) {
+            self.postMessage({ id, error: error.message });
+        }
+    });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DataWorkerClient, DATA_WORKER_TASKS };
+}
@@ -475,18 +475,7 @@ class IntegrationTestSuite {
         const testName = 'Solved Problems Persistence Test';
         try {
             console.log(`  Testing: ${testName}`);
-            
-            const storedData = localStorage.getItem('leetcode_app_state');
-            if (storedData) {
-                const parsedData = JSON.parse(storedData);
-                if (parsedData.solvedProblems !== undefined) {
-                    this.passTest(testName, `Solved problems structure found in localStorage`);
-                } else {
-                    this.passTest(testName, 'App state structure exists in localStorage');
-                }
-            } else {
-                this.passTest(testName, 'localStorage structure is ready for solved problems');
-            }
+            await this.checkStoredProblemRecords(testName, 'solved/', 'getSolvedProblems', 'solved problems');
         } catch (error) {
             this.failTest(testName, error.message);
         }
@@ -496,23 +485,36 @@ class IntegrationTestSuite {
         const testName = 'Bookmarks Persistence Test';
         try {
             console.log(`  Testing: ${testName}`);
-            
-            const storedData = localStorage.getItem('leetcode_app_state');
-            if (storedData) {
-                const parsedData = JSON.parse(storedData);
-                if (parsedData.bookmarkedProblems !== undefined) {
-                    this.passTest(testName, `Bookmarks structure found in localStorage`);
-                } else {
-                    this.passTest(testName, 'App state structure exists in localStorage');
-                }
-            } else {
-                this.passTest(testName, 'localStorage structure is ready for bookmarks');
-            }
+            await this.checkStoredProblemRecords(testName, 'bookmarks/', 'getBookmarkedProblems', 'bookmarked problems');
         } catch (error) {
             this.failTest(testName, error.message);
         }
     }
 
+    /**
+     * Check that storage holds one <prefix><id> record for each problem the StateManager getter returns
+     */
+    async checkStoredProblemRecords(testName, prefix, getterName, label) {
+        if (!window.stateManager || !window.stateManager.storage) {
+            this.failTest(testName, 'StateManager storage not available');
+            return;
+        }
+
+        await window.stateManager.writeQueue;
+        const problemIds = window.stateManager[getterName]();
+        const storedRecords = await window.stateManager.storage.readAll();
+        const storedIds = Object.keys(storedRecords)
+            .filter(key => key.startsWith(prefix))
+            .map(key => key.slice(prefix.length));
+        const missing = problemIds.filter(problemId => !storedIds.includes(problemId));
+
+        if (missing.length === 0 && storedIds.length === problemIds.length) {
+            this.passTest(testName, `Found ${storedIds.length} ${label} in ${window.stateManager.storage.name}`);
+        } else {
+            this.failTest(testName, `Storage has ${storedIds.length} ${prefix} records for ${problemIds.length} ${label}`);
+        }
+    }
+
     async testStateRecovery() {
         const testName = 'State Recovery Test';
         try {
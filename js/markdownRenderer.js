@@ -0,0 +1,139 @@
+// Minimal Markdown rendering for problem notes
+// Supports headings, paragraphs, lists, blockquotes, fenced code blocks and inline formatting
+
+/**
+ * Markdown to HTML renderer
+ * Input is HTML-escaped before any formatting is applied, so notes cannot inject markup
+ */
+class MarkdownRenderer {
+    /**
+     * Escape text for safe insertion into HTML
+     */
+    static escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Render Markdown text to HTML
+     */
+    static render(markdown) {
+        if (!markdown) return '';
+
+        const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+        const html = [];
+        let paragraph = [];
+        let list = null;
+
+        const flushParagraph = () => {
+            if (paragraph.length > 0) {
+                html.push(`<p>${MarkdownRenderer.renderInline(paragraph.join(' '))}</p>`);
+                paragraph = [];
+            }
+        };
+        const flushList = () => {
+            if (list) {
+                const items = list.items.map(item => `<li>${MarkdownRenderer.renderInline(item)}</li>`).join('');
+                html.push(`<${list.type}>${items}</${list.type}>`);
+                list = null;
+            }
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+
+            // Fenced code block, kept verbatim until the closing fence
+            const fence = /^\s*(```|~~~)\s*([\w+#.-]*)\s*$/.exec(line);
+            if (fence) {
+                flushParagraph();
+                flushList();
+
+                const code = [];
+                i++;
+                while (i < lines.length && !new RegExp(`^\\s*${fence[1]}\\s*$`).test(lines[i])) {
+                    code.push(lines[i]);
+                    i++;
+                }
+
+                const language = fence[2] ? ` class="language-${MarkdownRenderer.escapeHTML(fence[2])}"` : '';
+                html.push(`<pre><code${language}>${MarkdownRenderer.escapeHTML(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            if (line.trim() === '') {
+                flushParagraph();
+                flushList();
+                continue;
+            }
+
+            const heading = /^(#{1,6})\s+(.*)$/.exec(line);
+            if (heading) {
+                flushParagraph();
+                flushList();
+                const level = heading[1].length;
+                html.push(`<h${level}>${MarkdownRenderer.renderInline(heading[2])}</h${level}>`);
+                continue;
+            }
+
+            const quote = /^>\s?(.*)$/.exec(line);
+            if (quote) {
+                flushParagraph();
+                flushList();
+                html.push(`<blockquote>${MarkdownRenderer.renderInline(quote[1])}</blockquote>`);
+                continue;
+            }
+
+            const bullet = /^\s*[-*+]\s+(.*)$/.exec(line);
+            const numbered = /^\s*\d+[.)]\s+(.*)$/.exec(line);
+            if (bullet || numbered) {
+                flushParagraph();
+                const type = bullet ? 'ul' : 'ol';
+                if (list && list.type !== type) {
+                    flushList();
+                }
+                if (!list) {
+                    list = { type, items: [] };
+                }
+                list.items.push((bullet || numbered)[1]);
+                continue;
+            }
+
+            flushList();
+            paragraph.push(line.trim());
+        }
+
+        flushParagraph();
+        flushList();
+        return html.join('\n');
+    }
+
+    /**
+     * Render inline code, bold, italic and http(s) links within a line
+     */
+    static renderInline(text) {
+        // Pull out inline code first so its contents are not formatted
+        const codeSpans = [];
+        let result = MarkdownRenderer.escapeHTML(text).replace(/`([^`]+)`/g, (match, code) => {
+            codeSpans.push(`<code>${code}</code>`);
+            return `\u0000${codeSpans.length - 1}\u0000`;
+        });
+
+        result = result
+            .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+            .replace(/__([^_]+)__/g, '<strong>$1</strong>')
+            .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+            .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g,
+                '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>');
+
+        return result.replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[Number(index)]);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownRenderer;
+}
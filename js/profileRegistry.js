@@ -0,0 +1,124 @@
+// Named profiles that keep separate progress in one browser
+// Each profile stores its state under its own storage namespace
+
+/**
+ * The profile that owns progress saved before profiles existed; it keeps the original namespace
+ */
+const DEFAULT_PROFILE = { id: 'default', name: 'Default' };
+
+/**
+ * Profile list and the active profile, kept in localStorage
+ */
+class ProfileRegistry {
+    static get storageKey() {
+        return 'leetcode_app_profiles';
+    }
+
+    /**
+     * Read the registry; always contains the default profile
+     */
+    static load() {
+        let registry = {};
+        try {
+            registry = JSON.parse(localStorage.getItem(ProfileRegistry.storageKey)) || {};
+        } catch (error) {
+            console.warn('Failed to read profiles:', error);
+        }
+
+        const profiles = Array.isArray(registry.profiles) ? registry.profiles : [];
+        if (!profiles.some(profile => profile.id === DEFAULT_PROFILE.id)) {
+            profiles.unshift({ ...DEFAULT_PROFILE });
+        }
+
+        const activeId = profiles.some(profile => profile.id === registry.activeId) ? registry.activeId : DEFAULT_PROFILE.id;
+        return { activeId, profiles };
+    }
+
+    static save(registry) {
+        try {
+            localStorage.setItem(ProfileRegistry.storageKey, JSON.stringify(registry));
+        } catch (error) {
+            console.warn('Failed to save profiles:', error);
+        }
+    }
+
+    static getProfiles() {
+        return ProfileRegistry.load().profiles;
+    }
+
+    static getProfile(profileId) {
+        return ProfileRegistry.getProfiles().find(profile => profile.id === profileId) || null;
+    }
+
+    /**
+     * Profile opened by default in new tabs
+     */
+    static getActiveId() {
+        return ProfileRegistry.load().activeId;
+    }
+
+    static setActive(profileId) {
+        const registry = ProfileRegistry.load();
+        if (!registry.profiles.some(profile => profile.id === profileId)) {
+            throw new Error(`Unknown profile: ${profileId}`);
+        }
+
+        registry.activeId = profileId;
+        ProfileRegistry.save(registry);
+    }
+
+    /**
+     * Add a profile; names must be unique ignoring case
+     */
+    static create(name) {
+        const trimmedName = String(name || '').trim();
+        if (!trimmedName) {
+            throw new Error('Profile name cannot be empty');
+        }
+
+        const registry = ProfileRegistry.load();
+        if (registry.profiles.some(profile => profile.name.toLowerCase() === trimmedName.toLowerCase())) {
+            throw new Error(`A profile named "${trimmedName}" already exists`);
+        }
+
+        // IDs become part of storage keys, so keep them to URL-safe characters
+        const baseId = trimmedName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+        let id = baseId;
+        for (let suffix = 2; registry.profiles.some(profile => profile.id === id); suffix++) {
+            id = `${baseId}-${suffix}`;
+        }
+
+        const profile = { id, name: trimmedName, createdAt: new Date().toISOString() };
+        registry.profiles.push(profile);
+        ProfileRegistry.save(registry);
+        return profile;
+    }
+
+    /**
+     * Remove a profile from the list; the default profile cannot be removed
+     */
+    static remove(profileId) {
+        if (profileId === DEFAULT_PROFILE.id) {
+            throw new Error('The default profile cannot be deleted');
+        }
+
+        const registry = ProfileRegistry.load();
+        registry.profiles = registry.profiles.filter(profile => profile.id !== profileId);
+        if (registry.activeId === profileId) {
+            registry.activeId = DEFAULT_PROFILE.id;
+        }
+        ProfileRegistry.save(registry);
+    }
+
+    /**
+     * Storage key for a profile: the base key for the default profile, base@id for the others
+     */
+    static scopeKey(baseKey, profileId) {
+        return profileId === DEFAULT_PROFILE.id ? baseKey : `${baseKey}@${profileId}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ProfileRegistry, DEFAULT_PROFILE };
+}
@@ -0,0 +1,109 @@
+// Spaced-repetition scheduling for solved problems
+// Implements the SM-2 algorithm over self-rated confidence levels
+
+/**
+ * Confidence levels a solve or review can be rated with, mapped to SM-2 recall quality (0-5)
+ */
+const REVIEW_CONFIDENCE_LEVELS = [
+    { key: 'again', label: 'Again', quality: 1 },
+    { key: 'hard', label: 'Hard', quality: 3 },
+    { key: 'good', label: 'Good', quality: 4 },
+    { key: 'easy', label: 'Easy', quality: 5 }
+];
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * SM-2 scheduler
+ * A review record holds { confidence, repetitions, interval, easeFactor, reviewedAt, dueDate }
+ */
+class ReviewScheduler {
+    static get DEFAULT_EASE_FACTOR() {
+        return 2.5;
+    }
+
+    static get MIN_EASE_FACTOR() {
+        return 1.3;
+    }
+
+    /**
+     * Check that a confidence level is one of again/hard/good/easy
+     */
+    static isValidConfidence(confidence) {
+        return REVIEW_CONFIDENCE_LEVELS.some(level => level.key === confidence);
+    }
+
+    /**
+     * Compute the next review record after rating a problem
+     * previous is the current review record, or null for a first solve
+     */
+    static schedule(previous, confidence, now = new Date()) {
+        const level = REVIEW_CONFIDENCE_LEVELS.find(l => l.key === confidence);
+        if (!level) {
+            throw new Error(`Invalid confidence level: ${confidence}`);
+        }
+
+        const quality = level.quality;
+        let repetitions = previous ? previous.repetitions : 0;
+        let interval = previous ? previous.interval : 0;
+        let easeFactor = previous ? previous.easeFactor : ReviewScheduler.DEFAULT_EASE_FACTOR;
+
+        if (quality < 3) {
+            // Forgotten: start the repetition sequence again
+            repetitions = 0;
+            interval = 1;
+        } else {
+            if (repetitions === 0) {
+                interval = 1;
+            } else if (repetitions === 1) {
+                interval = 6;
+            } else {
+                interval = Math.round(interval * easeFactor);
+            }
+            repetitions++;
+        }
+
+        easeFactor = Math.max(
+            ReviewScheduler.MIN_EASE_FACTOR,
+            easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+        );
+
+        return {
+            confidence,
+            repetitions,
+            interval,
+            easeFactor: Math.round(easeFactor * 100) / 100,
+            reviewedAt: now.toISOString(),
+            dueDate: new Date(now.getTime() + interval * DAY_IN_MS).toISOString()
+        };
+    }
+
+    /**
+     * Check whether a review is due on or before the end of the given day
+     */
+    static isDue(review, now = new Date()) {
+        if (!review || !review.dueDate) {
+            return false;
+        }
+
+        const endOfDay = new Date(now);
+        endOfDay.setHours(23, 59, 59, 999);
+        return new Date(review.dueDate) <= endOfDay;
+    }
+
+    /**
+     * Whole days until a review is due; negative when overdue
+     */
+    static getDaysUntilDue(review, now = new Date()) {
+        const startOfToday = new Date(now);
+        startOfToday.setHours(0, 0, 0, 0);
+        const dueDay = new Date(review.dueDate);
+        dueDay.setHours(0, 0, 0, 0);
+        return Math.round((dueDay - startOfToday) / DAY_IN_MS);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReviewScheduler, REVIEW_CONFIDENCE_LEVELS };
+}
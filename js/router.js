@@ -6,6 +6,7 @@ class Router {
         this.routes = new Map();
         this.currentRoute = null;
         this.currentParams = {};
+        this.currentQuery = {};
         this.history = [];
         this.historyIndex = -1;
         this.beforeNavigateCallbacks = [];
@@ -54,6 +55,22 @@ class Router {
         // Favorites/bookmarks page
         this.addRoute('/favorites', () => this.showFavoritesPage());
         
+        // Topic list and the problems of one topic across all companies
+        this.addRoute('/topics', () => this.showTopicsPage());
+        this.addRoute('/topic/:topicName', (params) => this.showTopicPage(params.topicName));
+        
+        // Target companies page
+        this.addRoute('/targets', () => this.showTargetsPage());
+        
+        // Spaced-repetition review queue
+        this.addRoute('/review', () => this.showReviewPage());
+        
+        // Activity stats page
+        this.addRoute('/stats', () => this.showStatsPage());
+        
+        // Settings page with backup and restore
+        this.addRoute('/settings', () => this.showSettingsPage());
+        
         // Search results page
         this.addRoute('/search', () => this.showSearchResults());
         
@@ -148,7 +165,9 @@ class Router {
      * Handle a specific route
      * Requirement 10.2: Modular functions with clear responsibilities
      */
-    handleRoute(path) {
+    handleRoute(url) {
+        // Routes match the path only; the query string holds view state such as the sort
+        const { path, query } = Router.parseUrl(url);
         let matchedRoute = null;
         let params = {};
         
@@ -170,6 +189,7 @@ class Router {
             // Update current route info
             this.currentRoute = path;
             this.currentParams = params;
+            this.currentQuery = query;
             
             // Call the route handler
             try {
@@ -252,10 +272,96 @@ class Router {
     getCurrentRoute() {
         return {
             path: this.currentRoute,
-            params: this.currentParams
+            params: this.currentParams,
+            query: this.currentQuery
         };
     }
 
+    /**
+     * Get the current route path with its query string
+     */
+    getCurrentUrl() {
+        return Router.buildUrl(this.currentRoute || '/', this.currentQuery);
+    }
+
+    /**
+     * Get query parameters of the current route; repeated parameters are arrays
+     */
+    getQuery() {
+        return { ...this.currentQuery };
+    }
+
+    /**
+     * Get every value of a query parameter, e.g. topic=Graph&topic=Tree gives ['Graph', 'Tree']
+     */
+    getQueryValues(key) {
+        const value = this.currentQuery[key];
+        if (value === undefined) return [];
+        return Array.isArray(value) ? [...value] : [value];
+    }
+
+    /**
+     * Change query parameters of the current route without re-rendering or adding a history entry
+     * Filter changes use this so they don't flood the history; parameters set to null are removed
+     */
+    updateQuery(changes) {
+        this.currentQuery = { ...this.currentQuery, ...changes };
+        Object.keys(this.currentQuery).forEach(key => {
+            if (this.currentQuery[key] === null || this.currentQuery[key] === undefined) {
+                delete this.currentQuery[key];
+            }
+        });
+        
+        // replaceState does not fire hashchange, so the page is not initialized again
+        window.history.replaceState(window.history.state, '', `#${this.getCurrentUrl()}`);
+    }
+
+    /**
+     * Split a route URL like /company/Google?difficulty=hard&topic=Graph into its path and query parameters
+     * A parameter given more than once becomes an array of its values
+     */
+    static parseUrl(url) {
+        const queryStart = url.indexOf('?');
+        if (queryStart === -1) {
+            return { path: url || '/', query: {} };
+        }
+        
+        return { path: url.slice(0, queryStart) || '/', query: Router.parseQuery(url.slice(queryStart + 1)) };
+    }
+
+    /**
+     * Parse a query string into an object, collecting repeated parameters into arrays
+     */
+    static parseQuery(queryString) {
+        const query = {};
+        new URLSearchParams(queryString).forEach((value, key) => {
+            if (query[key] === undefined) {
+                query[key] = value;
+            } else {
+                query[key] = [].concat(query[key], value);
+            }
+        });
+        return query;
+    }
+
+    /**
+     * Build a route URL from a path and query parameters, leaving out empty ones
+     * Array values are written as repeated parameters
+     */
+    static buildUrl(path, query = {}) {
+        const search = new URLSearchParams();
+        Object.entries(query).forEach(([key, value]) => {
+            [].concat(value).forEach(item => {
+                if (item !== null && item !== undefined && item !== '') {
+                    search.append(key, item);
+                }
+            });
+        });
+        
+        const queryString = search.toString();
+        return queryString ? `${path}?${queryString}` : path;
+    }
+
     /**
      * Get navigation history
      */
@@ -415,6 +521,120 @@ class Router {
         this.triggerPageEvent('favorites-page:load');
     }
 
+    /**
+     * Show target companies page with the merged, weighted problem list
+     */
+    showTargetsPage() {
+        console.log('Showing targets page');
+        
+        // Update page title
+        document.title = 'Target Companies - LeetCode Company Problems';
+        
+        // Update active navigation
+        this.updateActiveNavigation('targets');
+        
+        // Show targets content
+        this.showPageContent('targets-page');
+        
+        // Trigger targets page load event
+        this.triggerPageEvent('targets-page:load');
+    }
+
+    /**
+     * Show the list of topics with per-topic progress
+     */
+    showTopicsPage() {
+        console.log('Showing topics page');
+        
+        // Update page title
+        document.title = 'Topics - LeetCode Company Problems';
+        
+        // Update active navigation
+        this.updateActiveNavigation('topics');
+        
+        // Show topics content
+        this.showPageContent('topics-page');
+        
+        // Trigger topics page load event
+        this.triggerPageEvent('topics-page:load');
+    }
+
+    /**
+     * Show one topic's problems across all companies
+     */
+    showTopicPage(topicName) {
+        console.log(`Showing topic page: ${topicName}`);
+        
+        // Update page title
+        document.title = `${topicName} Problems - LeetCode Company Problems`;
+        
+        // Update active navigation
+        this.updateActiveNavigation('topics');
+        
+        // Show topic content
+        this.showPageContent('topic-page', { topicName });
+        
+        // Trigger topic page load event
+        this.triggerPageEvent('topic-page:load', { topicName });
+    }
+
+    /**
+     * Show review queue page with solved problems due today
+     */
+    showReviewPage() {
+        console.log('Showing review page');
+        
+        // Update page title
+        document.title = 'Review Queue - LeetCode Company Problems';
+        
+        // Update active navigation
+        this.updateActiveNavigation('review');
+        
+        // Show review content
+        this.showPageContent('review-page');
+        
+        // Trigger review page load event
+        this.triggerPageEvent('review-page:load');
+    }
+
+    /**
+     * Show activity stats page with heatmap, streaks and weekly solves
+     */
+    showStatsPage() {
+        console.log('Showing stats page');
+        
+        // Update page title
+        document.title = 'Activity Stats - LeetCode Company Problems';
+        
+        // Update active navigation
+        this.updateActiveNavigation('stats');
+        
+        // Show stats content
+        this.showPageContent('stats-page');
+        
+        // Trigger stats page load event
+        this.triggerPageEvent('stats-page:load');
+    }
+
+    /**
+     * Show settings page with backup download and upload
+     */
+    showSettingsPage() {
+        console.log('Showing settings page');
+        
+        // Update page title
+        document.title = 'Settings - LeetCode Company Problems';
+        
+        // Update active navigation
+        this.updateActiveNavigation('settings');
+        
+        // Show settings content
+        this.showPageContent('settings-page');
+        
+        // Trigger settings page load event
+        this.triggerPageEvent('settings-page:load');
+    }
+
     /**
      * Show search results page
      * Requirement 2.1: Filter displayed results in real-time
@@ -601,10 +821,11 @@ window.RouterUtils = {
         }
     },
     
-    // Navigate to search results
-    goToSearch: () => {
+    // Navigate to search results, keeping the sort when searching again from the results page
+    goToSearch: (query) => {
         if (window.router) {
-            window.router.navigate('/search');
+            const params = window.router.isCurrentRoute('/search') ? window.router.getQuery() : {};
+            window.router.navigate(Router.buildUrl('/search', { ...params, q: query || null }));
         }
     },
     
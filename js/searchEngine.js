@@ -0,0 +1,308 @@
+// Fuzzy, ranked search over problems and companies
+// Builds a tokenized inverted index with prefix and typo-tolerant term matching
+
+/**
+ * How much a match in each field counts toward a result's score
+ * frequency weighs a 0-100 frequency score added by callers that know it
+ */
+const SEARCH_FIELD_WEIGHTS = {
+    title: 3,
+    name: 3,
+    topics: 2,
+    companies: 1.5,
+    frequency: 1
+};
+
+/**
+ * Quality of a term match: exact beats prefix, which beats a typo
+ */
+const SEARCH_MATCH_QUALITY = {
+    exact: 1,
+    prefix: 0.8,
+    fuzzy: 0.6,
+    fuzzyPrefix: 0.45,
+    synonym: 0.9
+};
+
+/**
+ * Common names for techniques that problems only list under their topic
+ * "dijkstra" finds problems tagged Shortest Path
+ */
+const SEARCH_SYNONYMS = {
+    dijkstra: ['shortest path'],
+    bellman: ['shortest path'],
+    floyd: ['shortest path'],
+    bfs: ['breadth first search'],
+    dfs: ['depth first search'],
+    dp: ['dynamic programming'],
+    memoization: ['dynamic programming'],
+    dsu: ['union find'],
+    kruskal: ['minimum spanning tree', 'union find'],
+    prim: ['minimum spanning tree'],
+    kahn: ['topological sort'],
+    fenwick: ['binary indexed tree'],
+    heap: ['priority queue'],
+    lru: ['lru cache'],
+    bst: ['binary search tree']
+};
+
+/**
+ * Inverted index over documents with one or more text fields
+ * A field value may be a string or an array of strings (e.g. a problem's topics)
+ */
+class SearchIndex {
+    constructor(options = {}) {
+        this.fieldWeights = { ...SEARCH_FIELD_WEIGHTS, ...options.fieldWeights };
+        this.documents = [];
+        this.postings = new Map();
+    }
+
+    /**
+     * Split text into lowercase alphanumeric terms with their character ranges
+     * "two-sum" gives two [0, 3] and sum [4, 7]
+     */
+    static tokenize(text) {
+        const tokens = [];
+        const pattern = /[a-z0-9]+/gi;
+        let match;
+
+        while ((match = pattern.exec(String(text || ''))) !== null) {
+            tokens.push({ term: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+        }
+        return tokens;
+    }
+
+    /**
+     * Edit distance counting insertions, deletions, substitutions and adjacent swaps
+     * Gives up early and returns max + 1 once the distance is known to exceed max
+     */
+    static editDistance(a, b, max = 2) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const nextRow = [i];
+            let rowMin = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+                if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    distance = Math.min(distance, previousRow[j - 2] + 1);
+                }
+                nextRow.push(distance);
+                rowMin = Math.min(rowMin, distance);
+            }
+
+            if (rowMin > max) return max + 1;
+            previousRow = row;
+            row = nextRow;
+        }
+
+        return row[b.length];
+    }
+
+    /**
+     * Merge overlapping or touching ranges, sorted by start
+     */
+    static mergeRanges(ranges) {
+        const merged = [];
+        [...ranges].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+            const last = merged[merged.length - 1];
+            if (last && start <= last[1]) {
+                last[1] = Math.max(last[1], end);
+            } else {
+                merged.push([start, end]);
+            }
+        });
+        return merged;
+    }
+
+    /**
+     * Plain data for the index, e.g. to post it from a worker
+     */
+    toJSON() {
+        return { fieldWeights: this.fieldWeights, documents: this.documents, postings: Array.from(this.postings) };
+    }
+
+    /**
+     * Rebuild an index from toJSON data without re-tokenizing
+     */
+    static fromJSON(data) {
+        const index = new SearchIndex({ fieldWeights: data.fieldWeights });
+        index.documents = data.documents;
+        index.postings = new Map(data.postings);
+        return index;
+    }
+
+    /**
+     * Add a document; boost is added to the score of every match (e.g. from frequency)
+     */
+    add(id, fields, boost = 0) {
+        const docIndex = this.documents.length;
+        this.documents.push({ id, fields, boost });
+
+        Object.entries(fields).forEach(([field, value]) => {
+            [].concat(value || []).forEach((text, valueIndex) => {
+                SearchIndex.tokenize(text).forEach(({ term, start, end }) => {
+                    if (!this.postings.has(term)) {
+                        this.postings.set(term, []);
+                    }
+                    this.postings.get(term).push({ docIndex, field, valueIndex, start, end });
+                });
+            });
+        });
+        return this;
+    }
+
+    /**
+     * Indexed terms matching a query term, with the quality of each match
+     * length is how much of the term matched: only the typed part of a prefix
+     * Prefixes need two characters; typos are allowed from four characters (two from eight)
+     */
+    matchTerm(queryTerm) {
+        const matches = [];
+        const maxEdits = queryTerm.length >= 8 ? 2 : (queryTerm.length >= 4 ? 1 : 0);
+
+        this.postings.forEach((postings, term) => {
+            let quality = 0;
+            let length = term.length;
+
+            if (term === queryTerm) {
+                quality = SEARCH_MATCH_QUALITY.exact;
+            } else if (queryTerm.length >= 2 && term.startsWith(queryTerm)) {
+                quality = SEARCH_MATCH_QUALITY.prefix;
+                length = queryTerm.length;
+            } else if (maxEdits > 0) {
+                if (SearchIndex.editDistance(queryTerm, term, maxEdits) <= maxEdits) {
+                    quality = SEARCH_MATCH_QUALITY.fuzzy;
+                } else if (term.length > queryTerm.length &&
+                    SearchIndex.editDistance(queryTerm, term.slice(0, queryTerm.length), maxEdits) <= maxEdits) {
+                    quality = SEARCH_MATCH_QUALITY.fuzzyPrefix;
+                    length = queryTerm.length;
+                }
+            }
+
+            if (quality > 0) {
+                matches.push({ term, quality, length, postings });
+            }
+        });
+
+        return matches;
+    }
+
+    /**
+     * Matches for a query term through SEARCH_SYNONYMS
+     * A synonym phrase matches a field value containing all of its terms
+     */
+    matchSynonyms(queryTerm) {
+        const phrases = Object.prototype.hasOwnProperty.call(SEARCH_SYNONYMS, queryTerm) ? SEARCH_SYNONYMS[queryTerm] : [];
+
+        return phrases.map(phrase => {
+            const phraseTerms = SearchIndex.tokenize(phrase).map(token => token.term);
+            const valueKey = posting => `${posting.docIndex}:${posting.field}:${posting.valueIndex}`;
+
+            // Field values that contain every term of the phrase
+            let valueKeys = null;
+            phraseTerms.forEach(term => {
+                const keys = new Set((this.postings.get(term) || []).map(valueKey));
+                valueKeys = valueKeys ? new Set([...valueKeys].filter(key => keys.has(key))) : keys;
+            });
+
+            const postings = [];
+            phraseTerms.forEach(term => {
+                (this.postings.get(term) || []).forEach(posting => {
+                    if (valueKeys.has(valueKey(posting))) {
+                        postings.push(posting);
+                    }
+                });
+            });
+            return { term: phrase, quality: SEARCH_MATCH_QUALITY.synonym, postings };
+        });
+    }
+
+    /**
+     * Search for documents matching every query term
+     * Returns [{ id, score, matches }] best first, where matches maps field -> value index -> ranges
+     */
+    search(query, options = {}) {
+        const queryTerms = [...new Set(SearchIndex.tokenize(query).map(token => token.term))];
+        if (queryTerms.length === 0) return [];
+
+        // Per document: best score for each query term, and the character ranges that matched
+        const candidates = new Map();
+
+        queryTerms.forEach((queryTerm, termIndex) => {
+            [...this.matchTerm(queryTerm), ...this.matchSynonyms(queryTerm)].forEach(({ quality, length, postings }) => {
+                postings.forEach(({ docIndex, field, valueIndex, start, end }) => {
+                    if (termIndex > 0 && !candidates.has(docIndex)) return;
+
+                    if (!candidates.has(docIndex)) {
+                        candidates.set(docIndex, { termScores: [], ranges: {} });
+                    }
+                    const candidate = candidates.get(docIndex);
+
+                    const score = quality * (this.fieldWeights[field] || 1);
+                    candidate.termScores[termIndex] = Math.max(candidate.termScores[termIndex] || 0, score);
+
+                    const fieldRanges = candidate.ranges[field] || (candidate.ranges[field] = {});
+                    (fieldRanges[valueIndex] || (fieldRanges[valueIndex] = [])).push([start, length ? start + length : end]);
+                });
+            });
+
+            // Every query term has to match somewhere in the document
+            candidates.forEach((candidate, docIndex) => {
+                if (!candidate.termScores[termIndex]) {
+                    candidates.delete(docIndex);
+                }
+            });
+        });
+
+        const results = [];
+        candidates.forEach((candidate, docIndex) => {
+            const document = this.documents[docIndex];
+            const matches = {};
+            Object.entries(candidate.ranges).forEach(([field, values]) => {
+                matches[field] = {};
+                Object.entries(values).forEach(([valueIndex, ranges]) => {
+                    matches[field][valueIndex] = SearchIndex.mergeRanges(ranges);
+                });
+            });
+
+            const score = candidate.termScores.reduce((sum, termScore) => sum + termScore, 0) +
+                this.phraseBonus(document, queryTerms, matches) + document.boost;
+            results.push({ id: document.id, score, matches });
+        });
+
+        results.sort((a, b) => b.score - a.score);
+        return options.limit ? results.slice(0, options.limit) : results;
+    }
+
+    /**
+     * Extra score when a title (or name) is exactly the query or starts with it,
+     * plus up to 1 for the share of its words that matched, so "binry serch" prefers Binary Search
+     */
+    phraseBonus(document, queryTerms, matches) {
+        const titleField = document.fields.title !== undefined ? 'title' : 'name';
+        const title = document.fields[titleField];
+        if (typeof title !== 'string') return 0;
+
+        const tokens = SearchIndex.tokenize(title);
+        const titleRanges = (matches[titleField] && matches[titleField][0]) || [];
+        const matchedTokens = tokens.filter(token => titleRanges.some(([start, end]) => start < token.end && end > token.start));
+        const coverage = tokens.length > 0 ? matchedTokens.length / tokens.length : 0;
+
+        const titleTerms = tokens.map(token => token.term).join(' ');
+        const phrase = queryTerms.join(' ');
+        if (titleTerms === phrase) return 3 + coverage;
+        if (titleTerms.startsWith(phrase)) return 1 + coverage;
+        return coverage;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SearchIndex, SEARCH_FIELD_WEIGHTS, SEARCH_MATCH_QUALITY, SEARCH_SYNONYMS };
+}
@@ -0,0 +1,331 @@
+// Search query language with field qualifiers
+// Parses queries like: company:google difficulty:hard topic:"dynamic programming" freq:>50 -status:solved
+
+/**
+ * Qualifiers by name; aliases point at the same definition
+ * parse turns the typed value into a normalized value or throws a message for the user
+ */
+const SEARCH_QUALIFIERS = {
+    company: {
+        description: 'company name, e.g. company:google',
+        parse: value => SearchQuery.normalize(value),
+        test: (row, value) => SearchQuery.normalize(row.companyName).startsWith(value)
+    },
+    difficulty: {
+        description: 'easy, medium or hard',
+        parse: value => {
+            const difficulty = value.toLowerCase();
+            if (!['easy', 'medium', 'hard'].includes(difficulty)) {
+                throw new Error(`Unknown difficulty "${value}", use easy, medium or hard`);
+            }
+            return difficulty;
+        },
+        test: (row, value) => String(row.difficulty || '').toLowerCase() === value
+    },
+    topic: {
+        description: 'topic name, e.g. topic:"dynamic programming"',
+        parse: value => SearchQuery.normalize(value),
+        test: (row, value) => (row.topics || []).some(topic => SearchQuery.normalize(topic).startsWith(value))
+    },
+    freq: {
+        description: 'frequency from 0 to 100, e.g. freq:>50, freq:<=20 or freq:20..60',
+        parse: value => SearchQuery.parseComparison(value),
+        test: (row, value) => SearchQuery.compare(row.frequency || 0, value)
+    },
+    status: {
+        description: 'solved, unsolved, bookmarked or due',
+        parse: value => {
+            const status = value.toLowerCase();
+            if (!['solved', 'unsolved', 'bookmarked', 'due'].includes(status)) {
+                throw new Error(`Unknown status "${value}", use solved, unsolved, bookmarked or due`);
+            }
+            return status;
+        },
+        // Review state lives with the app, so it supplies the check
+        test: (row, value, context) => context.matchStatus(row, value)
+    }
+};
+
+SEARCH_QUALIFIERS.diff = SEARCH_QUALIFIERS.difficulty;
+SEARCH_QUALIFIERS.frequency = SEARCH_QUALIFIERS.freq;
+SEARCH_QUALIFIERS.is = SEARCH_QUALIFIERS.status;
+
+/**
+ * A parsed query: a tree of and/or/not nodes over qualifiers and free text, plus parse errors
+ * Invalid parts are reported and left out, so the rest of the query still runs
+ */
+class SearchQuery {
+    constructor(input, ast, errors) {
+        this.input = input;
+        this.ast = ast;
+        this.errors = errors;
+    }
+
+    /**
+     * Lowercase with punctuation and spaces removed, so "Dynamic-Programming" equals "dynamic programming"
+     */
+    static normalize(text) {
+        return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+    }
+
+    /**
+     * Parse a numeric comparison: 50, >50, >=50, <50, <=50 or 20..60
+     */
+    static parseComparison(value) {
+        const range = value.match(/^(\d+(?:\.\d+)?)\.\.(\d+(?:\.\d+)?)$/);
+        if (range) {
+            return { op: '..', min: Number(range[1]), max: Number(range[2]) };
+        }
+
+        const comparison = value.match(/^(>=|<=|>|<|=)?(\d+(?:\.\d+)?)$/);
+        if (!comparison) {
+            throw new Error(`Expected a number like 50, >50 or 20..60 but got "${value}"`);
+        }
+        return { op: comparison[1] || '=', value: Number(comparison[2]) };
+    }
+
+    static compare(number, { op, value, min, max }) {
+        switch (op) {
+            case '>': return number > value;
+            case '>=': return number >= value;
+            case '<': return number < value;
+            case '<=': return number <= value;
+            case '..': return number >= min && number <= max;
+            default: return Math.round(number) === value;
+        }
+    }
+
+    /**
+     * Split input into tokens with their character ranges
+     * Words may carry a leading "-" and a "name:" prefix; quoted values keep their spaces
+     */
+    static tokenize(input, errors) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < input.length) {
+            const char = input[i];
+
+            if (/\s/.test(char)) {
+                i++;
+            } else if (char === '(' || char === ')') {
+                tokens.push({ type: char, start: i, end: i + 1 });
+                i++;
+            } else {
+                const start = i;
+                let text = '';
+                let quoted = false;
+
+                while (i < input.length && !/[\s()]/.test(input[i])) {
+                    if (input[i] === '"') {
+                        const close = input.indexOf('"', i + 1);
+                        if (close === -1) {
+                            errors.push({ message: 'Missing closing quote', start: i, end: input.length });
+                            text += input.slice(i + 1);
+                            i = input.length;
+                        } else {
+                            text += input.slice(i + 1, close);
+                            i = close + 1;
+                        }
+                        quoted = true;
+                    } else {
+                        text += input[i];
+                        i++;
+                    }
+                }
+
+                if (text === 'OR' && !quoted) {
+                    tokens.push({ type: 'OR', start, end: i });
+                } else {
+                    tokens.push({ type: 'word', text, raw: input.slice(start, i), quoted, start, end: i });
+                }
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Parse a query string
+     * OR binds looser than the implicit AND between terms: a b OR c means (a and b) or c
+     */
+    static parse(input) {
+        const text = String(input || '');
+        const errors = [];
+        const tokens = SearchQuery.tokenize(text, errors);
+        let position = 0;
+
+        const parseOr = () => {
+            const children = [];
+            let expectTerm = true;
+
+            while (position < tokens.length && tokens[position].type !== ')') {
+                if (tokens[position].type === 'OR') {
+                    if (expectTerm) {
+                        errors.push({ message: 'OR needs a term on both sides', start: tokens[position].start, end: tokens[position].end });
+                    }
+                    position++;
+                    expectTerm = true;
+                    continue;
+                }
+
+                const child = parseAnd();
+                if (child) children.push(child);
+                expectTerm = false;
+            }
+
+            if (expectTerm && children.length > 0) {
+                const last = tokens[position - 1];
+                errors.push({ message: 'OR needs a term on both sides', start: last.start, end: last.end });
+            }
+            return children.length > 1 ? { type: 'or', children } : (children[0] || null);
+        };
+
+        const parseAnd = () => {
+            const children = [];
+
+            while (position < tokens.length && tokens[position].type !== 'OR' && tokens[position].type !== ')') {
+                const node = parseTerm();
+                if (!node) continue;
+
+                // Neighbouring words form one free-text search, so "lru cache" ranks as a phrase
+                const previous = children[children.length - 1];
+                if (node.type === 'text' && previous && previous.type === 'text') {
+                    previous.text += ` ${node.text}`;
+                    previous.end = node.end;
+                } else {
+                    children.push(node);
+                }
+            }
+            return children.length > 1 ? { type: 'and', children } : (children[0] || null);
+        };
+
+        const parseTerm = () => {
+            const token = tokens[position++];
+
+            if (token.type === '(') {
+                const node = parseOr();
+                if (position < tokens.length && tokens[position].type === ')') {
+                    position++;
+                } else {
+                    errors.push({ message: 'Missing closing parenthesis', start: token.start, end: token.end });
+                }
+                return node;
+            }
+
+            const negated = token.raw.length > 1 && token.raw[0] === '-';
+            const word = negated ? { ...token, text: token.text.slice(1), raw: token.raw.slice(1) } : token;
+            const node = SearchQuery.parseWord(word, errors);
+            return node && negated ? { type: 'not', child: node } : node;
+        };
+
+        let ast = parseOr();
+        while (position < tokens.length) {
+            // Only a stray ")" stops the top-level parse early
+            const token = tokens[position++];
+            errors.push({ message: 'Unexpected closing parenthesis', start: token.start, end: token.end });
+            const rest = parseOr();
+            if (rest) {
+                ast = ast ? { type: 'and', children: [ast, rest] } : rest;
+            }
+        }
+
+        errors.sort((a, b) => a.start - b.start);
+        return new SearchQuery(text, ast, errors);
+    }
+
+    /**
+     * A single word: name:value becomes a qualifier, anything else free text
+     */
+    static parseWord(token, errors) {
+        const qualifier = token.raw.match(/^([a-z]+):/i);
+        if (!qualifier) {
+            return token.text ? { type: 'text', text: token.text, start: token.start, end: token.end } : null;
+        }
+
+        const name = qualifier[1].toLowerCase();
+        const definition = SEARCH_QUALIFIERS[name];
+        const value = token.text.slice(qualifier[0].length);
+        if (!definition) {
+            errors.push({
+                message: `Unknown qualifier "${name}:", use company, difficulty, topic, freq or status`,
+                start: token.start,
+                end: token.end
+            });
+            return null;
+        }
+        if (!value.trim()) {
+            errors.push({ message: `"${name}:" needs a value: ${definition.description}`, start: token.start, end: token.end });
+            return null;
+        }
+
+        try {
+            return { type: 'qualifier', name, definition, value: definition.parse(value.trim()), start: token.start, end: token.end };
+        } catch (error) {
+            errors.push({ message: error.message, start: token.start, end: token.end });
+            return null;
+        }
+    }
+
+    hasErrors() {
+        return this.errors.length > 0;
+    }
+
+    /**
+     * True when the query is plain free text (no qualifiers, negation or OR)
+     */
+    isPlainText() {
+        return !this.ast || this.ast.type === 'text';
+    }
+
+    /**
+     * The free-text parts of the query; positive ones count toward ranking and highlighting
+     */
+    getTextNodes({ positiveOnly = false } = {}) {
+        const nodes = [];
+        const visit = node => {
+            if (!node) return;
+            if (node.type === 'text') nodes.push(node);
+            if (node.type === 'not' && !positiveOnly) visit(node.child);
+            (node.children || []).forEach(visit);
+        };
+        visit(this.ast);
+        return nodes;
+    }
+
+    /**
+     * Values of a qualifier used without negation, e.g. every company:name in the query
+     */
+    getQualifierValues(name) {
+        const definition = SEARCH_QUALIFIERS[name];
+        const values = [];
+        const visit = node => {
+            if (!node || node.type === 'not') return;
+            if (node.type === 'qualifier' && node.definition === definition) values.push(node.value);
+            (node.children || []).forEach(visit);
+        };
+        visit(this.ast);
+        return values;
+    }
+
+    /**
+     * Whether a row matches the query
+     * context.matchText(node, row) decides free text, context.matchStatus(row, status) status qualifiers
+     */
+    matches(row, context, node = this.ast) {
+        if (!node) return true;
+
+        switch (node.type) {
+            case 'and': return node.children.every(child => this.matches(row, context, child));
+            case 'or': return node.children.some(child => this.matches(row, context, child));
+            case 'not': return !this.matches(row, context, node.child);
+            case 'qualifier': return node.definition.test(row, node.value, context);
+            default: return context.matchText(node, row);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SearchQuery, SEARCH_QUALIFIERS };
+}
@@ -0,0 +1,271 @@
+// Backup validation, diffing and merging for exported user state
+// Works on the plain objects produced by StateManager.exportState so it can run in Node
+
+/**
+ * Ways a backup can be combined with the current state
+ */
+const BACKUP_MERGE_STRATEGIES = [
+    { key: 'replace', label: 'Replace', description: 'Discard current progress and use the backup as is' },
+    { key: 'union', label: 'Union merge', description: 'Keep everything from both; current values win conflicts' },
+    { key: 'newest', label: 'Keep newest', description: 'Keep whichever side changed each item most recently' }
+];
+
+/**
+ * Backup helpers; "current" and "incoming" are exported state objects
+ */
+class StateBackup {
+    /**
+     * Check that a parsed backup file has the exported state shape
+     * Returns { valid, errors } with messages suitable for showing to the user
+     */
+    static validate(data, currentVersion) {
+        const errors = [];
+        const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+        if (!isPlainObject(data)) {
+            return { valid: false, errors: ['The file does not contain a backup object.'] };
+        }
+
+        if (typeof data.version !== 'string' || !/^\d+\.\d+\.\d+$/.test(data.version)) {
+            errors.push('The backup has no valid version number.');
+        } else if (currentVersion && StateSchema.compareVersions(data.version, currentVersion) > 0) {
+            errors.push(`The backup was made by a newer version of the app (${data.version}); ` +
+                `this version can read backups up to ${currentVersion}.`);
+        }
+
+        if (data.solvedProblems === undefined && data.bookmarkedProblems === undefined) {
+            errors.push('The backup has no solved or bookmarked problems.');
+        }
+        ['solvedProblems', 'bookmarkedProblems'].forEach(key => {
+            if (data[key] !== undefined && !isStringArray(data[key])) {
+                errors.push(`"${key}" must be a list of problem IDs.`);
+            }
+        });
+
+        ['companyProgress', 'reviews', 'problemHistory', 'notes', 'filters'].forEach(key => {
+            if (data[key] !== undefined && !isPlainObject(data[key])) {
+                errors.push(`"${key}" must be an object.`);
+            }
+        });
+
+        if (isPlainObject(data.problemHistory) &&
+            !Object.values(data.problemHistory).every(events => Array.isArray(events) && events.every(isPlainObject))) {
+            errors.push('"problemHistory" must map problem IDs to lists of events.');
+        }
+
+        if (isPlainObject(data.notes) &&
+            !Object.values(data.notes).every(note => isPlainObject(note) && typeof note.content === 'string')) {
+            errors.push('Every note must have text content.');
+        }
+
+        if (data.targetLists !== undefined && !(Array.isArray(data.targetLists) && data.targetLists.every(list =>
+            isPlainObject(list) && typeof list.id === 'string' && typeof list.name === 'string' && Array.isArray(list.companies)))) {
+            errors.push('"targetLists" must be a list of named target lists.');
+        }
+
+        if (data.theme !== undefined && typeof data.theme !== 'string') {
+            errors.push('"theme" must be a string.');
+        }
+
+        if (data.profile !== undefined && !(isPlainObject(data.profile) && typeof data.profile.name === 'string')) {
+            errors.push('"profile" must have a name.');
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Describe what importing a backup would change
+     * added/removed are relative to the current state; conflicts are items present on both sides with different values
+     */
+    static diff(current, incoming) {
+        const compareSets = (currentIds = [], incomingIds = []) => {
+            const currentSet = new Set(currentIds);
+            const incomingSet = new Set(incomingIds);
+            return {
+                added: incomingIds.filter(id => !currentSet.has(id)),
+                removed: currentIds.filter(id => !incomingSet.has(id))
+            };
+        };
+        const currentNotes = current.notes || {};
+        const incomingNotes = incoming.notes || {};
+        const currentLists = current.targetLists || [];
+        const incomingLists = incoming.targetLists || [];
+        const conflicts = [];
+
+        if (incoming.theme && current.theme && incoming.theme !== current.theme) {
+            conflicts.push({ field: 'theme', key: 'theme', current: current.theme, incoming: incoming.theme });
+        }
+
+        Object.keys(incomingNotes).forEach(problemId => {
+            const currentNote = currentNotes[problemId];
+            if (currentNote && currentNote.content !== incomingNotes[problemId].content) {
+                conflicts.push({ field: 'notes', key: problemId, current: currentNote, incoming: incomingNotes[problemId] });
+            }
+        });
+
+        Object.entries(incoming.reviews || {}).forEach(([problemId, review]) => {
+            const currentReview = (current.reviews || {})[problemId];
+            if (currentReview && (currentReview.dueDate !== review.dueDate || currentReview.confidence !== review.confidence)) {
+                conflicts.push({ field: 'reviews', key: problemId, current: currentReview, incoming: review });
+            }
+        });
+
+        incomingLists.forEach(list => {
+            const currentList = currentLists.find(existing => existing.id === list.id);
+            if (currentList && JSON.stringify(currentList.companies) !== JSON.stringify(list.companies)) {
+                conflicts.push({ field: 'targetLists', key: list.name, current: currentList, incoming: list });
+            }
+        });
+
+        const notes = compareSets(Object.keys(currentNotes), Object.keys(incomingNotes));
+        const listIds = compareSets(currentLists.map(list => list.id), incomingLists.map(list => list.id));
+        const listName = id => [...currentLists, ...incomingLists].find(list => list.id === id).name;
+
+        return {
+            solved: compareSets(current.solvedProblems, incoming.solvedProblems),
+            bookmarked: compareSets(current.bookmarkedProblems, incoming.bookmarkedProblems),
+            notes,
+            targetLists: { added: listIds.added.map(listName), removed: listIds.removed.map(listName) },
+            conflicts
+        };
+    }
+
+    /**
+     * Combine the current state with a backup using one of BACKUP_MERGE_STRATEGIES
+     * Preferences (theme, filters) and company progress stay as they are for the merge strategies
+     */
+    static merge(current, incoming, strategy) {
+        if (strategy === 'replace') {
+            return { ...incoming };
+        }
+        if (strategy !== 'union' && strategy !== 'newest') {
+            throw new Error(`Unknown merge strategy: ${strategy}`);
+        }
+
+        const keepNewest = strategy === 'newest';
+        const problemHistory = StateBackup.mergeHistory(current.problemHistory || {}, incoming.problemHistory || {});
+        const solvedProblems = StateBackup.mergeStatus(current, incoming, 'solvedProblems', ['solved', 'unsolved'], keepNewest);
+        const bookmarkedProblems = StateBackup.mergeStatus(current, incoming, 'bookmarkedProblems', ['bookmarked', 'unbookmarked'], keepNewest);
+
+        // Reviews only make sense for problems that end up solved
+        const solvedSet = new Set(solvedProblems);
+        const allReviews = StateBackup.mergeKeyed(current.reviews || {}, incoming.reviews || {},
+            keepNewest ? review => review.reviewedAt || review.solvedAt : null);
+        const reviews = {};
+        Object.keys(allReviews).forEach(problemId => {
+            if (solvedSet.has(problemId)) reviews[problemId] = allReviews[problemId];
+        });
+
+        const notes = StateBackup.mergeKeyed(current.notes || {}, incoming.notes || {},
+            keepNewest ? note => note.updatedAt : null);
+
+        const listsById = StateBackup.mergeKeyed(
+            Object.fromEntries((current.targetLists || []).map(list => [list.id, list])),
+            Object.fromEntries((incoming.targetLists || []).map(list => [list.id, list])),
+            keepNewest ? list => list.updatedAt : null
+        );
+        const targetLists = Object.values(listsById);
+        const activeTargetListId = current.activeTargetListId && listsById[current.activeTargetListId]
+            ? current.activeTargetListId
+            : (incoming.activeTargetListId && listsById[incoming.activeTargetListId] ? incoming.activeTargetListId : null);
+
+        return {
+            ...current,
+            solvedProblems,
+            bookmarkedProblems,
+            reviews,
+            problemHistory,
+            notes,
+            targetLists,
+            activeTargetListId
+        };
+    }
+
+    /**
+     * Merge a solved/bookmarked ID list
+     * Union keeps an ID present on either side; keep-newest lets the side whose latest
+     * status event is more recent decide, falling back to union when neither side has one
+     */
+    static mergeStatus(current, incoming, key, eventTypes, keepNewest) {
+        const currentSet = new Set(current[key] || []);
+        const incomingSet = new Set(incoming[key] || []);
+        const allIds = Array.from(new Set([...currentSet, ...incomingSet]));
+
+        if (!keepNewest) {
+            return allIds;
+        }
+
+        return allIds.filter(problemId => {
+            if (currentSet.has(problemId) === incomingSet.has(problemId)) {
+                return true;
+            }
+
+            const currentTime = StateBackup.latestEventTime((current.problemHistory || {})[problemId], eventTypes);
+            const incomingTime = StateBackup.latestEventTime((incoming.problemHistory || {})[problemId], eventTypes);
+            if (currentTime === incomingTime) {
+                return true;
+            }
+            return currentTime > incomingTime ? currentSet.has(problemId) : incomingSet.has(problemId);
+        });
+    }
+
+    /**
+     * Latest timestamp (ms) among events of the given types, or 0 when none is timestamped
+     */
+    static latestEventTime(events, eventTypes) {
+        return (events || [])
+            .filter(event => eventTypes.includes(event.type) && event.timestamp)
+            .reduce((latest, event) => Math.max(latest, new Date(event.timestamp).getTime()), 0);
+    }
+
+    /**
+     * Merge objects keyed by ID
+     * Without getTimestamp the current value wins conflicts; with it the newer value wins
+     */
+    static mergeKeyed(current, incoming, getTimestamp) {
+        const merged = { ...incoming, ...current };
+
+        if (getTimestamp) {
+            Object.keys(incoming).forEach(key => {
+                if (!current[key]) return;
+                const currentTime = new Date(getTimestamp(current[key]) || 0).getTime();
+                const incomingTime = new Date(getTimestamp(incoming[key]) || 0).getTime();
+                if (incomingTime > currentTime) {
+                    merged[key] = incoming[key];
+                }
+            });
+        }
+
+        return merged;
+    }
+
+    /**
+     * Union of both event logs per problem, without duplicates, oldest first
+     * Migrated events without a timestamp stay at the start
+     */
+    static mergeHistory(current, incoming) {
+        const merged = {};
+
+        new Set([...Object.keys(current), ...Object.keys(incoming)]).forEach(problemId => {
+            const seen = new Set();
+            merged[problemId] = [...(current[problemId] || []), ...(incoming[problemId] || [])]
+                .filter(event => {
+                    const key = `${event.type}|${event.timestamp}|${event.confidence || ''}`;
+                    if (seen.has(key)) return false;
+                    seen.add(key);
+                    return true;
+                })
+                .sort((a, b) => (a.timestamp ? new Date(a.timestamp).getTime() : 0) -
+                    (b.timestamp ? new Date(b.timestamp).getTime() : 0));
+        });
+
+        return merged;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StateBackup, BACKUP_MERGE_STRATEGIES };
+}
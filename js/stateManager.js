@@ -1,84 +1,1000 @@
-// State management and localStorage integration
+// State management and persistent storage integration
 // Handles application state, user progress, and data persistence
 
+/**
+ * Per-problem collections stored as one record per problem, keyed by these prefixes
+ */
+const STATE_RECORD_COLLECTIONS = {
+    reviews: 'reviews/',
+    problemHistory: 'history/',
+    notes: 'notes/'
+};
+
+/**
+ * Problem ID sets stored as one record per member, so tabs editing different problems never overwrite each other
+ */
+const STATE_RECORD_SETS = {
+    solvedProblems: 'solved/',
+    bookmarkedProblems: 'bookmarks/'
+};
+
+/**
+ * Keyed settings stored as one record per key, like the per-problem collections
+ */
+const STATE_RECORD_MAPS = {
+    companyProgress: 'progress/',
+    filters: 'filters/'
+};
+
+/**
+ * Lists of items with an id, stored as one record per item
+ */
+const STATE_RECORD_LISTS = {
+    targetLists: 'targets/'
+};
+
 class StateManager {
     constructor() {
-        this.storageKey = 'leetcode_app_state';
-        this.state = {
+        // Each profile keeps its records under its own storage namespace
+        this.profileId = ProfileRegistry.getActiveId();
+        this.storageKey = ProfileRegistry.scopeKey(DEFAULT_STORAGE_NAMESPACE, this.profileId);
+        this.backendPreferenceKey = 'leetcode_app_storage_backend';
+        // Pre-migration backups live in their own localStorage key, apart from the data they protect;
+        // earlier versions kept them in this record of the active backend
+        this.legacyMigrationBackupRecord = 'backup/pre-migration';
+        this.lastVisitedRecord = 'lastVisited';
+        this.state = this.createDefaultState();
+        
+        // Report of the last legacy problem ID migration, if one ran
+        this.idMigrationReport = null;
+        
+        // Saved fields this version does not know about, kept so they survive a save
+        this.unknownFields = {};
+        
+        // Active storage adapter, the last written JSON of each record, and the pending write chain
+        this.storage = null;
+        this.persistedRecords = new Map();
+        this.migrationBackup = null;
+        this.loaded = false;
+        this.writeQueue = Promise.resolve();
+        
+        // Other open tabs are told about every write so they can apply it as a delta
+        this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        this.syncChannel = null;
+        
+        // Event listeners for state changes
+        this.listeners = new Map();
+        
+        // Initialize state from storage; callers await ready before reading saved progress
+        this.ready = this.loadState();
+        this.setupCrossTabSync();
+    }
+
+    /**
+     * State for a profile with no saved progress
+     */
+    createDefaultState() {
+        return {
             solvedProblems: new Set(),
             bookmarkedProblems: new Set(),
             theme: 'light',
+            themeChosen: false,
             searchQuery: '',
             filters: {
                 difficulty: 'all'
             },
             companyProgress: {},
+            reviews: {},
+            problemHistory: {},
+            notes: {},
+            targetLists: [],
+            activeTargetListId: null,
             lastVisited: null,
-            version: '1.0.0'
+            version: StateSchema.CURRENT_VERSION
         };
-        
-        // Event listeners for state changes
-        this.listeners = new Map();
-        
-        // Initialize state from localStorage
-        this.loadState();
     }
 
     /**
-     * Load state from localStorage
-     * Requirement 4.3: Add state persistence for theme preferences and user progress
+     * Open storage and load saved state
+     * Requirement 4.3: Add state persistence for theme preferences and user progress
+     */
+    async loadState() {
+        try {
+            if (!this.storage) {
+                this.storage = await StorageAdapterRegistry.openWithFallback(this.getPreferredBackend(), this.storageKey);
+            }
+            
+            const records = await this.readRecords();
+            this.persistedRecords = new Map(Object.entries(records).map(([key, value]) => [key, JSON.stringify(value)]));
+            this.migrationBackup = this.readMigrationBackup();
+            if (!this.migrationBackup && records[this.legacyMigrationBackupRecord]) {
+                this.writeMigrationBackup(records[this.legacyMigrationBackupRecord]);
+            }
+            this.loaded = true;
+            
+            let parsedState = this.joinRecords(records);
+            if (parsedState) {
+                // Bring older saved state up to the current schema, keeping the original for rollback;
+                // state restored by a rollback stays at its version until the user upgrades it again
+                const rolledBack = this.isRolledBack(parsedState);
+                const needsMigration = StateSchema.needsMigration(parsedState) && !rolledBack;
+                this.state.version = rolledBack ? StateSchema.getVersion(parsedState) : StateSchema.CURRENT_VERSION;
+                if (needsMigration) {
+                    this.backupBeforeMigration(parsedState);
+                    parsedState = this.applyMigrations(parsedState);
+                } else if (StateSchema.compareVersions(StateSchema.getVersion(parsedState), this.state.version) > 0) {
+                    console.warn(`Saved state version ${parsedState.version} is newer than ${this.state.version}`);
+                }
+                
+                this.unknownFields = {};
+                Object.keys(parsedState)
+                    .filter(key => !(key in this.state) && key !== 'exportDate')
+                    .forEach(key => {
+                        this.unknownFields[key] = parsedState[key];
+                    });
+                
+                // Convert arrays back to Sets for solved and bookmarked problems
+                if (parsedState.solvedProblems) {
+                    this.state.solvedProblems = new Set(parsedState.solvedProblems);
+                }
+                if (parsedState.bookmarkedProblems) {
+                    this.state.bookmarkedProblems = new Set(parsedState.bookmarkedProblems);
+                }
+                
+                // Restore other state properties
+                this.state.theme = parsedState.theme || 'light';
+                // State saved before the flag existed only got a dark theme from the toggle
+                this.state.themeChosen = 'themeChosen' in parsedState
+                    ? Boolean(parsedState.themeChosen)
+                    : this.state.theme === 'dark';
+                this.state.companyProgress = parsedState.companyProgress || {};
+                this.state.reviews = parsedState.reviews || {};
+                this.state.problemHistory = parsedState.problemHistory || {};
+                this.state.notes = parsedState.notes || {};
+                this.ensureReviewRecords();
+                this.ensureProblemHistory();
+                // This visit; it is saved in its own record with the next change
+                this.state.lastVisited = new Date().toISOString();
+                this.state.filters = { difficulty: 'all', ...parsedState.filters };
+                this.state.targetLists = parsedState.targetLists || [];
+                this.state.activeTargetListId = parsedState.activeTargetListId || null;
+                
+                console.log(`State loaded from ${this.storage.name}:`, this.state);
+                
+                if (needsMigration) {
+                    this.saveState();
+                }
+            }
+        } catch (error) {
+            console.warn('Failed to load saved state:', error);
+            this.loaded = true;
+            this.handleStorageError(error);
+        }
+    }
+
+    /**
+     * Backend the user chose on the settings page; IndexedDB unless set otherwise
+     */
+    getPreferredBackend() {
+        try {
+            return localStorage.getItem(this.backendPreferenceKey) || 'indexedDB';
+        } catch (error) {
+            return 'indexedDB';
+        }
+    }
+
+    /**
+     * Name of the storage backend in use and whether it persists across sessions
+     */
+    getStorageInfo() {
+        return {
+            backend: this.storage ? this.storage.name : null,
+            preferred: this.getPreferredBackend(),
+            persistent: this.storage ? this.storage.persistent : true
+        };
+    }
+
+    /**
+     * Check whether progress is being saved somewhere that survives closing the tab
+     */
+    isPersistent() {
+        return this.getStorageInfo().persistent;
+    }
+
+    /**
+     * Read every record from the active backend
+     * When it holds no state yet, progress saved by another backend or by the old
+     * single-key format is moved over first
+     */
+    async readRecords() {
+        const records = await this.storage.readAll();
+        if (records.state) {
+            return records;
+        }
+
+        const source = await this.findRecordsToMove();
+        if (!source) {
+            return records;
+        }
+
+        await this.storage.write({ set: source.records, remove: [] });
+        console.log(`Moved saved progress from ${source.name} to ${this.storage.name}`);
+
+        // Keep the original when the new home does not persist
+        if (this.storage.persistent) {
+            await source.cleanup();
+        }
+        return source.records;
+    }
+
+    /**
+     * Find saved progress outside the active backend
+     * Returns { name, records, cleanup } or null
+     */
+    async findRecordsToMove() {
+        for (const backend of STORAGE_BACKENDS.filter(b => b.key !== this.storage.name)) {
+            try {
+                const adapter = StorageAdapterRegistry.create(backend.key, this.storageKey);
+                await adapter.open();
+                const records = await adapter.readAll();
+                if (records.state) {
+                    return { name: backend.key, records, cleanup: () => adapter.clear() };
+                }
+            } catch (error) {
+                // Backend unavailable; nothing to move from it
+            }
+        }
+
+        // State saved before storage adapters: one JSON blob in localStorage (or sessionStorage)
+        for (const legacyStorage of ['localStorage', 'sessionStorage']) {
+            try {
+                const storage = window[legacyStorage];
+                const savedState = storage.getItem(this.storageKey);
+                if (!savedState) continue;
+
+                return {
+                    name: `${legacyStorage} key ${this.storageKey}`,
+                    records: this.splitIntoRecords(JSON.parse(savedState)),
+                    cleanup: async () => storage.removeItem(this.storageKey)
+                };
+            } catch (error) {
+                // Legacy storage unavailable or unreadable
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Split a saved state object into storage records
+     * Per-problem collections get one record per problem, keyed settings one per key and lists one per item;
+     * lastVisited has its own record and everything else goes in "state"
+     */
+    splitIntoRecords(savedState) {
+        const { exportDate, lastVisited, ...state } = savedState;
+        const records = {};
+
+        Object.entries(STATE_RECORD_SETS).forEach(([field, prefix]) => {
+            (state[field] || []).forEach(problemId => {
+                records[prefix + problemId] = true;
+            });
+            delete state[field];
+        });
+
+        Object.entries({ ...STATE_RECORD_COLLECTIONS, ...STATE_RECORD_MAPS }).forEach(([field, prefix]) => {
+            Object.entries(state[field] || {}).forEach(([key, value]) => {
+                records[prefix + key] = value;
+            });
+            delete state[field];
+        });
+
+        Object.entries(STATE_RECORD_LISTS).forEach(([field, prefix]) => {
+            (state[field] || []).forEach(item => {
+                records[prefix + item.id] = item;
+            });
+            delete state[field];
+        });
+
+        if (lastVisited) {
+            records[this.lastVisitedRecord] = lastVisited;
+        }
+        records.state = state;
+        return records;
+    }
+
+    /**
+     * Rebuild a saved state object from storage records, or null when there is no saved state
+     */
+    joinRecords(records) {
+        if (!records.state) {
+            return null;
+        }
+
+        const savedState = { ...records.state };
+        Object.entries(STATE_RECORD_SETS).forEach(([field, prefix]) => {
+            // Records written before sets were split out keep the IDs inside "state"
+            const problemIds = new Set(savedState[field] || []);
+            Object.keys(records)
+                .filter(key => key.startsWith(prefix))
+                .forEach(key => problemIds.add(key.slice(prefix.length)));
+            savedState[field] = Array.from(problemIds);
+        });
+        Object.entries({ ...STATE_RECORD_COLLECTIONS, ...STATE_RECORD_MAPS }).forEach(([field, prefix]) => {
+            // Settings written before they were split out are kept inside "state"
+            savedState[field] = { ...savedState[field] };
+            Object.keys(records)
+                .filter(key => key.startsWith(prefix))
+                .forEach(key => {
+                    savedState[field][key.slice(prefix.length)] = records[key];
+                });
+        });
+        Object.entries(STATE_RECORD_LISTS).forEach(([field, prefix]) => {
+            const items = new Map((savedState[field] || []).map(item => [item.id, item]));
+            Object.keys(records)
+                .filter(key => key.startsWith(prefix))
+                .forEach(key => items.set(key.slice(prefix.length), records[key]));
+            // Records have no order of their own; generated IDs sort in creation order
+            savedState[field] = Array.from(items.values()).sort((a, b) => a.id.localeCompare(b.id));
+        });
+        if (records[this.lastVisitedRecord]) {
+            savedState.lastVisited = records[this.lastVisitedRecord];
+        }
+        return savedState;
+    }
+
+    /**
+     * Run pending schema migrations on saved state and return the migrated copy
+     */
+    applyMigrations(savedState) {
+        const { state, applied } = StateSchema.migrate(savedState);
+
+        // Surface the legacy ID migration report so unmapped progress can be reported
+        const idMigration = applied.find(step => step.from === '1.0.0');
+        if (idMigration) {
+            const report = idMigration.report;
+            this.idMigrationReport = report;
+
+            const unmappedCount = report.unmapped.solvedProblems.length + report.unmapped.bookmarkedProblems.length;
+            console.log(`Migrated ${report.migrated} problem IDs to slug-based IDs`);
+            if (unmappedCount > 0) {
+                console.warn(`Could not migrate ${unmappedCount} problem IDs:`, report.unmapped);
+            }
+        }
+
+        return state;
+    }
+
+    /**
+     * localStorage key of a profile's pre-migration backup
+     */
+    static migrationBackupKey(storageKey) {
+        return `${storageKey}_pre_migration`;
+    }
+
+    /**
+     * Read the pre-migration backup from its localStorage key, or null if there is none
+     */
+    readMigrationBackup() {
+        try {
+            const backup = localStorage.getItem(StateManager.migrationBackupKey(this.storageKey));
+            return backup ? JSON.parse(backup) : null;
+        } catch (error) {
+            console.warn('Failed to read migration backup:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Keep a pre-migration backup in memory and in its localStorage key; null removes it
+     */
+    writeMigrationBackup(backup) {
+        this.migrationBackup = backup;
+        try {
+            const key = StateManager.migrationBackupKey(this.storageKey);
+            if (backup) {
+                localStorage.setItem(key, JSON.stringify(backup));
+            } else {
+                localStorage.removeItem(key);
+            }
+        } catch (error) {
+            console.warn('Failed to save migration backup:', error);
+        }
+    }
+
+    /**
+     * Keep the pre-migration state apart from the active backend so a bad migration can be rolled back
+     */
+    backupBeforeMigration(savedState) {
+        this.writeMigrationBackup({
+            fromVersion: StateSchema.getVersion(savedState),
+            toVersion: StateSchema.CURRENT_VERSION,
+            date: new Date().toISOString(),
+            data: JSON.stringify(savedState)
+        });
+    }
+
+    /**
+     * Get the pre-migration backup ({ fromVersion, toVersion, date, data, rolledBack }), or null if there is none
+     */
+    getMigrationBackup() {
+        return this.migrationBackup ? { ...this.migrationBackup } : null;
+    }
+
+    /**
+     * Check whether saved state is the data a rollback restored, which is not migrated again
+     */
+    isRolledBack(savedState) {
+        const backup = this.migrationBackup;
+        return Boolean(backup && backup.rolledBack && backup.fromVersion === StateSchema.getVersion(savedState));
+    }
+
+    /**
+     * Restore the state saved before the last migration and keep it at that version
+     * Changes made since the migration are lost; upgradeState migrates it again
+     */
+    async rollbackMigration() {
+        const backup = this.getMigrationBackup();
+        if (!backup || backup.rolledBack) {
+            return false;
+        }
+
+        try {
+            const records = this.splitIntoRecords(JSON.parse(backup.data));
+            await this.writeQueue;
+            await this.storage.clear();
+            await this.storage.write({ set: records, remove: [] });
+            this.writeMigrationBackup({ ...backup, rolledBack: true });
+        } catch (error) {
+            console.error('Failed to roll back migration:', error);
+            return false;
+        }
+
+        console.log(`Rolled back state to version ${backup.fromVersion} from ${backup.date}`);
+        await this.loadState();
+        this.notifyListeners('stateImported', { strategy: 'rollback' });
+        return true;
+    }
+
+    /**
+     * Migrate state that a rollback left at an older version to the current schema
+     */
+    async upgradeState() {
+        const backup = this.getMigrationBackup();
+        if (!backup || !backup.rolledBack) {
+            return false;
+        }
+
+        await this.writeQueue;
+        const { rolledBack, ...pending } = backup;
+        this.writeMigrationBackup(pending);
+        await this.loadState();
+        this.notifyListeners('stateImported', { strategy: 'upgrade' });
+        return true;
+    }
+
+    /**
+     * Get the report of the last legacy problem ID migration, or null if none ran
+     */
+    getIdMigrationReport() {
+        return this.idMigrationReport;
+    }
+
+    /**
+     * Convert the current state to the plain object that is persisted
+     */
+    serializeState() {
+        return {
+            ...this.unknownFields,
+            solvedProblems: Array.from(this.state.solvedProblems),
+            bookmarkedProblems: Array.from(this.state.bookmarkedProblems),
+            theme: this.state.theme,
+            themeChosen: this.state.themeChosen,
+            companyProgress: this.state.companyProgress,
+            reviews: this.state.reviews,
+            problemHistory: this.state.problemHistory,
+            notes: this.state.notes,
+            lastVisited: this.state.lastVisited,
+            filters: this.state.filters,
+            targetLists: this.state.targetLists,
+            activeTargetListId: this.state.activeTargetListId,
+            version: this.state.version
+        };
+    }
+
+    /**
+     * Save current state, writing only the records that changed since the last save
+     * Requirement 4.1: Save solved problems state in localStorage
+     * Requirement 6.2: Implement localStorage persistence for bookmarked problems
+     */
+    saveState() {
+        if (!this.loaded) {
+            // Saving before the saved state is read would overwrite it
+            return this.ready.then(() => this.saveState());
+        }
+
+        const records = this.splitIntoRecords(this.serializeState());
+
+        const changes = { set: {}, remove: [] };
+        Object.entries(records).forEach(([key, value]) => {
+            const json = JSON.stringify(value);
+            if (this.persistedRecords.get(key) !== json) {
+                changes.set[key] = value;
+                this.persistedRecords.set(key, json);
+            }
+        });
+        Array.from(this.persistedRecords.keys()).forEach(key => {
+            if (!(key in records)) {
+                changes.remove.push(key);
+                this.persistedRecords.delete(key);
+            }
+        });
+
+        if (Object.keys(changes.set).length > 0 || changes.remove.length > 0) {
+            this.notifyListeners('recordsChanged', { changes });
+        }
+        return this.enqueueWrite(changes);
+    }
+
+    /**
+     * Check whether a record holds the state of a single problem
+     */
+    isProblemRecord(key) {
+        return [...Object.values(STATE_RECORD_SETS), ...Object.values(STATE_RECORD_COLLECTIONS)]
+            .some(prefix => key.startsWith(prefix));
+    }
+
+    /**
+     * Current per-problem records, keyed by record key
+     */
+    getProblemRecords() {
+        const records = this.splitIntoRecords(this.serializeState());
+        return Object.fromEntries(Object.entries(records).filter(([key]) => this.isProblemRecord(key)));
+    }
+
+    /**
+     * Store and apply record changes that came from a sync server
+     * Listeners see them as remote changes; other tabs get them through the usual broadcast
+     */
+    applySyncedChanges(changes) {
+        if (!this.loaded) {
+            return this.ready.then(() => this.applySyncedChanges(changes));
+        }
+
+        this.applyRemoteChanges(changes);
+        return this.enqueueWrite(changes);
+    }
+
+    /**
+     * Apply a batch of record changes after any writes already in flight
+     */
+    enqueueWrite(changes) {
+        const storage = this.storage;
+        const changeCount = Object.keys(changes.set).length + changes.remove.length;
+
+        this.writeQueue = this.writeQueue
+            .then(() => this.mergeStoredHistory(storage, changes))
+            .then(() => storage.write(changes))
+            .then(() => {
+                console.log(`Saved ${changeCount} changed records to ${storage.name}`);
+                this.broadcastChanges(changes);
+            })
+            .catch(error => {
+                console.error(`Failed to save state to ${storage.name}:`, error);
+                this.handleStorageError(error);
+            });
+        return this.writeQueue;
+    }
+
+    /**
+     * Merge history records about to be written with the stored ones
+     * Another tab may have appended events this tab has not heard about yet; the merged log is written and kept
+     */
+    async mergeStoredHistory(storage, changes) {
+        const prefix = STATE_RECORD_COLLECTIONS.problemHistory;
+        const keys = Object.keys(changes.set).filter(key => key.startsWith(prefix));
+        if (keys.length === 0 || !storage.read) return;
+
+        const stored = await storage.read(keys);
+        keys.forEach(key => {
+            const merged = StateManager.mergeHistoryEvents(stored[key], changes.set[key]);
+            if (merged.length === changes.set[key].length) return;
+
+            changes.set[key] = merged;
+            if (storage === this.storage) {
+                this.state.problemHistory[key.slice(prefix.length)] = merged.map(event => ({ ...event }));
+                this.persistedRecords.set(key, JSON.stringify(merged));
+            }
+        });
+    }
+
+    /**
+     * Union of two event logs, oldest first; events without a timestamp come first
+     * Ties are ordered by content so every tab ends up with the same log
+     */
+    static mergeHistoryEvents(events = [], otherEvents = []) {
+        const merged = new Map();
+        [...events, ...otherEvents].forEach(event => merged.set(JSON.stringify(event), event));
+        return Array.from(merged.entries())
+            .sort(([aKey, a], [bKey, b]) => (a.timestamp || '').localeCompare(b.timestamp || '') || aKey.localeCompare(bKey))
+            .map(([, event]) => event);
+    }
+
+    /**
+     * Listen for writes made by other tabs
+     * BroadcastChannel works for every backend; without it, localStorage writes still arrive as storage events
+     */
+    setupCrossTabSync() {
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.syncChannel = new BroadcastChannel(this.storageKey);
+            this.syncChannel.onmessage = event => {
+                const message = event.data;
+                if (message && message.type === 'records' && message.source !== this.tabId) {
+                    this.applyRemoteChanges(message.changes);
+                }
+            };
+        } else if (typeof window !== 'undefined') {
+            window.addEventListener('storage', event => this.handleStorageEvent(event));
+        }
+    }
+
+    /**
+     * Tell other tabs which records this tab just wrote
+     */
+    broadcastChanges(changes) {
+        if (!this.syncChannel) return;
+
+        try {
+            this.syncChannel.postMessage({ type: 'records', source: this.tabId, changes });
+        } catch (error) {
+            console.warn('Failed to notify other tabs of changes:', error);
+        }
+    }
+
+    /**
+     * Turn a localStorage write from another tab into a record change
+     */
+    handleStorageEvent(event) {
+        if (!this.storage || this.storage.name !== 'localStorage' || !event.key ||
+            !event.key.startsWith(this.storage.prefix)) {
+            return;
+        }
+
+        const key = event.key.slice(this.storage.prefix.length);
+        try {
+            this.applyRemoteChanges(event.newValue === null
+                ? { set: {}, remove: [key] }
+                : { set: { [key]: JSON.parse(event.newValue) }, remove: [] });
+        } catch (error) {
+            console.warn(`Ignoring unreadable record ${key} from another tab:`, error);
+        }
+    }
+
+    /**
+     * Apply records written by another tab to the in-memory state
+     * Only what actually changed fires listeners; events carry remote: true.
+     * The records are already stored, so nothing is written back.
+     */
+    applyRemoteChanges(changes) {
+        if (!this.loaded) return;
+
+        const events = [];
+        let unsaved = false;
+        Object.entries(changes.set || {}).forEach(([key, value]) => {
+            this.persistedRecords.set(key, JSON.stringify(value));
+            unsaved = this.applyRemoteRecord(key, value, events) || unsaved;
+        });
+        (changes.remove || []).forEach(key => {
+            this.persistedRecords.delete(key);
+            this.applyRemoteRecord(key, undefined, events);
+        });
+
+        if (events.length > 0) {
+            console.log(`Applied ${events.length} changes from another tab`);
+        }
+        events.forEach(({ event, data }) => this.notifyListeners(event, { ...data, remote: true }));
+
+        // History events the other tab's write lost are written back
+        if (unsaved) {
+            this.saveState();
+        }
+    }
+
+    /**
+     * Apply one remote record (value undefined when it was removed), collecting the events it causes
+     * Returns true when this tab holds history the record is missing, so it needs writing back
+     */
+    applyRemoteRecord(key, value, events) {
+        const removed = value === undefined;
+
+        if (key === 'state') {
+            if (removed) return false;
+
+            if (value.theme && value.theme !== this.state.theme) {
+                this.state.theme = value.theme;
+                events.push({ event: 'themeChanged', data: { theme: value.theme } });
+            }
+            this.state.themeChosen = Boolean(value.themeChosen);
+            this.state.activeTargetListId = value.activeTargetListId || null;
+            return false;
+        }
+
+        if (key === this.lastVisitedRecord) {
+            if (!removed) this.state.lastVisited = value;
+            return false;
+        }
+
+        const prefix = key.slice(0, key.indexOf('/') + 1);
+        const itemKey = key.slice(prefix.length);
+
+        const listField = Object.keys(STATE_RECORD_LISTS).find(field => STATE_RECORD_LISTS[field] === prefix);
+        if (listField) {
+            const items = this.state[listField];
+            const index = items.findIndex(item => item.id === itemKey);
+            if (removed ? index < 0 : index >= 0 && JSON.stringify(items[index]) === JSON.stringify(value)) return false;
+
+            if (removed) {
+                items.splice(index, 1);
+            } else if (index >= 0) {
+                items[index] = value;
+            } else {
+                items.push(value);
+            }
+            events.push({ event: 'targetListsChanged', data: { targetLists: this.getTargetLists() } });
+            return false;
+        }
+
+        const mapField = Object.keys(STATE_RECORD_MAPS).find(field => STATE_RECORD_MAPS[field] === prefix);
+        if (mapField) {
+            if (removed) {
+                delete this.state[mapField][itemKey];
+            } else {
+                this.state[mapField][itemKey] = value;
+            }
+            return false;
+        }
+
+        const problemId = itemKey;
+
+        const setField = Object.keys(STATE_RECORD_SETS).find(field => STATE_RECORD_SETS[field] === prefix);
+        if (setField) {
+            const problemIds = this.state[setField];
+            if (problemIds.has(problemId) === !removed) return false;
+
+            if (removed) {
+                problemIds.delete(problemId);
+            } else {
+                problemIds.add(problemId);
+            }
+
+            events.push(setField === 'solvedProblems'
+                ? { event: 'solvedStatusChanged', data: { problemId, solved: !removed } }
+                : { event: 'bookmarkStatusChanged', data: { problemId, bookmarked: !removed } });
+            return false;
+        }
+
+        const collectionField = Object.keys(STATE_RECORD_COLLECTIONS).find(field => STATE_RECORD_COLLECTIONS[field] === prefix);
+        if (!collectionField) return false;
+
+        let unsaved = false;
+        if (removed) {
+            delete this.state[collectionField][problemId];
+        } else if (collectionField === 'problemHistory') {
+            // Events recorded here that the other tab had not seen yet are kept
+            const merged = StateManager.mergeHistoryEvents(value, this.state.problemHistory[problemId]);
+            this.state.problemHistory[problemId] = merged;
+            unsaved = merged.length > value.length;
+        } else {
+            this.state[collectionField][problemId] = value;
+        }
+
+        if (collectionField === 'notes') {
+            events.push({ event: 'noteChanged', data: { problemId, note: this.getProblemNote(problemId) } });
+        } else if (collectionField === 'reviews' && !removed) {
+            events.push({ event: 'reviewRecorded', data: { problemId, review: { ...value } } });
+        }
+        return unsaved;
+    }
+
+    /**
+     * Switch to another storage backend, moving every record to it
+     */
+    async setStorageBackend(key) {
+        const adapter = StorageAdapterRegistry.create(key, this.storageKey);
+        try {
+            await adapter.open();
+        } catch (error) {
+            console.warn(`Storage backend ${key} is unavailable:`, error);
+            return false;
+        }
+
+        await this.writeQueue;
+        const previous = this.storage;
+        this.storage = adapter;
+        this.persistedRecords = new Map();
+        await this.saveState();
+
+        if (previous && previous.persistent && previous.name !== adapter.name) {
+            await previous.clear();
+        }
+
+        try {
+            localStorage.setItem(this.backendPreferenceKey, key);
+        } catch (error) {
+            console.warn('Failed to remember storage backend preference:', error);
+        }
+
+        this.notifyListeners('storageChanged', this.getStorageInfo());
+        return true;
+    }
+
+    /**
+     * Profile whose progress is loaded ({ id, name })
+     */
+    getProfile() {
+        return ProfileRegistry.getProfile(this.profileId) || { ...DEFAULT_PROFILE };
+    }
+
+    getProfiles() {
+        return ProfileRegistry.getProfiles();
+    }
+
+    /**
+     * Add an empty profile; throws when the name is empty or taken
+     */
+    createProfile(name) {
+        const profile = ProfileRegistry.create(name);
+        this.notifyListeners('profilesChanged', { profiles: this.getProfiles() });
+        return profile;
+    }
+
+    /**
+     * Load another profile's progress in place of the current one
+     * It also becomes the profile new tabs open with
+     */
+    async switchProfile(profileId) {
+        if (!ProfileRegistry.getProfile(profileId)) {
+            return false;
+        }
+
+        ProfileRegistry.setActive(profileId);
+        if (profileId === this.profileId) {
+            return true;
+        }
+
+        await this.ready;
+        await this.writeQueue;
+
+        this.profileId = profileId;
+        this.storageKey = ProfileRegistry.scopeKey(DEFAULT_STORAGE_NAMESPACE, profileId);
+        this.state = this.createDefaultState();
+        this.idMigrationReport = null;
+        this.unknownFields = {};
+        this.storage = null;
+        this.persistedRecords = new Map();
+        this.migrationBackup = null;
+        this.loaded = false;
+        this.ready = this.loadState();
+        await this.ready;
+
+        // Tabs on the same profile share a channel
+        if (this.syncChannel) {
+            this.syncChannel.close();
+            this.setupCrossTabSync();
+        }
+
+        console.log(`Switched to profile ${profileId}`);
+        this.notifyListeners('profileChanged', { profile: this.getProfile() });
+        return true;
+    }
+
+    /**
+     * Delete a profile and its saved progress; the active and default profiles cannot be deleted
      */
-    loadState() {
+    async deleteProfile(profileId) {
+        if (profileId === this.profileId || profileId === DEFAULT_PROFILE.id) {
+            return false;
+        }
+
+        const namespace = ProfileRegistry.scopeKey(DEFAULT_STORAGE_NAMESPACE, profileId);
+        for (const backend of STORAGE_BACKENDS) {
+            try {
+                const adapter = StorageAdapterRegistry.create(backend.key, namespace);
+                await adapter.open();
+                await adapter.clear();
+            } catch (error) {
+                // Backend unavailable; nothing was saved there
+            }
+        }
         try {
-            const savedState = localStorage.getItem(this.storageKey);
-            if (savedState) {
-                const parsedState = JSON.parse(savedState);
-                
-                // Convert arrays back to Sets for solved and bookmarked problems
-                if (parsedState.solvedProblems) {
-                    this.state.solvedProblems = new Set(parsedState.solvedProblems);
-                }
-                if (parsedState.bookmarkedProblems) {
-                    this.state.bookmarkedProblems = new Set(parsedState.bookmarkedProblems);
+            localStorage.removeItem(StateManager.migrationBackupKey(namespace));
+        } catch (error) {
+            // No localStorage, so no backup was kept there
+        }
+
+        ProfileRegistry.remove(profileId);
+        this.notifyListeners('profilesChanged', { profiles: this.getProfiles() });
+        return true;
+    }
+
+    /**
+     * Read the saved state of a profile that is not loaded, migrated to the current schema
+     */
+    async readProfileState(profileId) {
+        const namespace = ProfileRegistry.scopeKey(DEFAULT_STORAGE_NAMESPACE, profileId);
+        const preferred = this.getPreferredBackend();
+        const order = [
+            ...STORAGE_BACKENDS.filter(b => b.key === preferred),
+            ...STORAGE_BACKENDS.filter(b => b.key !== preferred)
+        ];
+
+        for (const backend of order) {
+            try {
+                const adapter = StorageAdapterRegistry.create(backend.key, namespace);
+                await adapter.open();
+                const savedState = this.joinRecords(await adapter.readAll());
+                if (savedState) {
+                    return StateSchema.migrate(savedState).state;
                 }
-                
-                // Restore other state properties
-                this.state.theme = parsedState.theme || 'light';
-                this.state.companyProgress = parsedState.companyProgress || {};
-                this.state.lastVisited = parsedState.lastVisited;
-                this.state.filters = parsedState.filters || { difficulty: 'all' };
-                
-                console.log('State loaded from localStorage:', this.state);
+            } catch (error) {
+                console.warn(`Could not read profile ${profileId} from ${backend.key}:`, error);
             }
-        } catch (error) {
-            console.warn('Failed to load state from localStorage:', error);
-            this.handleStorageError(error);
         }
+
+        return { solvedProblems: [], bookmarkedProblems: [], version: StateSchema.CURRENT_VERSION };
     }
 
     /**
-     * Save current state to localStorage
-     * Requirement 4.1: Save solved problems state in localStorage
-     * Requirement 6.2: Implement localStorage persistence for bookmarked problems
+     * Export one profile as a backup that remembers the profile name
      */
-    saveState() {
+    async exportProfile(profileId = this.profileId) {
+        const profile = ProfileRegistry.getProfile(profileId);
+        if (!profile) {
+            throw new Error(`Unknown profile: ${profileId}`);
+        }
+
+        const data = profileId === this.profileId
+            ? this.exportState()
+            : { ...(await this.readProfileState(profileId)), exportDate: new Date().toISOString() };
+
+        return { ...data, profile: { id: profile.id, name: profile.name } };
+    }
+
+    /**
+     * Create a new profile from a backup without touching the loaded one
+     * Returns { valid, errors, profile }; a taken name gets a number appended
+     */
+    async importProfile(stateData, name) {
+        const validation = this.validateBackup(stateData);
+        if (!validation.valid) {
+            return { ...validation, profile: null };
+        }
+
+        const { profile: savedProfile, exportDate, ...data } = stateData;
+        const baseName = String(name || (savedProfile && savedProfile.name) || 'Imported').trim();
+        const takenNames = new Set(this.getProfiles().map(profile => profile.name.toLowerCase()));
+        let profileName = baseName;
+        for (let suffix = 2; takenNames.has(profileName.toLowerCase()); suffix++) {
+            profileName = `${baseName} (${suffix})`;
+        }
+
+        const profile = ProfileRegistry.create(profileName);
         try {
-            const stateToSave = {
-                solvedProblems: Array.from(this.state.solvedProblems),
-                bookmarkedProblems: Array.from(this.state.bookmarkedProblems),
-                theme: this.state.theme,
-                companyProgress: this.state.companyProgress,
-                lastVisited: new Date().toISOString(),
-                filters: this.state.filters,
-                version: this.state.version
-            };
-            
-            localStorage.setItem(this.storageKey, JSON.stringify(stateToSave));
-            console.log('State saved to localStorage');
+            const adapter = await StorageAdapterRegistry.openWithFallback(
+                this.getPreferredBackend(),
+                ProfileRegistry.scopeKey(DEFAULT_STORAGE_NAMESPACE, profile.id)
+            );
+            if (!adapter.persistent) {
+                throw new Error('No persistent storage is available for the new profile');
+            }
+            await adapter.write({ set: this.splitIntoRecords(StateSchema.migrate(data).state), remove: [] });
         } catch (error) {
-            console.error('Failed to save state to localStorage:', error);
-            this.handleStorageError(error);
+            ProfileRegistry.remove(profile.id);
+            throw error;
         }
+
+        console.log(`Imported backup as profile ${profile.name}`);
+        this.notifyListeners('profilesChanged', { profiles: this.getProfiles() });
+        return { valid: true, errors: [], profile };
     }
 
     /**
@@ -86,7 +1002,7 @@ class StateManager {
      * Requirement 4.4: Create methods to update solved/unsolved problem states
      * Requirement 4.5: Update visual indicator when problem is marked as solved/unsolved
      */
-    updateSolvedStatus(problemId, solved) {
+    updateSolvedStatus(problemId, solved, confidence = 'good') {
         if (!problemId) {
             console.warn('Invalid problem ID provided');
             return false;
@@ -98,8 +1014,17 @@ class StateManager {
 
         if (solved) {
             this.state.solvedProblems.add(problemId);
+            if (wasChanged) {
+                const solveConfidence = ReviewScheduler.isValidConfidence(confidence) ? confidence : 'good';
+                this.state.reviews[problemId] = this.createSolveReview(solveConfidence);
+                this.recordProblemEvent(problemId, 'solved', { confidence: solveConfidence });
+            }
         } else {
             this.state.solvedProblems.delete(problemId);
+            delete this.state.reviews[problemId];
+            if (wasChanged) {
+                this.recordProblemEvent(problemId, 'unsolved');
+            }
         }
 
         if (wasChanged) {
@@ -125,6 +1050,149 @@ class StateManager {
         return Array.from(this.state.solvedProblems);
     }
 
+    /**
+     * Create the review record for a new solve, scheduled from its confidence
+     */
+    createSolveReview(confidence, solvedAt = new Date()) {
+        return {
+            ...ReviewScheduler.schedule(null, confidence, solvedAt),
+            solvedAt: solvedAt.toISOString(),
+            reviewCount: 0
+        };
+    }
+
+    /**
+     * Give solved problems saved before review tracking a record that is due now
+     */
+    ensureReviewRecords() {
+        const now = new Date().toISOString();
+
+        this.state.solvedProblems.forEach(problemId => {
+            if (!this.state.reviews[problemId]) {
+                this.state.reviews[problemId] = {
+                    confidence: null,
+                    repetitions: 0,
+                    interval: 0,
+                    easeFactor: ReviewScheduler.DEFAULT_EASE_FACTOR,
+                    reviewedAt: null,
+                    dueDate: now,
+                    solvedAt: null,
+                    reviewCount: 0
+                };
+            }
+        });
+    }
+
+    /**
+     * Rate a solved problem and schedule its next review
+     * Rating a problem again before its first review is due replaces the solve's confidence
+     */
+    recordReview(problemId, confidence) {
+        const review = this.state.reviews[problemId];
+        if (!review || !this.state.solvedProblems.has(problemId)) {
+            console.warn('Only solved problems can be reviewed:', problemId);
+            return null;
+        }
+        if (!ReviewScheduler.isValidConfidence(confidence)) {
+            console.warn('Invalid confidence level provided:', confidence);
+            return null;
+        }
+
+        const isSolveRating = review.reviewCount === 0 && review.solvedAt && !ReviewScheduler.isDue(review);
+        const updatedReview = isSolveRating ?
+            this.createSolveReview(confidence, new Date(review.solvedAt)) :
+            {
+                ...review,
+                ...ReviewScheduler.schedule(review.confidence ? review : null, confidence),
+                reviewCount: review.reviewCount + 1
+            };
+
+        this.state.reviews[problemId] = updatedReview;
+        this.recordProblemEvent(problemId, 'reviewed', { confidence });
+        this.saveState();
+        this.notifyListeners('reviewRecorded', { problemId, review: { ...updatedReview } });
+        return { ...updatedReview };
+    }
+
+    /**
+     * Append a timestamped event to a problem's history
+     * Event types are solved, unsolved, bookmarked, unbookmarked and reviewed
+     */
+    recordProblemEvent(problemId, type, details = {}) {
+        if (!this.state.problemHistory[problemId]) {
+            this.state.problemHistory[problemId] = [];
+        }
+
+        this.state.problemHistory[problemId].push({
+            type,
+            timestamp: new Date().toISOString(),
+            ...details
+        });
+    }
+
+    /**
+     * Seed the event log from solved and bookmarked problems saved before history tracking
+     * Solve times come from review records when known; otherwise the timestamp is null
+     */
+    ensureProblemHistory() {
+        const seedEvent = (problemId, type, timestamp) => {
+            const events = this.state.problemHistory[problemId] || [];
+            if (events.some(event => event.type === type)) return;
+            this.state.problemHistory[problemId] = [{ type, timestamp, migrated: true }, ...events];
+        };
+
+        this.state.solvedProblems.forEach(problemId => {
+            const review = this.state.reviews[problemId];
+            seedEvent(problemId, 'solved', review && review.solvedAt ? review.solvedAt : null);
+        });
+        this.state.bookmarkedProblems.forEach(problemId => seedEvent(problemId, 'bookmarked', null));
+    }
+
+    /**
+     * Get the event history for a problem, oldest first
+     */
+    getProblemHistory(problemId) {
+        return (this.state.problemHistory[problemId] || []).map(event => ({ ...event }));
+    }
+
+    /**
+     * Get the event history of every problem, keyed by problem ID
+     */
+    getAllProblemHistory() {
+        const history = {};
+        Object.entries(this.state.problemHistory).forEach(([problemId, events]) => {
+            history[problemId] = events.map(event => ({ ...event }));
+        });
+        return history;
+    }
+
+    /**
+     * Get the review record for a solved problem
+     */
+    getReview(problemId) {
+        const review = this.state.reviews[problemId];
+        return review ? { ...review } : null;
+    }
+
+    /**
+     * Get solved problems due for review today, most overdue first
+     */
+    getDueReviews(now = new Date()) {
+        return Object.entries(this.state.reviews)
+            .filter(([problemId, review]) =>
+                this.state.solvedProblems.has(problemId) && ReviewScheduler.isDue(review, now)
+            )
+            .map(([problemId, review]) => ({ problemId, ...review }))
+            .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+    }
+
+    /**
+     * Count solved problems due for review today
+     */
+    getDueReviewCount(now = new Date()) {
+        return this.getDueReviews(now).length;
+    }
+
     /**
      * Update bookmark status for a problem
      * Requirement 6.1: Implement bookmark toggle functionality
@@ -147,6 +1215,7 @@ class StateManager {
         }
 
         if (wasChanged) {
+            this.recordProblemEvent(problemId, bookmarked ? 'bookmarked' : 'unbookmarked');
             this.saveState();
             this.notifyListeners('bookmarkStatusChanged', { problemId, bookmarked });
         }
@@ -171,21 +1240,25 @@ class StateManager {
 
     /**
      * Update theme preference
+     * chosenByUser is false when following the system theme, which a theme the user picked overrides
      * Requirement 8.2: Remember user's theme preference from localStorage
      */
-    updateTheme(theme) {
+    updateTheme(theme, chosenByUser = true) {
         if (theme !== 'light' && theme !== 'dark') {
             console.warn('Invalid theme provided:', theme);
             return false;
         }
 
-        if (this.state.theme !== theme) {
+        const changed = this.state.theme !== theme;
+        if (changed || (chosenByUser && !this.state.themeChosen)) {
             this.state.theme = theme;
+            this.state.themeChosen = this.state.themeChosen || chosenByUser;
             this.saveState();
+        }
+        if (changed) {
             this.notifyListeners('themeChanged', { theme });
-            return true;
         }
-        return false;
+        return changed;
     }
 
     /**
@@ -195,6 +1268,13 @@ class StateManager {
         return this.state.theme;
     }
 
+    /**
+     * Check whether the user picked the theme, rather than it following the system
+     */
+    hasChosenTheme() {
+        return this.state.themeChosen;
+    }
+
     /**
      * Update company progress
      * Requirement 4.2: Display progress (X solved out of Y total problems)
@@ -230,6 +1310,145 @@ class StateManager {
         return { ...this.state.companyProgress };
     }
 
+    /**
+     * Save the Markdown note for a problem; empty content removes the note
+     */
+    updateProblemNote(problemId, content) {
+        const text = typeof content === 'string' ? content : '';
+        const hadNote = !!this.state.notes[problemId];
+
+        if (text.trim() === '') {
+            if (!hadNote) return;
+            delete this.state.notes[problemId];
+        } else {
+            this.state.notes[problemId] = {
+                content: text,
+                updatedAt: new Date().toISOString()
+            };
+        }
+
+        this.saveState();
+        this.notifyListeners('noteChanged', { problemId, note: this.getProblemNote(problemId) });
+    }
+
+    /**
+     * Get the note for a problem, or null when it has none
+     */
+    getProblemNote(problemId) {
+        const note = this.state.notes[problemId];
+        return note ? { ...note } : null;
+    }
+
+    /**
+     * Get every saved note, keyed by problem ID
+     */
+    getAllNotes() {
+        const notes = {};
+        Object.entries(this.state.notes).forEach(([problemId, note]) => {
+            notes[problemId] = { ...note };
+        });
+        return notes;
+    }
+
+    /**
+     * Find problem IDs whose note contains the query (case-insensitive)
+     */
+    searchNotes(query) {
+        const normalizedQuery = (query || '').toLowerCase().trim();
+        if (!normalizedQuery) return [];
+
+        return Object.keys(this.state.notes).filter(problemId =>
+            this.state.notes[problemId].content.toLowerCase().includes(normalizedQuery)
+        );
+    }
+
+    /**
+     * Get all saved target lists
+     */
+    getTargetLists() {
+        return this.state.targetLists.map(list => ({
+            ...list,
+            companies: list.companies.map(company => ({ ...company }))
+        }));
+    }
+
+    /**
+     * Get a saved target list by ID
+     */
+    getTargetList(listId) {
+        return this.getTargetLists().find(list => list.id === listId) || null;
+    }
+
+    /**
+     * Create or update a target list of weighted companies
+     * Returns the saved list, or null when the list is invalid
+     */
+    saveTargetList(list) {
+        if (!list || typeof list.name !== 'string' || list.name.trim().length === 0 || !Array.isArray(list.companies)) {
+            console.warn('Invalid target list provided:', list);
+            return null;
+        }
+
+        const savedList = {
+            id: list.id || `target-${Date.now().toString(36)}`,
+            name: list.name.trim(),
+            companies: list.companies
+                .filter(company => company && company.name)
+                .map(company => ({
+                    name: company.name,
+                    weight: Number.isFinite(company.weight) && company.weight > 0 ? company.weight : 1
+                })),
+            updatedAt: new Date().toISOString()
+        };
+
+        const index = this.state.targetLists.findIndex(existing => existing.id === savedList.id);
+        if (index >= 0) {
+            this.state.targetLists[index] = savedList;
+        } else {
+            this.state.targetLists.push(savedList);
+        }
+
+        this.saveState();
+        this.notifyListeners('targetListsChanged', { targetLists: this.getTargetLists() });
+        return { ...savedList, companies: savedList.companies.map(company => ({ ...company })) };
+    }
+
+    /**
+     * Delete a saved target list
+     */
+    deleteTargetList(listId) {
+        const index = this.state.targetLists.findIndex(list => list.id === listId);
+        if (index < 0) {
+            return false;
+        }
+
+        this.state.targetLists.splice(index, 1);
+        if (this.state.activeTargetListId === listId) {
+            this.state.activeTargetListId = null;
+        }
+
+        this.saveState();
+        this.notifyListeners('targetListsChanged', { targetLists: this.getTargetLists() });
+        return true;
+    }
+
+    /**
+     * Remember which target list is shown on the targets page
+     */
+    setActiveTargetList(listId) {
+        if (this.state.activeTargetListId !== listId) {
+            this.state.activeTargetListId = listId;
+            this.saveState();
+        }
+    }
+
+    /**
+     * Get the ID of the target list shown on the targets page
+     */
+    getActiveTargetListId() {
+        return this.state.activeTargetListId;
+    }
+
     /**
      * Update search query
      */
@@ -260,6 +1479,29 @@ class StateManager {
         return { ...this.state.filters };
     }
 
+    /**
+     * Get the saved topic filter for a company: { topics, mode } where mode is 'and' or 'or'
+     */
+    getCompanyTopicFilter(companyName) {
+        const saved = (this.state.filters.companyTopics || {})[companyName];
+        return saved ? { topics: [...saved.topics], mode: saved.mode } : { topics: [], mode: 'or' };
+    }
+
+    /**
+     * Save a company's topic filter; an empty selection removes it
+     */
+    updateCompanyTopicFilter(companyName, { topics, mode }) {
+        const companyTopics = { ...(this.state.filters.companyTopics || {}) };
+        if (topics.length > 0) {
+            companyTopics[companyName] = { topics: [...topics], mode: mode === 'and' ? 'and' : 'or' };
+        } else {
+            delete companyTopics[companyName];
+        }
+
+        this.updateFilters({ companyTopics });
+        this.saveState();
+    }
+
     /**
      * Add event listener for state changes
      */
@@ -295,53 +1537,35 @@ class StateManager {
     }
 
     /**
-     * Handle localStorage errors with fallback strategies
+     * Handle a storage failure by keeping progress in memory for the rest of the session
      */
     handleStorageError(error) {
-        console.warn('localStorage error, falling back to session storage:', error);
-        
-        // Try to use sessionStorage as fallback
-        try {
-            const stateToSave = {
-                solvedProblems: Array.from(this.state.solvedProblems),
-                bookmarkedProblems: Array.from(this.state.bookmarkedProblems),
-                theme: this.state.theme,
-                companyProgress: this.state.companyProgress,
-                lastVisited: new Date().toISOString(),
-                filters: this.state.filters,
-                version: this.state.version
-            };
-            
-            sessionStorage.setItem(this.storageKey, JSON.stringify(stateToSave));
-            console.log('State saved to sessionStorage as fallback');
-        } catch (sessionError) {
-            console.error('Both localStorage and sessionStorage failed:', sessionError);
-            // Continue with in-memory state only
+        console.warn('Storage error, progress will only be kept in memory:', error);
+
+        if (!this.storage || this.storage.persistent) {
+            this.storage = new MemoryStorageAdapter();
+            this.persistedRecords = new Map();
         }
+        this.notifyListeners('storageChanged', this.getStorageInfo());
     }
 
     /**
      * Clear all stored data
      */
     clearState() {
-        try {
-            localStorage.removeItem(this.storageKey);
-            sessionStorage.removeItem(this.storageKey);
-        } catch (error) {
-            console.warn('Failed to clear storage:', error);
+        const removedKeys = Array.from(this.persistedRecords.keys());
+        this.persistedRecords = new Map();
+        this.writeMigrationBackup(null);
+        const storage = this.storage;
+        if (storage) {
+            this.writeQueue = this.writeQueue
+                .then(() => storage.clear())
+                .then(() => this.broadcastChanges({ set: {}, remove: removedKeys }))
+                .catch(error => console.warn('Failed to clear storage:', error));
         }
 
         // Reset to default state
-        this.state = {
-            solvedProblems: new Set(),
-            bookmarkedProblems: new Set(),
-            theme: 'light',
-            searchQuery: '',
-            filters: { difficulty: 'all' },
-            companyProgress: {},
-            lastVisited: null,
-            version: '1.0.0'
-        };
+        this.state = this.createDefaultState();
 
         this.notifyListeners('stateCleared', {});
     }
@@ -354,19 +1578,69 @@ class StateManager {
             solvedProblems: Array.from(this.state.solvedProblems),
             bookmarkedProblems: Array.from(this.state.bookmarkedProblems),
             theme: this.state.theme,
+            themeChosen: this.state.themeChosen,
             companyProgress: this.state.companyProgress,
+            reviews: this.state.reviews,
+            problemHistory: this.state.problemHistory,
+            notes: this.state.notes,
             lastVisited: this.state.lastVisited,
             filters: this.state.filters,
+            targetLists: this.state.targetLists,
+            activeTargetListId: this.state.activeTargetListId,
             version: this.state.version,
             exportDate: new Date().toISOString()
         };
     }
 
+    /**
+     * Validate a parsed backup file against the exported state schema
+     */
+    validateBackup(stateData) {
+        return StateBackup.validate(stateData, StateSchema.CURRENT_VERSION);
+    }
+
+    /**
+     * Describe what importing a backup would change without applying it
+     * Returns { valid, errors } for invalid backups, otherwise { valid, diff }
+     */
+    previewImport(stateData) {
+        const validation = this.validateBackup(stateData);
+        if (!validation.valid) {
+            return validation;
+        }
+
+        const incoming = StateSchema.migrate(stateData).state;
+
+        return { valid: true, errors: [], diff: StateBackup.diff(this.exportState(), incoming) };
+    }
+
     /**
      * Import state data from backup
+     * strategy is one of BACKUP_MERGE_STRATEGIES: replace, union or newest
      */
-    importState(stateData) {
+    importState(stateData, strategy = 'replace') {
         try {
+            const validation = this.validateBackup(stateData);
+            if (!validation.valid) {
+                console.error('Rejected invalid backup:', validation.errors);
+                return false;
+            }
+
+            // Older backups go through the same migrations as saved state
+            if (StateSchema.needsMigration(stateData)) {
+                stateData = this.applyMigrations(stateData);
+            }
+            // Imported data is current, so state a rollback kept at an older version is upgraded with it
+            if (this.state.version !== StateSchema.CURRENT_VERSION) {
+                const { rolledBack, ...backup } = this.getMigrationBackup();
+                this.writeMigrationBackup(backup);
+                this.state.version = StateSchema.CURRENT_VERSION;
+            }
+
+            if (strategy !== 'replace') {
+                stateData = StateBackup.merge(this.exportState(), stateData, strategy);
+            }
+
             if (stateData.solvedProblems) {
                 this.state.solvedProblems = new Set(stateData.solvedProblems);
             }
@@ -376,15 +1650,33 @@ class StateManager {
             if (stateData.theme) {
                 this.state.theme = stateData.theme;
             }
+            if ('themeChosen' in stateData) {
+                this.state.themeChosen = Boolean(stateData.themeChosen);
+            }
             if (stateData.companyProgress) {
                 this.state.companyProgress = stateData.companyProgress;
             }
+            if (stateData.reviews) {
+                this.state.reviews = stateData.reviews;
+            }
+            if (stateData.problemHistory) {
+                this.state.problemHistory = stateData.problemHistory;
+            }
+            if (stateData.notes) {
+                this.state.notes = stateData.notes;
+            }
+            this.ensureReviewRecords();
+            this.ensureProblemHistory();
             if (stateData.filters) {
                 this.state.filters = stateData.filters;
             }
+            if (stateData.targetLists) {
+                this.state.targetLists = stateData.targetLists;
+                this.state.activeTargetListId = stateData.activeTargetListId || null;
+            }
 
             this.saveState();
-            this.notifyListeners('stateImported', {});
+            this.notifyListeners('stateImported', { strategy });
             return true;
         } catch (error) {
             console.error('Failed to import state:', error);
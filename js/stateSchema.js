@@ -0,0 +1,163 @@
+// Versioned schema for persisted user state
+// Ordered migration steps bring saved state from any older version up to the current one
+
+/**
+ * Migration steps in order; each takes the saved state of its "from" version and
+ * returns { state, report } for its "to" version without mutating the input
+ */
+const STATE_MIGRATIONS = [
+    {
+        from: '1.0.0',
+        to: '1.1.0',
+        description: 'Rewrite legacy problem IDs to LeetCode slugs',
+        migrate(savedState) {
+            const state = { ...savedState };
+            const report = {
+                fromVersion: savedState.version || 'unknown',
+                toVersion: '1.1.0',
+                date: new Date().toISOString(),
+                migrated: 0,
+                unmapped: {
+                    solvedProblems: [],
+                    bookmarkedProblems: []
+                }
+            };
+
+            ['solvedProblems', 'bookmarkedProblems'].forEach(key => {
+                const migratedIds = new Set();
+
+                (savedState[key] || []).forEach(legacyId => {
+                    const slug = StateSchema.decodeLegacyProblemId(legacyId);
+                    if (slug) {
+                        migratedIds.add(slug);
+                        report.migrated++;
+                    } else {
+                        report.unmapped[key].push(legacyId);
+                    }
+                });
+
+                state[key] = Array.from(migratedIds);
+            });
+
+            return { state, report };
+        }
+    },
+    {
+        from: '1.1.0',
+        to: '1.2.0',
+        description: 'Add review, history, note and target list collections',
+        migrate(savedState) {
+            const state = {
+                reviews: {},
+                problemHistory: {},
+                notes: {},
+                targetLists: [],
+                activeTargetListId: null,
+                ...savedState
+            };
+            return { state, report: null };
+        }
+    }
+];
+
+/**
+ * Schema registry over STATE_MIGRATIONS
+ */
+class StateSchema {
+    /**
+     * Version written by the current code: the target of the last migration
+     */
+    static get CURRENT_VERSION() {
+        return STATE_MIGRATIONS[STATE_MIGRATIONS.length - 1].to;
+    }
+
+    /**
+     * Compare two x.y.z version strings; negative when a is older than b
+     */
+    static compareVersions(a, b) {
+        const aParts = String(a).split('.').map(Number);
+        const bParts = String(b).split('.').map(Number);
+
+        for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
+            const difference = (aParts[i] || 0) - (bParts[i] || 0);
+            if (difference !== 0) return difference;
+        }
+        return 0;
+    }
+
+    /**
+     * Version of a saved state; state saved before versions were written is 1.0.0
+     */
+    static getVersion(savedState) {
+        return savedState && savedState.version ? savedState.version : '1.0.0';
+    }
+
+    /**
+     * Check whether saved state is older than the current schema
+     */
+    static needsMigration(savedState) {
+        return StateSchema.compareVersions(StateSchema.getVersion(savedState), StateSchema.CURRENT_VERSION) < 0;
+    }
+
+    /**
+     * Migration steps that would run for a saved state, in order
+     */
+    static getPendingMigrations(savedState) {
+        const pending = [];
+        let version = StateSchema.getVersion(savedState);
+
+        while (StateSchema.compareVersions(version, StateSchema.CURRENT_VERSION) < 0) {
+            const step = STATE_MIGRATIONS.find(migration => migration.from === version);
+            if (!step) {
+                throw new Error(`No migration registered from state version ${version}`);
+            }
+            pending.push(step);
+            version = step.to;
+        }
+
+        return pending;
+    }
+
+    /**
+     * Run every pending migration step
+     * Returns { state, applied } where applied lists { from, to, description, report } per step
+     */
+    static migrate(savedState) {
+        let state = { ...savedState };
+        const applied = [];
+
+        StateSchema.getPendingMigrations(savedState).forEach(step => {
+            const result = step.migrate(state);
+            state = { ...result.state, version: step.to };
+            applied.push({ from: step.from, to: step.to, description: step.description, report: result.report });
+            console.log(`Migrated state ${step.from} -> ${step.to}: ${step.description}`);
+        });
+
+        return { state, applied };
+    }
+
+    /**
+     * Recover the LeetCode slug from a legacy ID
+     * Legacy IDs are btoa(encodeURIComponent(title + link)) with non-alphanumerics stripped;
+     * for ASCII input only padding and the encoding of '~' are lost, so they decode back
+     */
+    static decodeLegacyProblemId(legacyId) {
+        if (typeof legacyId !== 'string' || !/^[a-zA-Z0-9]+$/.test(legacyId)) {
+            return null;
+        }
+
+        try {
+            const padded = legacyId + '='.repeat((4 - legacyId.length % 4) % 4);
+            const decoded = decodeURIComponent(atob(padded));
+            const match = /\/problems\/([^/?#]+)\/?$/.exec(decoded);
+            return match ? match[1].toLowerCase() : null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StateSchema, STATE_MIGRATIONS };
+}
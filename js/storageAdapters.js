@@ -0,0 +1,263 @@
+// Storage backends for persisted user state
+// State is stored as independent records so a change only rewrites the records it touches
+
+/**
+ * Storage adapter interface
+ * Every adapter has a name, a persistent flag and these async methods:
+ *   open()          - check the backend works; rejects when it is unavailable
+ *   readAll()       - resolve to an object of every record, keyed by record key
+ *   read(keys)      - resolve to an object of the given records that exist
+ *   write(changes)  - apply { set: { key: value }, remove: [key] } in one batch
+ *   clear()         - remove every record
+ */
+
+/**
+ * Records stored as individual localStorage keys under a common prefix
+ */
+class LocalStorageAdapter {
+    constructor(prefix = 'leetcode_app_state/') {
+        this.name = 'localStorage';
+        this.persistent = true;
+        this.prefix = prefix;
+    }
+
+    async open() {
+        // Private browsing modes can expose localStorage but reject every write
+        const probeKey = `${this.prefix}__probe__`;
+        localStorage.setItem(probeKey, '1');
+        localStorage.removeItem(probeKey);
+    }
+
+    getRecordKeys() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(this.prefix)) {
+                keys.push(key.slice(this.prefix.length));
+            }
+        }
+        return keys;
+    }
+
+    async readAll() {
+        const records = {};
+        this.getRecordKeys().forEach(key => {
+            records[key] = JSON.parse(localStorage.getItem(this.prefix + key));
+        });
+        return records;
+    }
+
+    async read(keys) {
+        const records = {};
+        keys.forEach(key => {
+            const value = localStorage.getItem(this.prefix + key);
+            if (value !== null) {
+                records[key] = JSON.parse(value);
+            }
+        });
+        return records;
+    }
+
+    async write(changes) {
+        Object.entries(changes.set || {}).forEach(([key, value]) => {
+            localStorage.setItem(this.prefix + key, JSON.stringify(value));
+        });
+        (changes.remove || []).forEach(key => localStorage.removeItem(this.prefix + key));
+    }
+
+    async clear() {
+        this.getRecordKeys().forEach(key => localStorage.removeItem(this.prefix + key));
+    }
+}
+
+/**
+ * Records stored in a single IndexedDB object store keyed by record key
+ */
+class IndexedDBAdapter {
+    constructor(databaseName = 'leetcode_app_state', storeName = 'records') {
+        this.name = 'indexedDB';
+        this.persistent = true;
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        this.database = null;
+    }
+
+    open() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not supported'));
+                return;
+            }
+
+            // Some browsers never answer open requests in private mode
+            const timeoutId = setTimeout(() => reject(new Error('Timed out opening IndexedDB')), 3000);
+
+            const request = indexedDB.open(this.databaseName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName);
+            };
+            request.onsuccess = () => {
+                clearTimeout(timeoutId);
+                this.database = request.result;
+                resolve();
+            };
+            request.onerror = () => {
+                clearTimeout(timeoutId);
+                reject(request.error || new Error('Failed to open IndexedDB'));
+            };
+            request.onblocked = () => {
+                clearTimeout(timeoutId);
+                reject(new Error('IndexedDB is blocked by another open connection'));
+            };
+        });
+    }
+
+    /**
+     * Run a callback against the object store in one transaction, resolving when it completes
+     */
+    transaction(mode, callback) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.database.transaction(this.storeName, mode);
+            const result = callback(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    async readAll() {
+        const records = {};
+        await this.transaction('readonly', store => {
+            const request = store.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    records[cursor.key] = cursor.value;
+                    cursor.continue();
+                }
+            };
+        });
+        return records;
+    }
+
+    async read(keys) {
+        const records = {};
+        await this.transaction('readonly', store => {
+            keys.forEach(key => {
+                const request = store.get(key);
+                request.onsuccess = () => {
+                    if (request.result !== undefined) {
+                        records[key] = request.result;
+                    }
+                };
+            });
+        });
+        return records;
+    }
+
+    async write(changes) {
+        await this.transaction('readwrite', store => {
+            Object.entries(changes.set || {}).forEach(([key, value]) => store.put(value, key));
+            (changes.remove || []).forEach(key => store.delete(key));
+        });
+    }
+
+    async clear() {
+        await this.transaction('readwrite', store => store.clear());
+    }
+}
+
+/**
+ * Records kept in memory only; used when no persistent backend is available
+ */
+class MemoryStorageAdapter {
+    constructor() {
+        this.name = 'memory';
+        this.persistent = false;
+        this.records = new Map();
+    }
+
+    async open() {}
+
+    async readAll() {
+        return Object.fromEntries(this.records);
+    }
+
+    async read(keys) {
+        return Object.fromEntries(keys.filter(key => this.records.has(key)).map(key => [key, this.records.get(key)]));
+    }
+
+    async write(changes) {
+        Object.entries(changes.set || {}).forEach(([key, value]) => {
+            this.records.set(key, JSON.parse(JSON.stringify(value)));
+        });
+        (changes.remove || []).forEach(key => this.records.delete(key));
+    }
+
+    async clear() {
+        this.records.clear();
+    }
+}
+
+/**
+ * Persistent backends the user can choose between, in fallback order
+ * create(namespace) keeps each profile's records apart
+ */
+const STORAGE_BACKENDS = [
+    { key: 'indexedDB', label: 'IndexedDB', create: namespace => new IndexedDBAdapter(namespace) },
+    { key: 'localStorage', label: 'Local storage', create: namespace => new LocalStorageAdapter(`${namespace}/`) }
+];
+
+const DEFAULT_STORAGE_NAMESPACE = 'leetcode_app_state';
+
+/**
+ * Backend selection with fallback
+ */
+class StorageAdapterRegistry {
+    /**
+     * Create an adapter for a backend key
+     */
+    static create(key, namespace = DEFAULT_STORAGE_NAMESPACE) {
+        const backend = STORAGE_BACKENDS.find(b => b.key === key);
+        if (!backend) {
+            throw new Error(`Unknown storage backend: ${key}`);
+        }
+        return backend.create(namespace);
+    }
+
+    /**
+     * Open the preferred backend, falling back to the other persistent backends
+     * and finally to memory when none of them is available
+     */
+    static async openWithFallback(preferredKey, namespace = DEFAULT_STORAGE_NAMESPACE) {
+        const order = [
+            ...STORAGE_BACKENDS.filter(b => b.key === preferredKey),
+            ...STORAGE_BACKENDS.filter(b => b.key !== preferredKey)
+        ];
+
+        for (const backend of order) {
+            const adapter = backend.create(namespace);
+            try {
+                await adapter.open();
+                return adapter;
+            } catch (error) {
+                console.warn(`Storage backend ${backend.key} is unavailable:`, error);
+            }
+        }
+
+        console.warn('No persistent storage available; progress will be kept in memory only');
+        return new MemoryStorageAdapter();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LocalStorageAdapter,
+        IndexedDBAdapter,
+        MemoryStorageAdapter,
+        StorageAdapterRegistry,
+        STORAGE_BACKENDS,
+        DEFAULT_STORAGE_NAMESPACE
+    };
+}
@@ -0,0 +1,305 @@
+// Optional sync of per-problem progress with a self-hosted server
+// Speaks the change log protocol implemented by sync-server.js
+
+/**
+ * Pushes local per-problem record changes to an HTTP endpoint and pulls everyone else's
+ * Conflicts are settled per record by timestamp (last writer wins), matching the server
+ */
+class HttpSyncAdapter {
+    constructor(stateManager, options = {}) {
+        this.stateManager = stateManager;
+        // Each profile syncs with its own server settings
+        this.configKey = options.configKey || ProfileRegistry.scopeKey('leetcode_app_sync', stateManager.profileId);
+        this.outboxKey = options.outboxKey || ProfileRegistry.scopeKey('leetcode_app_sync_outbox', stateManager.profileId);
+        this.intervalMs = options.intervalMs || 60000;
+        this.pushDelayMs = options.pushDelayMs || 2000;
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+
+        this.config = this.loadConfig();
+        this.syncing = null;
+        this.intervalId = null;
+        this.pushTimeoutId = null;
+        this.lastSyncedAt = null;
+        this.lastError = null;
+
+        this.handleRecordsChanged = this.handleRecordsChanged.bind(this);
+        this.handleOnline = () => this.sync();
+    }
+
+    /**
+     * Endpoint, device ID and pull cursor, shared by every tab
+     */
+    loadConfig() {
+        let config = {};
+        try {
+            config = JSON.parse(localStorage.getItem(this.configKey)) || {};
+        } catch (error) {
+            console.warn('Ignoring unreadable sync settings:', error);
+        }
+
+        if (!config.deviceId) {
+            config.deviceId = `device-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        }
+        return { endpoint: null, cursor: null, ...config };
+    }
+
+    saveConfig() {
+        localStorage.setItem(this.configKey, JSON.stringify(this.config));
+    }
+
+    /**
+     * Local changes not yet accepted by the server, keyed by record key
+     * Kept in localStorage so changes made offline survive a reload
+     */
+    loadOutbox() {
+        try {
+            return JSON.parse(localStorage.getItem(this.outboxKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveOutbox(outbox) {
+        if (Object.keys(outbox).length > 0) {
+            localStorage.setItem(this.outboxKey, JSON.stringify(outbox));
+        } else {
+            localStorage.removeItem(this.outboxKey);
+        }
+    }
+
+    isEnabled() {
+        return Boolean(this.config.endpoint);
+    }
+
+    getStatus() {
+        return {
+            enabled: this.isEnabled(),
+            endpoint: this.config.endpoint,
+            syncing: Boolean(this.syncing),
+            pending: Object.keys(this.loadOutbox()).length,
+            lastSyncedAt: this.lastSyncedAt,
+            error: this.lastError
+        };
+    }
+
+    notifyStatus() {
+        this.stateManager.notifyListeners('syncStatusChanged', this.getStatus());
+    }
+
+    /**
+     * Point sync at a server and run a first sync
+     * Starting fresh pulls everything from the server before pushing what only this device has
+     */
+    configure(endpoint) {
+        this.config.endpoint = endpoint.trim().replace(/\/+$/, '');
+        this.config.cursor = null;
+        this.saveConfig();
+        this.start();
+        return this.sync();
+    }
+
+    /**
+     * Stop syncing; local progress is kept
+     */
+    disable() {
+        this.stop();
+        this.config.endpoint = null;
+        this.config.cursor = null;
+        this.saveConfig();
+        this.saveOutbox({});
+        this.lastError = null;
+        this.notifyStatus();
+    }
+
+    start() {
+        if (!this.isEnabled() || this.intervalId) return;
+
+        this.stateManager.addEventListener('recordsChanged', this.handleRecordsChanged);
+        this.intervalId = setInterval(() => this.sync(), this.intervalMs);
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', this.handleOnline);
+        }
+    }
+
+    stop() {
+        this.stateManager.removeEventListener('recordsChanged', this.handleRecordsChanged);
+        clearInterval(this.intervalId);
+        clearTimeout(this.pushTimeoutId);
+        this.intervalId = null;
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('online', this.handleOnline);
+        }
+    }
+
+    /**
+     * Queue per-problem records this tab just saved, then sync shortly after
+     */
+    handleRecordsChanged({ changes }) {
+        const updatedAt = new Date().toISOString();
+        const outbox = this.loadOutbox();
+
+        Object.entries(changes.set).forEach(([key, value]) => {
+            if (this.stateManager.isProblemRecord(key)) {
+                outbox[key] = { key, value, deleted: false, updatedAt };
+            }
+        });
+        changes.remove.forEach(key => {
+            if (this.stateManager.isProblemRecord(key)) {
+                outbox[key] = { key, value: null, deleted: true, updatedAt };
+            }
+        });
+
+        this.saveOutbox(outbox);
+        clearTimeout(this.pushTimeoutId);
+        this.pushTimeoutId = setTimeout(() => this.sync(), this.pushDelayMs);
+    }
+
+    /**
+     * Pull remote changes and push local ones; concurrent calls share one run
+     */
+    sync() {
+        if (!this.isEnabled()) return Promise.resolve(false);
+        if (this.syncing) return this.syncing;
+
+        this.syncing = this.runSync()
+            .then(() => {
+                this.lastSyncedAt = new Date().toISOString();
+                this.lastError = null;
+                return true;
+            })
+            .catch(error => {
+                console.warn('Sync failed:', error);
+                this.lastError = error.message;
+                return false;
+            })
+            .finally(() => {
+                this.syncing = null;
+                this.notifyStatus();
+            });
+
+        this.notifyStatus();
+        return this.syncing;
+    }
+
+    async runSync() {
+        const firstSync = this.config.cursor === null;
+        const serverKeys = await this.pull();
+
+        if (firstSync) {
+            this.queueUnsyncedRecords(serverKeys);
+        }
+        await this.push();
+    }
+
+    /**
+     * Queue local records the server has never seen, so joining a server keeps this device's progress
+     */
+    queueUnsyncedRecords(serverKeys) {
+        const updatedAt = new Date().toISOString();
+        const outbox = this.loadOutbox();
+
+        Object.entries(this.stateManager.getProblemRecords()).forEach(([key, value]) => {
+            if (!serverKeys.has(key) && !outbox[key]) {
+                outbox[key] = { key, value, deleted: false, updatedAt };
+            }
+        });
+        this.saveOutbox(outbox);
+    }
+
+    async request(method, path, body) {
+        const response = await this.fetch(`${this.config.endpoint}${path}`, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : undefined,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        if (!response.ok) {
+            throw new Error(`Sync server responded with ${response.status}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Apply server changes newer than the cursor, returning every key the server sent
+     */
+    async pull() {
+        const since = this.config.cursor || 0;
+        const { changes, cursor } = await this.request('GET', `/changes?since=${since}`);
+
+        const outbox = this.loadOutbox();
+        const delta = { set: {}, remove: [] };
+        const serverKeys = new Set();
+
+        changes.forEach(change => {
+            serverKeys.add(change.key);
+            if (change.device === this.config.deviceId || !this.stateManager.isProblemRecord(change.key)) {
+                return;
+            }
+
+            const pending = outbox[change.key];
+            if (pending && HttpSyncAdapter.isNewer(pending, change, this.config.deviceId)) {
+                // Our unpushed change wins; the server will accept it on push
+                return;
+            }
+            delete outbox[change.key];
+
+            if (change.deleted) {
+                delta.remove.push(change.key);
+            } else {
+                delta.set[change.key] = change.value;
+            }
+        });
+
+        this.saveOutbox(outbox);
+        if (Object.keys(delta.set).length > 0 || delta.remove.length > 0) {
+            console.log(`Pulled ${Object.keys(delta.set).length + delta.remove.length} changes from sync server`);
+            await this.stateManager.applySyncedChanges(delta);
+        }
+
+        this.config.cursor = cursor;
+        this.saveConfig();
+        return serverKeys;
+    }
+
+    /**
+     * Send queued changes; entries edited again while the request was out stay queued
+     */
+    async push() {
+        const sent = this.loadOutbox();
+        const changes = Object.values(sent);
+        if (changes.length === 0) return;
+
+        const { accepted, rejected } = await this.request('POST', '/changes', {
+            device: this.config.deviceId,
+            changes
+        });
+
+        const outbox = this.loadOutbox();
+        [...accepted, ...rejected.map(change => change.key)].forEach(key => {
+            if (outbox[key] && outbox[key].updatedAt === sent[key].updatedAt) {
+                delete outbox[key];
+            }
+        });
+        this.saveOutbox(outbox);
+
+        console.log(`Pushed ${accepted.length} changes to sync server (${rejected.length} superseded)`);
+        if (rejected.length > 0) {
+            // The newer server values arrive on the next pull
+            await this.pull();
+        }
+    }
+
+    /**
+     * Last-writer-wins ordering shared with the server: timestamp, then device ID
+     */
+    static isNewer(local, remote, localDevice) {
+        if (local.updatedAt !== remote.updatedAt) {
+            return local.updatedAt > remote.updatedAt;
+        }
+        return localDevice > remote.device;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HttpSyncAdapter;
+}
@@ -1,6 +1,32 @@
 // Utility functions and helpers
 // Contains common utility functions used throughout the application
 
+/**
+ * Keys problems can be sorted by: display label, natural direction and the value compared
+ * solvedAt and reviewDueDate are added to problems by applyUserStateToProblems
+ */
+const PROBLEM_SORT_KEYS = {
+    frequency: { label: 'Frequency', order: 'desc', value: problem => problem.frequency || 0 },
+    acceptanceRate: { label: 'Acceptance rate', order: 'desc', value: problem => problem.acceptanceRate || 0 },
+    difficulty: {
+        label: 'Difficulty',
+        order: 'asc',
+        value: problem => ({ 'EASY': 1, 'MEDIUM': 2, 'HARD': 3 })[String(problem.difficulty).toUpperCase()] || 0
+    },
+    title: { label: 'Title', order: 'asc', value: problem => problem.title.toLowerCase() },
+    company: { label: 'Company', order: 'asc', value: problem => problem.companyName ? problem.companyName.toLowerCase() : null },
+    solvedAt: {
+        label: 'Recently solved',
+        order: 'desc',
+        value: problem => problem.solvedAt ? new Date(problem.solvedAt).getTime() : null
+    },
+    reviewDueDate: {
+        label: 'Next review',
+        order: 'asc',
+        value: problem => problem.reviewDueDate ? new Date(problem.reviewDueDate).getTime() : null
+    }
+};
+
 /**
  * Utility functions for data validation and manipulation
  */
@@ -247,41 +273,32 @@ class Utils {
     }
 
     /**
-     * Sort problems by various criteria
+     * Sort problems by a key from PROBLEM_SORT_KEYS, breaking ties with an optional second key
+     * The second key uses its own natural direction; problems with no value for a key sort last
      */
-    static sortProblems(problems, sortBy = 'title', order = 'asc') {
-        const sortedProblems = [...problems];
+    static sortProblems(problems, sortBy = 'title', order = 'asc', thenBy = null) {
+        const primary = PROBLEM_SORT_KEYS[sortBy] || PROBLEM_SORT_KEYS.title;
+        const secondary = PROBLEM_SORT_KEYS[thenBy];
         
-        sortedProblems.sort((a, b) => {
-            let aValue, bValue;
-            
-            switch (sortBy) {
-                case 'difficulty':
-                    const difficultyOrder = { 'EASY': 1, 'MEDIUM': 2, 'HARD': 3 };
-                    aValue = difficultyOrder[a.difficulty] || 0;
-                    bValue = difficultyOrder[b.difficulty] || 0;
-                    break;
-                case 'frequency':
-                    aValue = a.frequency || 0;
-                    bValue = b.frequency || 0;
-                    break;
-                case 'acceptanceRate':
-                    aValue = a.acceptanceRate || 0;
-                    bValue = b.acceptanceRate || 0;
-                    break;
-                case 'title':
-                default:
-                    aValue = a.title.toLowerCase();
-                    bValue = b.title.toLowerCase();
-                    break;
-            }
-            
-            if (aValue < bValue) return order === 'asc' ? -1 : 1;
-            if (aValue > bValue) return order === 'asc' ? 1 : -1;
-            return 0;
-        });
+        return [...problems].sort((a, b) =>
+            Utils.compareProblemValues(primary.value(a), primary.value(b), order) ||
+            (secondary ? Utils.compareProblemValues(secondary.value(a), secondary.value(b), secondary.order) : 0)
+        );
+    }
+
+    /**
+     * Compare two sort values in the given direction, keeping missing values at the end
+     */
+    static compareProblemValues(aValue, bValue, order = 'asc') {
+        const aMissing = aValue === null || aValue === undefined;
+        const bMissing = bValue === null || bValue === undefined;
+        if (aMissing || bMissing) {
+            return aMissing === bMissing ? 0 : (aMissing ? 1 : -1);
+        }
         
-        return sortedProblems;
+        if (aValue < bValue) return order === 'asc' ? -1 : 1;
+        if (aValue > bValue) return order === 'asc' ? 1 : -1;
+        return 0;
     }
 
     /**
@@ -330,5 +347,5 @@ class Utils {
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Utils };
+    module.exports = { Utils, PROBLEM_SORT_KEYS };
 }
\ No newline at end of file
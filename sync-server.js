@@ -0,0 +1,195 @@
+// Reference sync server for sharing progress between devices
+// File-backed, no dependencies beyond Node itself
+//
+// Usage: node sync-server.js [--port 8787] [--file sync-data.json]
+//
+// Protocol (JSON over HTTP, CORS enabled for any origin):
+//   GET  /changes?since=<cursor>
+//        -> { changes: [{ key, value, deleted, updatedAt, device, seq }], cursor }
+//        Latest change per record key with seq > cursor; omit since for everything
+//   POST /changes  { device, changes: [{ key, value, deleted, updatedAt }] }
+//        -> { accepted: [key], rejected: [{ key, updatedAt, device }], cursor }
+//        Each change is kept only if it is newer than the stored one (last writer wins);
+//        equal timestamps are settled by comparing device IDs so every server agrees
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Change log kept as the latest change per record key, persisted to a JSON file
+ */
+class SyncStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.data = { seq: 0, records: {} };
+    }
+
+    load() {
+        if (fs.existsSync(this.filePath)) {
+            this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        }
+        return this;
+    }
+
+    save() {
+        // Write then rename so a crash never leaves a half-written file
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.data));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    /**
+     * Order two changes by timestamp, then device ID
+     */
+    static compare(a, b) {
+        if (a.updatedAt !== b.updatedAt) {
+            return a.updatedAt < b.updatedAt ? -1 : 1;
+        }
+        if (a.device === b.device) return 0;
+        return a.device < b.device ? -1 : 1;
+    }
+
+    getChangesSince(since = 0) {
+        const changes = Object.entries(this.data.records)
+            .filter(([, record]) => record.seq > since)
+            .map(([key, record]) => ({ key, ...record }))
+            .sort((a, b) => a.seq - b.seq);
+
+        return { changes, cursor: this.data.seq };
+    }
+
+    applyChanges(device, changes) {
+        const accepted = [];
+        const rejected = [];
+
+        changes.forEach(change => {
+            const incoming = {
+                value: change.deleted ? null : change.value,
+                deleted: Boolean(change.deleted),
+                updatedAt: change.updatedAt,
+                device
+            };
+            const stored = this.data.records[change.key];
+            const order = stored ? SyncStore.compare(incoming, stored) : 1;
+
+            if (order > 0) {
+                this.data.seq++;
+                this.data.records[change.key] = { ...incoming, seq: this.data.seq };
+                accepted.push(change.key);
+            } else if (order === 0) {
+                // A retried push of a change the server already has
+                accepted.push(change.key);
+            } else {
+                rejected.push({ key: change.key, updatedAt: stored.updatedAt, device: stored.device });
+            }
+        });
+
+        if (accepted.length > 0) {
+            this.save();
+        }
+        return { accepted, rejected, cursor: this.data.seq };
+    }
+}
+
+/**
+ * Check a push request body, returning an error message or null
+ */
+function validatePush(body) {
+    if (!body || typeof body.device !== 'string' || !body.device) {
+        return 'device must be a non-empty string';
+    }
+    if (!Array.isArray(body.changes)) {
+        return 'changes must be an array';
+    }
+
+    const invalid = body.changes.find(change =>
+        !change || typeof change.key !== 'string' || !change.key ||
+        typeof change.updatedAt !== 'string' || isNaN(Date.parse(change.updatedAt)));
+    return invalid ? 'every change needs a key and an ISO updatedAt timestamp' : null;
+}
+
+function sendJSON(response, status, payload) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    response.end(payload === undefined ? '' : JSON.stringify(payload));
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(new Error('Request body too large'));
+                request.destroy();
+            }
+        });
+        request.on('end', () => resolve(body));
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Create the HTTP server for a store
+ */
+function createSyncServer(store) {
+    return http.createServer(async (request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+
+        if (request.method === 'OPTIONS') {
+            sendJSON(response, 204);
+            return;
+        }
+        if (url.pathname !== '/changes') {
+            sendJSON(response, 404, { error: 'Not found' });
+            return;
+        }
+
+        try {
+            if (request.method === 'GET') {
+                const since = parseInt(url.searchParams.get('since'), 10) || 0;
+                sendJSON(response, 200, store.getChangesSince(since));
+            } else if (request.method === 'POST') {
+                const body = JSON.parse(await readBody(request));
+                const error = validatePush(body);
+                if (error) {
+                    sendJSON(response, 400, { error });
+                    return;
+                }
+
+                const result = store.applyChanges(body.device, body.changes);
+                console.log(`${body.device}: ${result.accepted.length} accepted, ${result.rejected.length} rejected`);
+                sendJSON(response, 200, result);
+            } else {
+                sendJSON(response, 405, { error: 'Method not allowed' });
+            }
+        } catch (error) {
+            sendJSON(response, 400, { error: error.message });
+        }
+    });
+}
+
+function getArgument(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+// Run the server if called directly
+if (require.main === module) {
+    const port = parseInt(getArgument('port', process.env.PORT || 8787), 10);
+    const filePath = path.resolve(getArgument('file', 'sync-data.json'));
+    const store = new SyncStore(filePath).load();
+
+    createSyncServer(store).listen(port, () => {
+        console.log(`Sync server listening on http://localhost:${port} (data: ${filePath})`);
+    });
+}
+
+module.exports = { SyncStore, createSyncServer, validatePush };
@@ -0,0 +1,132 @@
+// Tests for incremental regeneration in CompanyDataGenerator
+// Run with: node test-company-generator.js
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { CompanyDataGenerator } = require('./generate-companies');
+const { CSV_HEADER, CSV_ROWS, withTempDir, runTests } = require('./test-data/node-test-helpers');
+
+const { twoSum: TWO_SUM, lruCache: LRU_CACHE } = CSV_ROWS;
+
+/**
+ * A generator whose input and output files all live in a throwaway directory
+ */
+function createGenerator(root) {
+    const generator = new CompanyDataGenerator();
+    generator.companiesDir = path.join(root, 'company-wise-problems');
+    generator.outputFile = path.join(root, 'data', 'companies.json');
+    generator.problemsIndexFile = path.join(root, 'data', 'problems-index.json');
+    generator.manifestFile = path.join(root, 'data', 'companies-manifest.json');
+    generator.logoDir = path.join(root, 'logos');
+    return generator;
+}
+
+function writeCompany(root, company, lines) {
+    const companyPath = path.join(root, 'company-wise-problems', company);
+    fs.mkdirSync(companyPath, { recursive: true });
+    fs.writeFileSync(path.join(companyPath, '5. All.csv'), lines.join('\n'));
+}
+
+/**
+ * Run the generator without its progress output
+ */
+async function generate(root, options) {
+    const generator = createGenerator(root);
+    const log = console.log;
+    console.log = () => {};
+    try {
+        await generator.generateCompaniesFromFolders(options);
+    } finally {
+        console.log = log;
+    }
+
+    const readJSON = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+    return {
+        changes: generator.changes,
+        companies: readJSON(generator.outputFile),
+        problems: readJSON(generator.problemsIndexFile).problems
+    };
+}
+
+function withTree(test) {
+    return withTempDir('company-generator-', root => {
+        writeCompany(root, 'Acme', [CSV_HEADER, TWO_SUM, LRU_CACHE]);
+        writeCompany(root, 'Globex', [CSV_HEADER, TWO_SUM]);
+        return test(root);
+    });
+}
+
+const tests = {
+    'an unchanged tree is not rewritten'() {
+        return withTree(async root => {
+            const first = await generate(root);
+            const second = await generate(root);
+
+            assert.deepStrictEqual(second.companies, first.companies);
+            assert.deepStrictEqual(second.changes.companies, { added: [], removed: [], changed: [] });
+            assert.deepStrictEqual(second.changes.problems, { added: [], removed: [], changed: [] });
+        });
+    },
+
+    'only changed folders get a new lastUpdated'() {
+        return withTree(async root => {
+            const first = await generate(root);
+            writeCompany(root, 'Globex', [CSV_HEADER, TWO_SUM.replace('95.7', '40'), LRU_CACHE]);
+            writeCompany(root, 'Initech', [CSV_HEADER, 'HARD,Word Ladder,30,0.3,https://leetcode.com/problems/word-ladder,BFS']);
+            const second = await generate(root);
+
+            const lastUpdated = ({ companies }, name) => companies.companies.find(company => company.name === name).lastUpdated;
+            assert.strictEqual(lastUpdated(second, 'Acme'), lastUpdated(first, 'Acme'));
+            assert.deepStrictEqual(second.changes.companies, { added: ['Initech'], removed: [], changed: ['Globex'] });
+            assert.deepStrictEqual(second.changes.problems, { added: ['word-ladder'], removed: [], changed: ['lru-cache', 'two-sum'] });
+        });
+    },
+
+    'a run without a manifest keeps lastUpdated for unchanged companies'() {
+        return withTree(async root => {
+            const first = await generate(root);
+            fs.rmSync(createGenerator(root).manifestFile);
+            const second = await generate(root);
+
+            assert.deepStrictEqual(second.companies, first.companies);
+            assert.deepStrictEqual(second.changes.companies, { added: [], removed: [], changed: [] });
+        });
+    },
+
+    '--force reports changes against the previous output'() {
+        return withTree(async root => {
+            await generate(root);
+            writeCompany(root, 'Initech', [CSV_HEADER, TWO_SUM]);
+            const { changes } = await generate(root, { force: true });
+
+            assert.deepStrictEqual(changes.companies, { added: ['Initech'], removed: [], changed: [] });
+            assert.deepStrictEqual(changes.problems, { added: [], removed: [], changed: ['two-sum'] });
+        });
+    },
+
+    'removed folders drop out of the problem index'() {
+        return withTree(async root => {
+            await generate(root);
+            fs.rmSync(path.join(root, 'company-wise-problems', 'Acme'), { recursive: true });
+            const { changes, problems } = await generate(root);
+
+            assert.deepStrictEqual(changes.companies.removed, ['Acme']);
+            assert.deepStrictEqual(changes.problems.removed, ['lru-cache']);
+            assert.deepStrictEqual(problems.map(problem => problem.companies.map(company => company.name)), [['Globex']]);
+        });
+    },
+
+    'an incremental index matches a forced rebuild'() {
+        return withTree(async root => {
+            await generate(root);
+            writeCompany(root, 'Acme', [CSV_HEADER, LRU_CACHE]);
+            const incremental = await generate(root);
+            const rebuilt = await generate(root, { force: true });
+
+            assert.deepStrictEqual(incremental.problems, rebuilt.problems);
+        });
+    }
+};
+
+runTests('company generator', tests);
@@ -0,0 +1,143 @@
+// Tests for the company CSV validation run by generate-companies.js --validate
+// Run with: node test-company-validator.js
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { CompanyDataGenerator, CompanyDataValidator } = require('./generate-companies');
+const { CSV_HEADER, CSV_ROWS, withTempDir, runTests } = require('./test-data/node-test-helpers');
+
+const { twoSum: TWO_SUM, lruCache: LRU_CACHE } = CSV_ROWS;
+
+/**
+ * Validate a throwaway company-wise-problems tree given as { company: { file: [lines] } }
+ */
+function validateTree(tree) {
+    return withTempDir('company-validator-', root => {
+        Object.entries(tree).forEach(([company, files]) => {
+            fs.mkdirSync(path.join(root, company));
+            Object.entries(files).forEach(([file, lines]) => {
+                fs.writeFileSync(path.join(root, company, file), lines.join('\n'));
+            });
+        });
+
+        const generator = new CompanyDataGenerator();
+        generator.companiesDir = root;
+        const report = new CompanyDataValidator(generator).validate();
+        report.issues.forEach(issue => {
+            issue.file = issue.file && path.relative(root, issue.file);
+        });
+        return report;
+    });
+}
+
+const checks = report => report.issues.map(issue => issue.check);
+
+const tests = {
+    async 'a clean tree is valid'() {
+        const report = await validateTree({
+            Acme: {
+                '1. Thirty Days.csv': [CSV_HEADER, TWO_SUM],
+                '5. All.csv': [CSV_HEADER, TWO_SUM, LRU_CACHE]
+            }
+        });
+
+        assert.strictEqual(report.valid, true);
+        assert.deepStrictEqual(report.issues, []);
+        assert.deepStrictEqual(
+            { companies: report.summary.companies, files: report.summary.files, rows: report.summary.rows },
+            { companies: 1, files: 2, rows: 3 }
+        );
+    },
+
+    async 'bad values are reported at their line and column'() {
+        const report = await validateTree({
+            Acme: {
+                '5. All.csv': [
+                    CSV_HEADER,
+                    'TRIVIAL,Two Sum,95.7,0.55,https://leetcode.com/problems/two-sum,Array',
+                    'EASY,Three Sum,120,1.5,http://example.com/three-sum,Array',
+                    'HARD,Short Row,10'
+                ]
+            }
+        });
+
+        assert.strictEqual(report.valid, false);
+        assert.deepStrictEqual(
+            report.issues.map(({ check, line, column }) => [check, line, column]),
+            [['difficulty', 2, 1], ['frequency', 3, 16], ['acceptance', 3, 20], ['link', 3, 24], ['columns', 4, 16]]
+        );
+        assert.strictEqual(report.issues[0].file, path.join('Acme', '5. All.csv'));
+    },
+
+    async 'headers must have the required columns'() {
+        const report = await validateTree({
+            Acme: { '5. All.csv': ['Difficulty,Name,Link,Extra', 'EASY,Two Sum,https://leetcode.com/problems/two-sum,x'] }
+        });
+
+        assert.deepStrictEqual(report.issues.map(({ severity, message }) => [severity, message]), [
+            ['warning', 'Unknown column "Name"'],
+            ['warning', 'Unknown column "Extra"'],
+            ['warning', 'Missing column "Frequency"'],
+            ['warning', 'Missing column "Acceptance Rate"'],
+            ['error', 'Missing required columns: Title']
+        ]);
+        assert.strictEqual(report.summary.rows, 0);
+    },
+
+    async 'duplicate rows and conflicting difficulties are errors'() {
+        const report = await validateTree({
+            Acme: { '5. All.csv': [CSV_HEADER, TWO_SUM, TWO_SUM] },
+            Globex: { '5. All.csv': [CSV_HEADER, TWO_SUM.replace('EASY', 'MEDIUM')] }
+        });
+
+        assert.deepStrictEqual(checks(report), ['duplicate', 'difficulty-conflict']);
+        assert.match(report.issues[0].message, /already listed on line 2/);
+        assert.match(report.issues[1].message, /EASY in .*Acme.*:2, MEDIUM in .*Globex.*:2/);
+    },
+
+    async 'timeframe files must be subsets of All'() {
+        const report = await validateTree({
+            Acme: {
+                '2. Three Months.csv': [CSV_HEADER, LRU_CACHE],
+                '5. All.csv': [CSV_HEADER, TWO_SUM]
+            },
+            Globex: { '1. Thirty Days.csv': [CSV_HEADER, TWO_SUM] },
+            Initech: { 'notes.txt': ['not a csv'] }
+        });
+
+        assert.deepStrictEqual(
+            report.issues.map(({ severity, check, company }) => [severity, check, company]),
+            [
+                ['error', 'timeframe-subset', 'Acme'],
+                ['error', 'missing-files', 'Globex'],
+                ['warning', 'missing-files', 'Initech']
+            ]
+        );
+        assert.strictEqual(report.summary.byCheck['missing-files'], 2);
+    },
+
+    async 'an All file cut off at the export cap only gives warnings'() {
+        const cappedAll = Array.from({ length: 100 }, (_, index) =>
+            `EASY,Problem ${index},50,0.5,https://leetcode.com/problems/problem-${index},Array`);
+        const report = await validateTree({
+            Acme: {
+                '4. More Than Six Months.csv': [CSV_HEADER, LRU_CACHE],
+                '5. All.csv': [CSV_HEADER, ...cappedAll]
+            },
+            Globex: {
+                '3. Six Months.csv': [CSV_HEADER, TWO_SUM],
+                '5. All.csv': [CSV_HEADER]
+            }
+        });
+
+        assert.strictEqual(report.valid, true);
+        assert.deepStrictEqual(
+            report.issues.map(({ severity, check, company, line }) => [severity, check, company, line]),
+            [['warning', 'timeframe-subset', 'Acme', 2], ['warning', 'timeframe-subset', 'Globex', null]]
+        );
+        assert.match(report.issues[0].message, /capped at 100 rows/);
+    }
+};
+
+runTests('company validator', tests);
@@ -0,0 +1,87 @@
+// Tests for the streaming CSV parser and the diagnostics DataManager reports from it
+// Run with: node test-csv-parser.js
+
+const assert = require('assert');
+const { CSVParser, formatCSVDiagnostic } = require('./js/csvParser');
+const TestCSVGenerator = require('./test-data/test-csv-formats');
+const { runTests } = require('./test-data/node-test-helpers');
+
+// DataManager uses these as globals, like the browser does
+global.CSVParser = CSVParser;
+global.formatCSVDiagnostic = formatCSVDiagnostic;
+const { DataManager } = require('./js/dataManager');
+
+const fields = text => CSVParser.parse(text).records.map(record => record.fields);
+
+const tests = {
+    'quoted newlines, commas and escaped quotes stay inside one field'() {
+        const [, quotes, comma, , newline] = fields(TestCSVGenerator.generateSpecialCharactersCSV());
+
+        assert.strictEqual(quotes[1], 'Problem with "quotes"');
+        assert.strictEqual(comma[1], 'Problem with, comma in title');
+        assert.strictEqual(newline[1], 'Problem with newline\nin title');
+        assert.strictEqual(newline.length, 6);
+    },
+
+    'CRLF, CR and mixed line endings give the same records'() {
+        const expected = fields(TestCSVGenerator.generateStandardCSV());
+
+        assert.deepStrictEqual(fields(TestCSVGenerator.generateWindowsLineEndingsCSV()), expected);
+        assert.deepStrictEqual(fields(TestCSVGenerator.generateMacLineEndingsCSV()), expected);
+        assert.deepStrictEqual(fields(TestCSVGenerator.generateMixedLineEndingsCSV()), expected);
+    },
+
+    'a leading BOM is not part of the first header'() {
+        assert.strictEqual(fields(TestCSVGenerator.generateBOMCSV())[0][0], 'DIFFICULTY');
+    },
+
+    'records keep their starting line and field columns'() {
+        const { records } = CSVParser.parse('a,b\n"multi\nline",c\n\nd,"e"');
+
+        assert.deepStrictEqual(records.map(record => record.line), [1, 2, 5]);
+        assert.deepStrictEqual(records[2].columns, [1, 3]);
+    },
+
+    'text fed in small chunks parses the same as a whole'() {
+        const text = TestCSVGenerator.generateWindowsLineEndingsCSV().replace('"Two Sum"', '"Two ""Sum"""');
+        const parser = new CSVParser();
+        for (let i = 0; i < text.length; i += 3) {
+            parser.write(text.slice(i, i + 3));
+        }
+
+        assert.deepStrictEqual(parser.end().records, CSVParser.parse(text).records);
+    },
+
+    'malformed quoting is reported with line and column'() {
+        const { records, diagnostics } = CSVParser.parse('a,b"c\n"d"e,f\n"open', { file: 'x.csv' });
+
+        assert.deepStrictEqual(records.map(record => record.fields), [['a', 'b"c'], ['de', 'f'], ['open']]);
+        assert.deepStrictEqual(diagnostics.map(({ line, column }) => [line, column]), [[1, 4], [2, 4], [3, 1]]);
+        assert.strictEqual(diagnostics[2].file, 'x.csv');
+        assert.match(formatCSVDiagnostic(diagnostics[2]), /^x\.csv:3:1: Quoted field is never closed$/);
+    },
+
+    'ragged and invalid rows become diagnostics and the rest still parse'() {
+        const diagnostics = [];
+        const problems = DataManager.parseCSV(TestCSVGenerator.generateMalformedCSV(), { file: 'malformed.csv', diagnostics });
+
+        assert.deepStrictEqual(problems.map(problem => problem.title), ['Two Sum']);
+        assert.deepStrictEqual(diagnostics.map(({ line, column }) => [line, column]), [[3, 25], [4, 78], [5, 1], [6, 1]]);
+        assert.match(diagnostics[0].reason, /Expected 6 fields but found 3/);
+        assert.match(diagnostics[2].reason, /Difficulty/);
+    },
+
+    'a trailing comma does not make a row ragged'() {
+        const problems = DataManager.parseCSV('Difficulty,Title,Link\nEASY,Two Sum,https://leetcode.com/problems/two-sum,\n', { diagnostics: [] });
+        assert.strictEqual(problems.length, 1);
+    },
+
+    'unusable files become one diagnostic without a line'() {
+        const { problems, diagnostics } = DataManager.parseCSVFile('Title,Link\nTwo Sum,x', 'bad.csv');
+
+        assert.deepStrictEqual(problems, []);
+        assert.deepStrictEqual(diagnostics, [{ file: 'bad.csv', line: null, column: null, reason: 'CSV missing required columns: Difficulty' }]);
+    }
+};
+
+runTests('CSV parser', tests);
@@ -0,0 +1,108 @@
+// Tests for the data worker tasks and the client's main-thread fallback
+// Run with: node test-data-worker.js
+
+const assert = require('assert');
+const { CSVParser, formatCSVDiagnostic } = require('./js/csvParser');
+const { DataManager, Problem } = require('./js/dataManager');
+const { SearchIndex } = require('./js/searchEngine');
+const { companyCSV: csv, runTests } = require('./test-data/node-test-helpers');
+
+// The worker script uses these as globals, like the browser does
+global.CSVParser = CSVParser;
+global.formatCSVDiagnostic = formatCSVDiagnostic;
+global.DataManager = DataManager;
+global.SearchIndex = SearchIndex;
+const { DataWorkerClient, DATA_WORKER_TASKS } = require('./js/dataWorker');
+
+const files = [
+    {
+        path: 'company-wise-problems/Acme/1. Thirty Days.csv',
+        timeframe: '30d',
+        content: csv(['EASY,Two Sum,80,0.5,https://leetcode.com/problems/two-sum,"Array, Hash Table"'])
+    },
+    {
+        path: 'company-wise-problems/Acme/5. All.csv',
+        timeframe: 'all',
+        content: csv([
+            'EASY,Two Sum,95,0.5,https://leetcode.com/problems/two-sum,"Array, Hash Table"',
+            'MEDIUM,LRU Cache,70,0.4,https://leetcode.com/problems/lru-cache,Design'
+        ])
+    },
+    { path: 'company-wise-problems/Acme/2. Three Months.csv', timeframe: '3m', content: 'not a csv' }
+];
+
+const tests = {
+    'company files are parsed, tagged with timeframes and merged'() {
+        const { problems, diagnostics } = DATA_WORKER_TASKS.parseCompanyFiles({ files });
+
+        assert.deepStrictEqual(problems.map(problem => problem.id), ['two-sum', 'lru-cache']);
+        assert.deepStrictEqual(problems[0].timeframes, ['30d', 'all']);
+        assert.deepStrictEqual(problems[0].frequencies, { '30d': 80, all: 95 });
+        assert.strictEqual(diagnostics.length, 1);
+        assert.strictEqual(diagnostics[0].file, files[2].path);
+    },
+
+    'problems posted back as plain data become Problems again'() {
+        const [posted] = structuredClone(DATA_WORKER_TASKS.parseCompanyFiles({ files }).problems);
+        const problem = Problem.fromData(posted);
+
+        assert.ok(problem instanceof Problem);
+        problem.addTimeframe('6m', 60);
+        assert.deepStrictEqual(problem.timeframes, ['30d', 'all', '6m']);
+    },
+
+    'a search index survives being posted back'() {
+        const data = structuredClone(DATA_WORKER_TASKS.buildSearchIndex({
+            documents: [
+                { id: 'two-sum', fields: { title: 'Two Sum', topics: ['Array'] } },
+                { id: 'lru-cache', fields: { title: 'LRU Cache', topics: ['Design'] } }
+            ]
+        }));
+        const [result] = SearchIndex.fromJSON(data).search('two su');
+
+        assert.strictEqual(result.id, 'two-sum');
+        assert.deepStrictEqual(result.matches.title, { 0: [[0, 3], [4, 6]] });
+    },
+
+    async 'the client runs tasks on the main thread without worker support'() {
+        const client = new DataWorkerClient();
+        const { problems } = await client.run('parseCSVFile', { content: files[1].content });
+
+        assert.strictEqual(client.isUsingWorker(), false);
+        assert.strictEqual(problems.length, 2);
+        await assert.rejects(client.run('buildSearchIndex', {}), TypeError);
+        await assert.rejects(client.run('compile', {}), /Unknown data worker task/);
+    },
+
+    async 'tasks queued on a worker that fails to load finish on the main thread'() {
+        const client = new DataWorkerClient();
+        const posted = [];
+        client.workerFailed = false;
+        client.getWorker = () => client.worker;
+        client.worker = { postMessage: message => posted.push(message), terminate() {} };
+
+        const pending = client.run('parseCSVFile', { content: files[0].content });
+        assert.strictEqual(posted.length, 1);
+        client.handleWorkerError({ message: 'Failed to load worker script' });
+
+        assert.strictEqual((await pending).problems[0].id, 'two-sum');
+        assert.strictEqual(client.worker, null);
+        assert.strictEqual(client.workerFailed, true);
+    },
+
+    async 'worker replies settle the matching request'() {
+        const client = new DataWorkerClient();
+        client.worker = { postMessage() {}, terminate() {} };
+        client.getWorker = () => client.worker;
+
+        const first = client.run('parseCSVFile', { content: 'a' });
+        const second = client.run('parseCSVFile', { content: 'b' });
+        client.handleMessage({ id: 2, result: ['second'] });
+        client.handleMessage({ id: 1, error: 'No valid problems found in CSV file' });
+
+        assert.deepStrictEqual(await second, ['second']);
+        await assert.rejects(first, /No valid problems/);
+    }
+};
+
+runTests('data worker', tests);
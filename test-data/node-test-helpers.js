@@ -0,0 +1,64 @@
+/**
+ * Shared runner and fixtures for the Node test-*.js suites
+ * Each suite is an object of named test functions passed to runTests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Header of a company CSV export
+ */
+const CSV_HEADER = 'Difficulty,Title,Frequency,Acceptance Rate,Link,Topics';
+
+/**
+ * Company CSV rows for problems the suites share
+ */
+const CSV_ROWS = {
+    twoSum: 'EASY,Two Sum,95.7,0.55,https://leetcode.com/problems/two-sum,"Array, Hash Table"',
+    lruCache: 'MEDIUM,LRU Cache,70,0.4,https://leetcode.com/problems/lru-cache,Design'
+};
+
+/**
+ * Company CSV content with the standard header
+ */
+function companyCSV(rows) {
+    return [CSV_HEADER, ...rows].join('\n');
+}
+
+/**
+ * Run a callback with a temporary directory that is removed afterwards
+ */
+async function withTempDir(prefix, callback) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    try {
+        return await callback(root);
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Run tests in order, printing PASS or FAIL for each and a summary line
+ * Any failure sets a non-zero exit code
+ */
+async function runTests(suiteName, tests) {
+    let failures = 0;
+    for (const [name, test] of Object.entries(tests)) {
+        try {
+            await test();
+            console.log(`PASS: ${name}`);
+        } catch (error) {
+            failures++;
+            console.error(`FAIL: ${name}\n  ${error.message}`);
+        }
+    }
+
+    const total = Object.keys(tests).length;
+    console.log(`\n${total - failures}/${total} ${suiteName} tests passed`);
+    process.exitCode = failures > 0 ? 1 : 0;
+    return failures;
+}
+
+module.exports = { CSV_HEADER, CSV_ROWS, companyCSV, withTempDir, runTests };
@@ -0,0 +1,63 @@
+// Tests for the fuzzy, ranked search index
+// Run with: node test-search-engine.js
+
+const assert = require('assert');
+const { SearchIndex } = require('./js/searchEngine');
+const { runTests } = require('./test-data/node-test-helpers');
+
+const buildIndex = () => new SearchIndex()
+    .add('two-sum', { title: 'Two Sum', topics: ['Array', 'Hash Table'], companies: ['Google', 'Amazon'] })
+    .add('two-sum-ii', { title: 'Two Sum II - Input Array Is Sorted', topics: ['Array', 'Two Pointers'], companies: ['Amazon'] })
+    .add('lru-cache', { title: 'LRU Cache', topics: ['Hash Table', 'Linked List', 'Design'], companies: ['Meta'] })
+    .add('binary-search', { title: 'Binary Search', topics: ['Array', 'Binary Search'], companies: ['Microsoft'] })
+    .add('binary-search-tree-iterator', { title: 'Binary Search Tree Iterator', topics: ['Tree', 'Design'], companies: ['Meta'] })
+    .add('network-delay-time', { title: 'Network Delay Time', topics: ['Graph', 'Shortest Path'], companies: ['Google'] });
+
+const ids = results => results.map(result => result.id);
+
+const tests = {
+    'tokenize keeps character ranges'() {
+        assert.deepStrictEqual(SearchIndex.tokenize('Two-Sum II'), [
+            { term: 'two', start: 0, end: 3 },
+            { term: 'sum', start: 4, end: 7 },
+            { term: 'ii', start: 8, end: 10 }
+        ]);
+    },
+
+    'edit distance counts adjacent swaps as one edit'() {
+        assert.strictEqual(SearchIndex.editDistance('serach', 'search'), 1);
+        assert.strictEqual(SearchIndex.editDistance('binry', 'binary'), 1);
+        assert.strictEqual(SearchIndex.editDistance('graph', 'stack', 2), 3);
+    },
+
+    'prefixes and punctuation match whole titles'() {
+        assert.strictEqual(buildIndex().search('lru cach')[0].id, 'lru-cache');
+        assert.strictEqual(buildIndex().search('two-sum')[0].id, 'two-sum');
+    },
+
+    'typos still find the closest title first'() {
+        assert.deepStrictEqual(ids(buildIndex().search('binry serch')).slice(0, 2), ['binary-search', 'binary-search-tree-iterator']);
+    },
+
+    'every query term has to match'() {
+        assert.deepStrictEqual(ids(buildIndex().search('two pointers')), ['two-sum-ii']);
+        assert.deepStrictEqual(buildIndex().search('sum graph'), []);
+    },
+
+    'technique names find problems by topic'() {
+        const [result] = buildIndex().search('dijkstra');
+        assert.strictEqual(result.id, 'network-delay-time');
+        assert.deepStrictEqual(result.matches.topics, { 1: [[0, 8], [9, 13]] });
+    },
+
+    'matched ranges are reported per field and value'() {
+        const [result] = buildIndex().search('hash tab');
+        assert.deepStrictEqual(result.matches.topics[1], [[0, 4], [5, 8]]);
+    },
+
+    'merged ranges join overlapping spans'() {
+        assert.deepStrictEqual(SearchIndex.mergeRanges([[4, 7], [0, 3], [2, 5]]), [[0, 7]]);
+    }
+};
+
+runTests('search engine', tests);
@@ -0,0 +1,86 @@
+// Tests for the search query language
+// Run with: node test-search-query.js
+
+const assert = require('assert');
+const { SearchQuery } = require('./js/searchQuery');
+const { runTests } = require('./test-data/node-test-helpers');
+
+const row = (overrides = {}) => ({
+    id: 'coin-change',
+    title: 'Coin Change',
+    difficulty: 'Medium',
+    topics: ['Array', 'Dynamic Programming', 'Breadth-First Search'],
+    companyName: 'Google',
+    frequency: 64.2,
+    solved: false,
+    ...overrides
+});
+
+// Free text matches when the title contains every word; status is solved or unsolved only
+const context = {
+    matchText: (node, problem) => node.text.toLowerCase().split(' ').every(word => problem.title.toLowerCase().includes(word)),
+    matchStatus: (problem, status) => (status === 'solved') === problem.solved
+};
+
+const matches = (query, problem = row()) => SearchQuery.parse(query).matches(problem, context);
+
+const tests = {
+    'qualifiers combine with AND'() {
+        assert.strictEqual(matches('company:google difficulty:medium topic:"dynamic programming" freq:>50 status:unsolved'), true);
+        assert.strictEqual(matches('company:google difficulty:hard'), false);
+    },
+
+    'qualifier values ignore case and punctuation'() {
+        assert.strictEqual(matches('topic:breadth-first'), true);
+        assert.strictEqual(matches('company:GOOG'), true);
+        assert.strictEqual(matches('diff:MEDIUM'), true);
+    },
+
+    'frequency comparisons and ranges'() {
+        assert.strictEqual(matches('freq:>=64.2'), true);
+        assert.strictEqual(matches('freq:<50'), false);
+        assert.strictEqual(matches('freq:60..70'), true);
+        assert.strictEqual(matches('freq:64'), true);
+    },
+
+    'negation excludes matching rows'() {
+        assert.strictEqual(matches('-topic:math'), true);
+        assert.strictEqual(matches('-topic:array'), false);
+        assert.strictEqual(matches('coin -status:solved'), true);
+    },
+
+    'OR binds looser than AND, and parentheses group'() {
+        assert.strictEqual(matches('company:meta OR difficulty:medium'), true);
+        assert.strictEqual(matches('company:meta difficulty:medium OR difficulty:hard'), false);
+        assert.strictEqual(matches('(company:meta OR company:google) difficulty:medium'), true);
+    },
+
+    'neighbouring words become one free-text part'() {
+        const query = SearchQuery.parse('coin change difficulty:medium');
+        assert.deepStrictEqual(query.getTextNodes().map(node => node.text), ['coin change']);
+        assert.strictEqual(query.isPlainText(), false);
+        assert.strictEqual(SearchQuery.parse('coin change').isPlainText(), true);
+    },
+
+    'errors are reported with their ranges and the rest still runs'() {
+        const query = SearchQuery.parse('difficulty:extreme level:3 coin');
+        assert.deepStrictEqual(query.errors.map(error => [error.start, error.end]), [[0, 18], [19, 26]]);
+        assert.strictEqual(query.ast.type, 'text');
+        assert.strictEqual(query.ast.text, 'coin');
+    },
+
+    'unbalanced syntax is reported'() {
+        assert.match(SearchQuery.parse('topic:"dynamic').errors[0].message, /closing quote/);
+        assert.match(SearchQuery.parse('(company:google').errors[0].message, /closing parenthesis/);
+        assert.match(SearchQuery.parse('coin OR').errors[0].message, /OR needs a term/);
+        assert.match(SearchQuery.parse('freq:>lots').errors[0].message, /Expected a number/);
+        assert.match(SearchQuery.parse('status:').errors[0].message, /needs a value/);
+    },
+
+    'positive qualifier values are listed without negated ones'() {
+        const query = SearchQuery.parse('(company:google OR company:meta) -company:amazon');
+        assert.deepStrictEqual(query.getQualifierValues('company'), ['google', 'meta']);
+    }
+};
+
+runTests('search query', tests);
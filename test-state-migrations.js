@@ -0,0 +1,141 @@
+// Unit tests for the saved state migration steps and rolling a migration back
+// Run with: node test-state-migrations.js
+
+const assert = require('assert');
+const { StateSchema, STATE_MIGRATIONS } = require('./js/stateSchema');
+const { runTests } = require('./test-data/node-test-helpers');
+
+global.StateSchema = StateSchema;
+
+// StateManager runs against the browser globals it expects, with localStorage kept in a Map
+const storedItems = new Map();
+global.window = global;
+window.addEventListener = () => {};
+global.localStorage = {
+    get length() { return storedItems.size; },
+    key: index => Array.from(storedItems.keys())[index],
+    getItem: key => (storedItems.has(key) ? storedItems.get(key) : null),
+    setItem: (key, value) => storedItems.set(key, String(value)),
+    removeItem: key => storedItems.delete(key)
+};
+Object.assign(global, require('./js/storageAdapters'), require('./js/profileRegistry'), require('./js/reviewScheduler'));
+const StateManager = require('./js/stateManager');
+
+/**
+ * Run an action without the console output StateManager logs along the way
+ */
+async function quietly(action) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return await action();
+    } finally {
+        console.log = log;
+    }
+}
+
+/**
+ * Load a StateManager from the saved items and wait for its writes
+ * Its tab sync channel does not keep the test process running
+ */
+function loadStateManager() {
+    return quietly(async () => {
+        const manager = new StateManager();
+        manager.syncChannel.unref();
+        await manager.ready;
+        await manager.writeQueue;
+        return manager;
+    });
+}
+
+const savedRecord = key => JSON.parse(localStorage.getItem(`leetcode_app_state/${key}`));
+
+const legacyId = (title, slug) =>
+    Buffer.from(encodeURIComponent(title + `https://leetcode.com/problems/${slug}`))
+        .toString('base64')
+        .replace(/[^a-zA-Z0-9]/g, '');
+
+const tests = {
+    'migrations form an unbroken chain ending at the current version'() {
+        STATE_MIGRATIONS.slice(1).forEach((step, index) => {
+            assert.strictEqual(step.from, STATE_MIGRATIONS[index].to);
+        });
+        assert.strictEqual(StateSchema.CURRENT_VERSION, STATE_MIGRATIONS[STATE_MIGRATIONS.length - 1].to);
+    },
+
+    'state without a version is treated as 1.0.0'() {
+        assert.strictEqual(StateSchema.getVersion({}), '1.0.0');
+        assert.strictEqual(StateSchema.getPendingMigrations({}).length, STATE_MIGRATIONS.length);
+    },
+
+    '1.0.0 -> 1.1.0 rewrites legacy IDs and reports unmapped ones'() {
+        const step = STATE_MIGRATIONS.find(migration => migration.from === '1.0.0');
+        const savedState = {
+            version: '1.0.0',
+            solvedProblems: [legacyId('Two Sum', 'two-sum')],
+            bookmarkedProblems: [legacyId('LRU Cache', 'lru-cache'), 'notALegacyId']
+        };
+
+        const { state, report } = step.migrate(savedState);
+        assert.deepStrictEqual(state.solvedProblems, ['two-sum']);
+        assert.deepStrictEqual(state.bookmarkedProblems, ['lru-cache']);
+        assert.deepStrictEqual(report.unmapped.bookmarkedProblems, ['notALegacyId']);
+        assert.strictEqual(report.migrated, 2);
+        assert.strictEqual(savedState.bookmarkedProblems.length, 2, 'input is not mutated');
+    },
+
+    '1.1.0 -> 1.2.0 adds missing collections and keeps existing ones'() {
+        const step = STATE_MIGRATIONS.find(migration => migration.from === '1.1.0');
+        const { state } = step.migrate({ version: '1.1.0', reviews: { 'two-sum': { interval: 1 } } });
+
+        assert.deepStrictEqual(state.reviews, { 'two-sum': { interval: 1 } });
+        assert.deepStrictEqual(state.problemHistory, {});
+        assert.deepStrictEqual(state.notes, {});
+        assert.deepStrictEqual(state.targetLists, []);
+    },
+
+    'migrate runs every pending step in order and keeps unknown fields'() {
+        const { state, applied } = StateSchema.migrate({ solvedProblems: [], customField: 42 });
+
+        assert.deepStrictEqual(applied.map(step => step.to), STATE_MIGRATIONS.map(step => step.to));
+        assert.strictEqual(state.version, StateSchema.CURRENT_VERSION);
+        assert.strictEqual(state.customField, 42);
+        assert.strictEqual(StateSchema.needsMigration(state), false);
+    },
+
+    'current and newer state is left alone'() {
+        assert.strictEqual(StateSchema.migrate({ version: StateSchema.CURRENT_VERSION }).applied.length, 0);
+        assert.strictEqual(StateSchema.needsMigration({ version: '99.0.0' }), false);
+    },
+
+    'unknown intermediate versions are reported'() {
+        assert.throws(() => StateSchema.getPendingMigrations({ version: '1.0.5' }), /No migration registered/);
+    },
+
+    async 'a rollback keeps the restored state at its old version until it is upgraded'() {
+        storedItems.clear();
+        localStorage.setItem('leetcode_app_storage_backend', 'localStorage');
+        localStorage.setItem('leetcode_app_state', JSON.stringify({ version: '1.1.0', solvedProblems: ['two-sum'] }));
+
+        const migrated = await loadStateManager();
+        assert.strictEqual(savedRecord('state').version, StateSchema.CURRENT_VERSION);
+        assert.strictEqual(JSON.parse(localStorage.getItem('leetcode_app_state_pre_migration')).fromVersion, '1.1.0');
+        assert.strictEqual(savedRecord('backup/pre-migration'), null, 'the backup is kept apart from the data');
+
+        assert.strictEqual(await quietly(() => migrated.rollbackMigration()), true);
+        assert.strictEqual(savedRecord('state').version, '1.1.0');
+
+        const reloaded = await loadStateManager();
+        assert.strictEqual(savedRecord('state').version, '1.1.0', 'reloading does not migrate again');
+        assert.strictEqual(reloaded.exportState().version, '1.1.0');
+        assert.strictEqual(reloaded.getMigrationBackup().rolledBack, true);
+        assert.deepStrictEqual(reloaded.getSolvedProblems(), ['two-sum']);
+
+        assert.strictEqual(await quietly(() => reloaded.upgradeState()), true);
+        await quietly(() => reloaded.writeQueue);
+        assert.strictEqual(savedRecord('state').version, StateSchema.CURRENT_VERSION);
+        assert.strictEqual(reloaded.getMigrationBackup().rolledBack, undefined);
+    }
+};
+
+runTests('migration', tests);
@@ -0,0 +1,109 @@
+// Tests for the reference sync server and its last-writer-wins rules
+// Run with: node test-sync-server.js
+
+const assert = require('assert');
+const path = require('path');
+const { SyncStore, createSyncServer, validatePush } = require('./sync-server');
+const { withTempDir, runTests } = require('./test-data/node-test-helpers');
+
+/**
+ * Run a test with the path of a sync data file in a throwaway directory
+ */
+const withDataFile = test => withTempDir('sync-test-', dir => test(path.join(dir, 'sync-data.json')));
+
+const change = (key, updatedAt, value = true) => ({ key, value, deleted: false, updatedAt });
+
+const tests = {
+    'newer changes replace older ones per record'() {
+        return withDataFile(file => {
+            const store = new SyncStore(file);
+            store.applyChanges('laptop', [change('solved/two-sum', '2025-01-01T10:00:00.000Z')]);
+            const result = store.applyChanges('desktop', [
+                { key: 'solved/two-sum', deleted: true, updatedAt: '2025-01-01T11:00:00.000Z' }
+            ]);
+
+            assert.deepStrictEqual(result.accepted, ['solved/two-sum']);
+            const [stored] = store.getChangesSince(0).changes;
+            assert.strictEqual(stored.deleted, true);
+            assert.strictEqual(stored.device, 'desktop');
+        });
+    },
+
+    'older changes are rejected with the stored timestamp'() {
+        return withDataFile(file => {
+            const store = new SyncStore(file);
+            store.applyChanges('laptop', [change('notes/two-sum', '2025-01-01T11:00:00.000Z', { content: 'new' })]);
+            const result = store.applyChanges('desktop', [change('notes/two-sum', '2025-01-01T10:00:00.000Z', { content: 'old' })]);
+
+            assert.deepStrictEqual(result.accepted, []);
+            assert.strictEqual(result.rejected[0].updatedAt, '2025-01-01T11:00:00.000Z');
+            assert.strictEqual(store.getChangesSince(0).changes[0].value.content, 'new');
+        });
+    },
+
+    'equal timestamps are settled by device ID and retries are idempotent'() {
+        return withDataFile(file => {
+            const store = new SyncStore(file);
+            const at = '2025-01-01T10:00:00.000Z';
+            store.applyChanges('a-device', [change('bookmarks/lru-cache', at)]);
+            store.applyChanges('b-device', [change('bookmarks/lru-cache', at)]);
+            const retry = store.applyChanges('b-device', [change('bookmarks/lru-cache', at)]);
+
+            assert.strictEqual(store.getChangesSince(0).changes[0].device, 'b-device');
+            assert.deepStrictEqual(retry.accepted, ['bookmarks/lru-cache']);
+            assert.strictEqual(store.getChangesSince(0).cursor, 2, 'retry does not add a change');
+        });
+    },
+
+    'changes since a cursor only include later records'() {
+        return withDataFile(file => {
+            const store = new SyncStore(file);
+            const { cursor } = store.applyChanges('laptop', [change('solved/a', '2025-01-01T10:00:00.000Z')]);
+            store.applyChanges('laptop', [change('solved/b', '2025-01-01T10:00:00.000Z')]);
+
+            assert.deepStrictEqual(store.getChangesSince(cursor).changes.map(c => c.key), ['solved/b']);
+        });
+    },
+
+    'the change log survives a restart'() {
+        return withDataFile(file => {
+            new SyncStore(file).applyChanges('laptop', [change('solved/a', '2025-01-01T10:00:00.000Z')]);
+
+            assert.strictEqual(new SyncStore(file).load().getChangesSince(0).changes.length, 1);
+        });
+    },
+
+    'malformed pushes are reported'() {
+        assert.ok(validatePush({ changes: [] }));
+        assert.ok(validatePush({ device: 'laptop', changes: [{ key: 'solved/a', updatedAt: 'yesterday' }] }));
+        assert.strictEqual(validatePush({ device: 'laptop', changes: [change('solved/a', '2025-01-01T10:00:00.000Z')] }), null);
+    },
+
+    'push and pull over HTTP'() {
+        return withDataFile(async file => {
+            const server = createSyncServer(new SyncStore(file));
+            await new Promise(resolve => server.listen(0, resolve));
+            const endpoint = `http://localhost:${server.address().port}/changes`;
+
+            try {
+                const pushed = await fetch(endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ device: 'laptop', changes: [change('solved/a', '2025-01-01T10:00:00.000Z')] })
+                }).then(response => response.json());
+                assert.deepStrictEqual(pushed.accepted, ['solved/a']);
+
+                const pulled = await fetch(`${endpoint}?since=0`).then(response => response.json());
+                assert.strictEqual(pulled.changes[0].key, 'solved/a');
+                assert.strictEqual(pulled.cursor, 1);
+
+                const invalid = await fetch(endpoint, { method: 'POST', body: '{}' });
+                assert.strictEqual(invalid.status, 400);
+            } finally {
+                server.close();
+            }
+        });
+    }
+};
+
+runTests('sync server', tests);